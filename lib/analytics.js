@@ -0,0 +1,223 @@
+const { EMOTIONS, classifyWithLexicon } = require('./emotion');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 推移を出す期間の数（週なら直近12週、月なら直近12か月）
+const TREND_BUCKETS = 12;
+
+// 話題と、その話題とみなすキーワード（話題の名前は言語によらず日本語のまま保存し、表示するときに訳す）
+// 英語のキーワードは語全体で一致させる（複数形の s は付いてもよい）
+const TOPICS = {
+    '仕事': ['仕事', '会社', '会議', '職場', '残業', '上司', '同僚', 'work', 'job', 'office', 'meeting', 'boss', 'coworker', 'colleague', 'overtime'],
+    '家族': ['家族', '両親', '母', '父', '子ども', '子供', '妻', '夫', 'family', 'parent', 'mom', 'dad', 'mother', 'father', 'kid', 'children', 'son', 'daughter', 'wife', 'husband'],
+    '友達': ['友達', '友人', '仲間', 'friend', 'buddy'],
+    '勉強': ['勉強', '試験', 'テスト', '授業', '宿題', 'study', 'studied', 'studying', 'exam', 'test', 'class', 'lesson', 'homework'],
+    '趣味': ['趣味', 'ゲーム', '読書', '音楽', 'hobby', 'hobbies', 'game', 'gaming', 'reading', 'book', 'music'],
+    '買い物': ['買い物', 'ショッピング', 'shopping', 'bought', 'store', 'mall'],
+    '食事': ['食事', 'ご飯', 'ごはん', 'ランチ', '夕食', '朝食', '料理', 'レストラン', 'meal', 'lunch', 'dinner', 'breakfast', 'cooking', 'cooked', 'restaurant', 'cafe'],
+    '旅行': ['旅行', '旅', '観光', 'trip', 'travel', 'traveled', 'vacation', 'sightseeing'],
+    '運動': ['運動', 'ジム', 'ランニング', '散歩', 'ヨガ', '筋トレ', 'exercise', 'gym', 'running', 'jogging', 'walk', 'yoga', 'workout'],
+    '映画': ['映画', 'ドラマ', 'movie', 'film', 'cinema', 'drama']
+};
+
+// 時間帯の区切り（開始時刻）
+const TIME_SLOTS = [
+    { slot: 'night', from: 0 },
+    { slot: 'morning', from: 5 },
+    { slot: 'afternoon', from: 11 },
+    { slot: 'evening', from: 17 },
+    { slot: 'night', from: 22 }
+];
+
+// キーワードが最初に出てくる位置（なければ -1）
+function keywordPosition(content, keyword) {
+    if (!/^[a-z]+$/.test(keyword)) return content.indexOf(keyword);
+    const match = content.match(new RegExp(`\\b${keyword}s?\\b`, 'i'));
+    return match ? match.index : -1;
+}
+
+// 文章に出てくる話題（出てきた順）
+function extractTopics(text) {
+    const content = String(text || '');
+    return Object.entries(TOPICS)
+        .map(([topic, keywords]) => ({
+            topic,
+            position: Math.min(...keywords.map(keyword => keywordPosition(content, keyword)).filter(index => index !== -1))
+        }))
+        .filter(({ position }) => Number.isFinite(position))
+        .sort((a, b) => a.position - b.position)
+        .map(({ topic }) => topic);
+}
+
+// 会話全体の話題（発言ごとの話題をまとめて重複を除く）
+function collectTopics(messages) {
+    const topics = messages
+        .filter(msg => msg.role === 'user')
+        .flatMap(msg => extractTopics(msg.content));
+    return [...new Set(topics)];
+}
+
+function round(value, digits = 2) {
+    const scale = 10 ** digits;
+    return Math.round(value * scale) / scale;
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// 利用者の時刻に直す（tzOffset は getTimezoneOffset() と同じく UTC - 現地 の分数）
+function localDate(date, tzOffset) {
+    return new Date(new Date(date).getTime() - tzOffset * 60 * 1000);
+}
+
+function dayKey(local) {
+    return local.toISOString().slice(0, 10);
+}
+
+// ISO週の月曜日
+function weekStart(local) {
+    const start = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    return start;
+}
+
+function periodStart(local, period) {
+    return period === 'month'
+        ? new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1))
+        : weekStart(local);
+}
+
+function previousPeriod(start, period) {
+    const previous = new Date(start);
+    if (period === 'month') previous.setUTCMonth(previous.getUTCMonth() - 1);
+    else previous.setUTCDate(previous.getUTCDate() - 7);
+    return previous;
+}
+
+function timeSlot(hour) {
+    return TIME_SLOTS.filter(({ from }) => hour >= from).pop().slot;
+}
+
+// 気分が保存されていない日記（手書きの日記など）は本文から推定する
+function moodOf(diary) {
+    return diary.mood || classifyWithLexicon(diary.text);
+}
+
+function topicsOf(diary) {
+    return diary.topics || extractTopics(diary.text);
+}
+
+function countBy(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+// 期間ごとの気分の推移（日記のない期間も並べる）
+function moodTrend(entries, { period, now }) {
+    const buckets = [];
+    let start = periodStart(now, period);
+    for (let i = 0; i < TREND_BUCKETS; i++) {
+        buckets.unshift({ start: start.toISOString().slice(0, 10), entries: [] });
+        start = previousPeriod(start, period);
+    }
+
+    entries.forEach(entry => {
+        const key = periodStart(entry.local, period).toISOString().slice(0, 10);
+        buckets.find(bucket => bucket.start === key)?.entries.push(entry);
+    });
+
+    return buckets.map(({ start: bucketStart, entries: bucketEntries }) => {
+        const moods = bucketEntries.map(entry => entry.mood);
+        const types = { positive: 0, negative: 0, mixed: 0, neutral: 0 };
+        moods.forEach(mood => {
+            types[mood.type] = (types[mood.type] || 0) + 1;
+        });
+        const dominant = countBy(moods.map(mood => mood.dominant).filter(Boolean))[0];
+        const valence = average(moods.map(mood => mood.valence || 0));
+        const intensity = average(moods.map(mood => mood.intensity || 0));
+        return {
+            start: bucketStart,
+            count: bucketEntries.length,
+            valence: valence === null ? null : round(valence),
+            intensity: intensity === null ? null : round(intensity),
+            types,
+            dominant: dominant ? dominant[0] : null
+        };
+    });
+}
+
+// 日記を書いた日の連続記録（今日まだ書いていなくても昨日まで続いていれば継続中とみなす）
+function streaks(days, today) {
+    const sorted = [...new Set(days)].sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    sorted.forEach(day => {
+        const time = Date.parse(day);
+        run = previous !== null && time - previous === DAY_MS ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = time;
+    });
+
+    const last = sorted[sorted.length - 1] || null;
+    const gap = last ? (Date.parse(today) - Date.parse(last)) / DAY_MS : Infinity;
+    return {
+        current: gap <= 1 ? run : 0,
+        longest,
+        activeDays: sorted.length,
+        lastDate: last
+    };
+}
+
+// 日記の一覧から振り返り用の集計を作る
+function buildAnalytics(diaries, { period = 'week', tzOffset = 0, now = new Date() } = {}) {
+    const localNow = localDate(now, tzOffset);
+    const entries = diaries.map(diary => ({
+        diary,
+        local: localDate(diary.date, tzOffset),
+        mood: moodOf(diary)
+    })).filter(entry => !Number.isNaN(entry.local.getTime()));
+
+    const sessions = entries
+        .map(entry => entry.diary)
+        .filter(diary => diary.conversationCount > 0);
+
+    const hours = new Array(24).fill(0);
+    const slots = { morning: 0, afternoon: 0, evening: 0, night: 0 };
+    entries.forEach(({ local }) => {
+        hours[local.getUTCHours()]++;
+        slots[timeSlot(local.getUTCHours())]++;
+    });
+
+    const averageMessages = average(sessions.map(diary => diary.conversationCount));
+    const averageMinutes = average(sessions.map(diary => diary.duration || 0));
+
+    return {
+        period,
+        totals: {
+            diaries: entries.length,
+            estimatedMoods: entries.filter(entry => !entry.diary.mood).length
+        },
+        moodTrend: moodTrend(entries, { period, now: localNow }),
+        emotions: countBy(entries.map(entry => entry.mood.dominant).filter(label => EMOTIONS[label]))
+            .map(([label, count]) => ({ label, count })),
+        topics: countBy(entries.flatMap(entry => topicsOf(entry.diary)))
+            .map(([topic, count]) => ({ topic, count })),
+        streaks: streaks(entries.map(entry => dayKey(entry.local)), dayKey(localNow)),
+        conversation: {
+            sessions: sessions.length,
+            averageMessages: averageMessages === null ? null : round(averageMessages, 1),
+            averageMinutes: averageMinutes === null ? null : round(averageMinutes, 1)
+        },
+        timeOfDay: { hours, slots }
+    };
+}
+
+module.exports = {
+    TOPICS,
+    extractTopics,
+    collectTopics,
+    buildAnalytics
+};
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const TRANSCODE_SAMPLE_RATE = 16000;
+const WAV_HEADER_BYTES = 44;
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+const MIME_TYPES = {
+    webm: 'audio/webm',
+    ogg: 'audio/ogg',
+    wav: 'audio/wav',
+    flac: 'audio/flac',
+    mp3: 'audio/mpeg',
+    mp4: 'audio/mp4'
+};
+
+// 先頭バイトから音声コンテナを判定（拡張子やContent-Typeはブラウザごとにばらつくため使わない）
+function detectFormat(buffer) {
+    if (buffer.length < 12) return 'unknown';
+    if (buffer.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+    if (buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+    if (buffer.toString('ascii', 0, 4) === 'fLaC') return 'flac';
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') return 'mp4';
+    if (buffer.toString('ascii', 0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'mp3';
+    return 'unknown';
+}
+
+// WAVのfmt/dataチャンクを読む（PCM以外や壊れたヘッダはnull）
+function readWavInfo(buffer) {
+    let offset = 12;
+    let info = null;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === 'fmt ' && body + 16 <= buffer.length) {
+            info = {
+                audioFormat: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                byteRate: buffer.readUInt32LE(body + 8),
+                blockAlign: buffer.readUInt16LE(body + 12),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (id === 'data' && info) {
+            // ヘッダーの値が食い違うWAVは読まない（分割の計算が成り立たない）
+            if (!isConsistentWavFormat(info)) return null;
+            return {
+                ...info,
+                dataOffset: body,
+                dataBytes: Math.min(size, buffer.length - body),
+                durationSec: info.byteRate ? Math.min(size, buffer.length - body) / info.byteRate : null
+            };
+        }
+        offset = body + size + (size % 2);
+    }
+    return null;
+}
+
+function isConsistentWavFormat({ channels, sampleRate, byteRate, blockAlign, bitsPerSample }) {
+    return channels > 0
+        && sampleRate > 0
+        && bitsPerSample > 0
+        && bitsPerSample % 8 === 0
+        && blockAlign === channels * bitsPerSample / 8
+        && byteRate === sampleRate * blockAlign;
+}
+
+// FLACのSTREAMINFOからサンプルレートとチャンネル数を読む
+function readFlacInfo(buffer) {
+    if (buffer.length < 26) return null;
+    const packed = buffer.readUInt32BE(18);
+    return {
+        sampleRate: packed >>> 12,
+        channels: ((packed >>> 9) & 0x07) + 1
+    };
+}
+
+function run(command, args, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                error.message = `${error.message} ${String(stderr).substring(0, 200)}`.trim();
+                return reject(error);
+            }
+            resolve(String(stdout));
+        });
+    });
+}
+
+class AudioProcessor {
+    constructor({ ffmpegPath, ffprobePath, tmpDir }) {
+        this.ffmpegPath = ffmpegPath;
+        this.ffprobePath = ffprobePath;
+        this.tmpDir = tmpDir;
+        this.seq = 0;
+        this.ffmpegAvailable = null;
+    }
+
+    async hasFfmpeg() {
+        if (this.ffmpegAvailable === null) {
+            this.ffmpegAvailable = await run(this.ffmpegPath, ['-version'], 10 * 1000)
+                .then(() => true, () => false);
+        }
+        return this.ffmpegAvailable;
+    }
+
+    tmpPath(suffix) {
+        return path.join(this.tmpDir, `audio-${process.pid}-${Date.now()}-${this.seq++}${suffix}`);
+    }
+
+    // 形式・サンプルレート・長さを調べる
+    async probe(filePath) {
+        const buffer = await fs.promises.readFile(filePath);
+        const format = detectFormat(buffer);
+        const info = { path: filePath, format, mimeType: MIME_TYPES[format] || 'application/octet-stream', size: buffer.length };
+
+        if (format === 'wav') {
+            const wav = readWavInfo(buffer);
+            if (wav) Object.assign(info, wav);
+        } else if (format === 'flac') {
+            Object.assign(info, readFlacInfo(buffer));
+        } else if (format === 'webm' || format === 'ogg') {
+            // Opusは常に48kHzでデコードされる
+            info.sampleRate = 48000;
+        }
+
+        if (info.durationSec === undefined) {
+            info.durationSec = await this.probeDuration(filePath);
+        }
+        return info;
+    }
+
+    async probeDuration(filePath) {
+        try {
+            const output = await run(this.ffprobePath, [
+                '-v', 'error',
+                '-show_entries', 'format=duration',
+                '-of', 'default=noprint_wrappers=1:nokey=1',
+                filePath
+            ], 30 * 1000);
+            const duration = parseFloat(output);
+            return Number.isFinite(duration) ? duration : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // 16kHzモノラル16bitのWAVに変換
+    async transcodeToWav(filePath) {
+        if (!(await this.hasFfmpeg())) {
+            const error = new Error('この音声形式を変換するには ffmpeg が必要です');
+            error.code = 'UNSUPPORTED_AUDIO';
+            throw error;
+        }
+        const output = this.tmpPath('.wav');
+        await run(this.ffmpegPath, [
+            '-y', '-v', 'error',
+            '-i', filePath,
+            '-ac', '1',
+            '-ar', String(TRANSCODE_SAMPLE_RATE),
+            '-c:a', 'pcm_s16le',
+            output
+        ]);
+        return this.probe(output);
+    }
+
+    // PCMのWAVを指定秒数ごとのWAVに分割（サンプル単位で切るのでffmpeg不要）
+    async splitWav(info, seconds) {
+        const buffer = await fs.promises.readFile(info.path);
+        const chunkBytes = Math.floor(seconds * info.byteRate / info.blockAlign) * info.blockAlign;
+        if (!(chunkBytes > 0) || !(info.dataBytes >= 0) || info.dataOffset + info.dataBytes > buffer.length) {
+            throw new Error('WAVのヘッダーが正しくないため分割できません');
+        }
+        const chunks = [];
+
+        for (let start = 0; start < info.dataBytes; start += chunkBytes) {
+            const data = buffer.subarray(info.dataOffset + start, info.dataOffset + Math.min(start + chunkBytes, info.dataBytes));
+            const header = Buffer.alloc(WAV_HEADER_BYTES);
+            header.write('RIFF', 0, 'ascii');
+            header.writeUInt32LE(36 + data.length, 4);
+            header.write('WAVE', 8, 'ascii');
+            header.write('fmt ', 12, 'ascii');
+            header.writeUInt32LE(16, 16);
+            header.writeUInt16LE(info.audioFormat, 20);
+            header.writeUInt16LE(info.channels, 22);
+            header.writeUInt32LE(info.sampleRate, 24);
+            header.writeUInt32LE(info.byteRate, 28);
+            header.writeUInt16LE(info.blockAlign, 32);
+            header.writeUInt16LE(info.bitsPerSample, 34);
+            header.write('data', 36, 'ascii');
+            header.writeUInt32LE(data.length, 40);
+
+            const chunkPath = this.tmpPath('.wav');
+            await fs.promises.writeFile(chunkPath, Buffer.concat([header, data]));
+            chunks.push({
+                ...info,
+                path: chunkPath,
+                size: WAV_HEADER_BYTES + data.length,
+                dataOffset: WAV_HEADER_BYTES,
+                dataBytes: data.length,
+                durationSec: data.length / info.byteRate
+            });
+        }
+        return chunks;
+    }
+
+    // エンジンが受け付ける形式に変換し、長い録音は分割する
+    // 戻り値の cleanup() で作った一時ファイルを削除する
+    async prepare(filePath, engine) {
+        const created = [];
+        const cleanup = async () => {
+            await Promise.all(created.map(file => fs.promises.unlink(file).catch(() => {})));
+        };
+
+        try {
+            const source = await this.probe(filePath);
+            let info = source;
+            if (!engine.accepts(info)) {
+                info = await this.transcodeToWav(filePath);
+                created.push(info.path);
+            }
+
+            const maxSeconds = engine.maxChunkSeconds || Infinity;
+            // MediaRecorderのWebMはffprobeでも長さが出ないので、WAVにしてヘッダーから長さを読む
+            // （ffmpegがなければ調べようがないのでそのまま送る）
+            if (!info.durationSec && maxSeconds !== Infinity && info.format !== 'wav' && await this.hasFfmpeg()) {
+                info = await this.transcodeToWav(info.path);
+                created.push(info.path);
+            }
+            if (info.durationSec && info.durationSec > maxSeconds) {
+                if (info.format !== 'wav') {
+                    info = await this.transcodeToWav(info.path);
+                    created.push(info.path);
+                }
+                const chunks = await this.splitWav(info, maxSeconds);
+                created.push(...chunks.map(chunk => chunk.path));
+                return { source, info, chunks, cleanup };
+            }
+            return { source, info, chunks: [info], cleanup };
+        } catch (error) {
+            await cleanup();
+            throw error;
+        }
+    }
+}
+
+// 環境変数から音声処理を生成
+function createAudioProcessor(env = process.env, { tmpDir } = {}) {
+    return new AudioProcessor({
+        ffmpegPath: env.FFMPEG_PATH || 'ffmpeg',
+        ffprobePath: env.FFPROBE_PATH || 'ffprobe',
+        tmpDir: tmpDir || env.AUDIO_TMP_DIR || '/tmp'
+    });
+}
+
+module.exports = {
+    AudioProcessor,
+    createAudioProcessor,
+    detectFormat,
+    readWavInfo,
+    readFlacInfo,
+    MIME_TYPES,
+    TRANSCODE_SAMPLE_RATE
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createBlobStore } = require('./blobStore');
+
+const DEFAULT_UNLINKED_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 発話の音声（sourcePath のファイル、または buffer の音声を取り込む。元ファイルは呼び出し側で削除する）
+const AUDIO_KIND = {
+    label: '音声',
+    extensions: { main: '.audio' },
+    async create(userId, clip) {
+        const buffer = clip.buffer || await fs.promises.readFile(clip.sourcePath);
+        return {
+            item: {
+                id: crypto.randomUUID(),
+                userId,
+                mimeType: clip.mimeType || 'application/octet-stream',
+                size: buffer.length,
+                durationSec: clip.durationSec ?? null,
+                sessionId: clip.sessionId || null,
+                diaryId: null,
+                createdAt: new Date().toISOString()
+            },
+            parts: { main: buffer }
+        };
+    }
+};
+
+// 環境変数から音声ストアを生成
+function createAudioStore(env = process.env) {
+    return createBlobStore(env, {
+        kind: AUDIO_KIND,
+        prefix: 'AUDIO',
+        defaultDir: path.join(__dirname, '..', 'data', 'audio'),
+        defaultUnlinkedTtlMs: DEFAULT_UNLINKED_TTL_MS
+    });
+}
+
+module.exports = {
+    AUDIO_KIND,
+    createAudioStore
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+const DEFAULT_TOKEN_TTL_HOURS = 24 * 30;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_USERNAME_LENGTH = 32;
+
+// AUTH_SECRET未設定時は起動ごとに生成（再起動でトークンは無効になる）
+const secret = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+    console.warn('AUTH_SECRET環境変数が未設定 - 再起動するとログイン状態が失われます');
+}
+const tokenTtlMs = Number(process.env.AUTH_TOKEN_TTL_HOURS || DEFAULT_TOKEN_TTL_HOURS) * 60 * 60 * 1000;
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return { salt, hash };
+}
+
+function verifyPassword(password, user) {
+    const { hash } = hashPassword(password, user.passwordSalt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+// HS256のJWT形式でトークンを発行
+function signToken(user) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: user.id,
+        name: user.username,
+        exp: Math.floor((Date.now() + tokenTtlMs) / 1000)
+    }));
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+// 署名と有効期限を検証し、ペイロードを返す（不正ならnull）
+function verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.sub || !claims.exp || claims.exp * 1000 < Date.now()) return null;
+        return claims;
+    } catch (err) {
+        return null;
+    }
+}
+
+function validateCredentials(username, password) {
+    if (!username || typeof username !== 'string' || !username.trim()) {
+        return 'ユーザ名を入力してください';
+    }
+    if (username.trim().length > MAX_USERNAME_LENGTH) {
+        return `ユーザ名は${MAX_USERNAME_LENGTH}文字以内で入力してください`;
+    }
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `パスワードは${MIN_PASSWORD_LENGTH}文字以上で入力してください`;
+    }
+    return null;
+}
+
+// Authorization: Bearer <token> を検証して req.user を設定するミドルウェア
+function requireAuth(userStore) {
+    return async (req, res, next) => {
+        try {
+            const [scheme, token] = (req.headers.authorization || '').split(' ');
+            const claims = scheme === 'Bearer' ? verifyToken(token) : null;
+            const user = claims ? await userStore.findById(claims.sub) : null;
+
+            if (!user) {
+                return res.status(401).json({ error: '認証が必要です。ログインしてください' });
+            }
+
+            req.user = { id: user.id, username: user.username };
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// クライアントに返すユーザー情報（パスワード関連は含めない）
+function publicUser(user) {
+    return { id: user.id, username: user.username, createdAt: user.createdAt };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    validateCredentials,
+    requireAuth,
+    publicUser
+};
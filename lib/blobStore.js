@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 保存期間を過ぎたか（日記に紐づかないまま残ったものは unlinkedTtlMs で消す）
+function isExpired(item, { retentionDays, unlinkedTtlMs }, now = Date.now()) {
+    const age = now - new Date(item.createdAt).getTime();
+    if (retentionDays > 0 && age > retentionDays * DAY_MS) return true;
+    return !item.diaryId && age > unlinkedTtlMs;
+}
+
+// 中身（発話の音声、写真とサムネイルなど）とメタデータを組にして置くストア
+// kind: {
+//   label: ログに出す名前,
+//   extensions: { main: '.audio', ... } 中身ごとのファイルの拡張子,
+//   create(userId, input) → { item, parts: { main: Buffer, ... } } 保存するメタデータと中身,
+//   part(item, options) → 読み出す中身の名前（省略時は main）
+// }
+// メモリ上のストア（テスト・デモ用）
+class MemoryBlobStore {
+    constructor({ kind, unlinkedTtlMs }) {
+        this.kind = kind;
+        this.unlinkedTtlMs = unlinkedTtlMs;
+        this.items = new Map();
+        this.data = new Map();
+    }
+
+    async load() {
+        return this.items.size;
+    }
+
+    async save(userId, input) {
+        const { item, parts } = await this.kind.create(userId, input);
+        await this.write(item, parts);
+        this.items.set(item.id, item);
+        await this.persist(item);
+        return item;
+    }
+
+    async write(item, parts) {
+        this.data.set(item.id, parts);
+    }
+
+    async get(userId, id) {
+        const item = this.items.get(id);
+        return item && item.userId === userId ? item : null;
+    }
+
+    partName(item, options) {
+        return this.kind.part ? this.kind.part(item, options) : 'main';
+    }
+
+    async createReadStream(userId, id, options = {}) {
+        const item = await this.get(userId, id);
+        return item ? Readable.from([this.data.get(id)[this.partName(item, options)]]) : null;
+    }
+
+    // 日記に紐づける（紐づいたものは日記と一緒に消える）
+    async link(userId, ids, diaryId) {
+        for (const id of ids) {
+            const item = await this.get(userId, id);
+            if (!item) continue;
+            item.diaryId = diaryId;
+            await this.persist(item);
+        }
+    }
+
+    async delete(userId, id) {
+        const item = await this.get(userId, id);
+        if (!item) return false;
+        this.items.delete(id);
+        await this.remove(item);
+        return true;
+    }
+
+    async remove(item) {
+        this.data.delete(item.id);
+    }
+
+    async deleteForDiary(userId, diaryId) {
+        const items = Array.from(this.items.values())
+            .filter(item => item.userId === userId && item.diaryId === diaryId);
+        for (const item of items) {
+            await this.delete(userId, item.id);
+        }
+        return items.length;
+    }
+
+    // ユーザーの分をすべて削除（日記を暗号化するときに、平文で残るものを消す）
+    async deleteAll(userId) {
+        const items = Array.from(this.items.values()).filter(item => item.userId === userId);
+        for (const item of items) {
+            await this.delete(userId, item.id);
+        }
+        return items.length;
+    }
+
+    // 保存期間の切れたものを削除（retentionDaysFor(userId) でユーザーごとの保存日数を引く）
+    async sweep(retentionDaysFor = () => 0) {
+        let removed = 0;
+        for (const item of Array.from(this.items.values())) {
+            const retentionDays = await retentionDaysFor(item.userId);
+            if (isExpired(item, { retentionDays, unlinkedTtlMs: this.unlinkedTtlMs })) {
+                await this.delete(item.userId, item.id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async persist() {}
+}
+
+// ローカルディスクのストア（ユーザーごとのディレクトリに中身とメタデータJSONを置く）
+class FileBlobStore extends MemoryBlobStore {
+    constructor({ kind, dir, unlinkedTtlMs }) {
+        super({ kind, unlinkedTtlMs });
+        this.dir = dir;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    userDir(userId) {
+        return path.join(this.dir, String(userId).replace(/[^A-Za-z0-9_-]/g, '_'));
+    }
+
+    partPath(item, part) {
+        return path.join(this.userDir(item.userId), `${item.id}${this.kind.extensions[part]}`);
+    }
+
+    metaPath(item) {
+        return path.join(this.userDir(item.userId), `${item.id}.json`);
+    }
+
+    async load() {
+        const users = await fs.promises.readdir(this.dir);
+        for (const user of users) {
+            const files = await fs.promises.readdir(path.join(this.dir, user)).catch(() => []);
+            for (const file of files) {
+                if (!file.endsWith('.json')) continue;
+                try {
+                    const item = JSON.parse(await fs.promises.readFile(path.join(this.dir, user, file), 'utf8'));
+                    this.items.set(item.id, item);
+                } catch (err) {
+                    console.warn(`${this.kind.label}メタデータ読み込み警告:`, file, err.message);
+                }
+            }
+        }
+        return this.items.size;
+    }
+
+    async write(item, parts) {
+        await fs.promises.mkdir(this.userDir(item.userId), { recursive: true });
+        for (const [part, buffer] of Object.entries(parts)) {
+            if (buffer) await fs.promises.writeFile(this.partPath(item, part), buffer);
+        }
+    }
+
+    async createReadStream(userId, id, options = {}) {
+        const item = await this.get(userId, id);
+        return item ? fs.createReadStream(this.partPath(item, this.partName(item, options))) : null;
+    }
+
+    async remove(item) {
+        const files = [...Object.keys(this.kind.extensions).map(part => this.partPath(item, part)), this.metaPath(item)];
+        await Promise.all(files.map(file =>
+            fs.promises.unlink(file).catch(err => {
+                if (err.code !== 'ENOENT') throw err;
+            })
+        ));
+    }
+
+    async persist(item) {
+        const target = this.metaPath(item);
+        const tmp = `${target}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(item));
+        await fs.promises.rename(tmp, target);
+    }
+}
+
+// 環境変数の <prefix>_STORE で選んだストアを生成
+function createBlobStore(env, { kind, prefix, defaultDir, defaultUnlinkedTtlMs }) {
+    const type = env[`${prefix}_STORE`] || 'file';
+    const unlinkedTtlMs = env[`${prefix}_UNLINKED_TTL_HOURS`]
+        ? Number(env[`${prefix}_UNLINKED_TTL_HOURS`]) * 60 * 60 * 1000
+        : defaultUnlinkedTtlMs;
+
+    if (type === 'file') {
+        const dir = env[`${prefix}_STORE_DIR`] || defaultDir;
+        return new FileBlobStore({ kind, dir, unlinkedTtlMs });
+    }
+    if (type !== 'memory') {
+        console.warn(`未対応の${prefix}_STORE: ${type} - memoryを使用`);
+    }
+    return new MemoryBlobStore({ kind, unlinkedTtlMs });
+}
+
+module.exports = {
+    MemoryBlobStore,
+    FileBlobStore,
+    createBlobStore,
+    isExpired
+};
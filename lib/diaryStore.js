@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 更新可能なフィールド（id や userId は書き換えさせない）
+// encrypted は端末で暗号化した内容（{ v, keyId, iv, data }）で、サーバーでは開けない
+// language は日記を書いた言語、conversationLanguage は対話の言語（語学学習で別の言語で書くことがある）
+const CONTENT_FIELDS = ['title', 'text', 'date', 'style', 'voice', 'language', 'encrypted'];
+// 対話を続けてまとめ直したときに書き換わる項目（clientId は送り直しで二重に書き直さないよう、最後にまとめた端末のID）
+const SUMMARY_FIELDS = ['transcript', 'mood', 'topics', 'moodTimeline', 'audio', 'photos', 'conversationCount', 'duration', 'sessionId', 'mode', 'clientId', 'conversationLanguage'];
+// 生成時の検証結果は、内容と一緒に変わるときだけ書き換える
+const UPDATABLE_FIELDS = [...CONTENT_FIELDS, ...SUMMARY_FIELDS, 'verification'];
+// 暗号化した日記では、内容がわかる項目は encrypted の中にだけ置く
+const PLAINTEXT_FIELDS = ['title', 'text', 'mood', 'topics', 'moodTimeline', 'verification', 'audio', 'photos', 'transcript'];
+
+function pageSize(limit) {
+    const size = Number(limit) || DEFAULT_PAGE_SIZE;
+    return Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+}
+
+// 日付の新しい順（同日時はIDで固定順）
+function compareDiaries(a, b) {
+    if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+    return a.id < b.id ? 1 : -1;
+}
+
+function newDiary(userId, diary) {
+    const now = new Date().toISOString();
+    return {
+        ...diary,
+        id: crypto.randomUUID(),
+        userId,
+        type: 'dialog',
+        ...(diary.encrypted ? {} : { title: diary.title || 'タイトルなし' }),
+        date: diary.date || now,
+        revision: 1,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+function hasChanges(diary, changes) {
+    return [...CONTENT_FIELDS, ...SUMMARY_FIELDS].some(field => changes[field] !== undefined && changes[field] !== diary[field]);
+}
+
+// 更新前の内容を版として残すためのスナップショット
+function snapshotOf(diary) {
+    return {
+        revision: diary.revision || 1,
+        // 暗号化した日記の版は暗号文のまま残す
+        ...(diary.encrypted ? { encrypted: diary.encrypted } : { title: diary.title, text: diary.text }),
+        date: diary.date,
+        // Firestore は undefined を保存できないので、スタイルのない日記では省く
+        ...(diary.style ? { style: diary.style, voice: diary.voice } : {}),
+        savedAt: diary.updatedAt
+    };
+}
+
+function applyChanges(diary, changes) {
+    const updated = {
+        ...diary,
+        revision: (diary.revision || 1) + 1,
+        updatedAt: new Date().toISOString()
+    };
+    UPDATABLE_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+    if (changes.encrypted) {
+        PLAINTEXT_FIELDS.forEach(field => delete updated[field]);
+    }
+    return updated;
+}
+
+// 現在の版を先頭に、新しい順で並べた版の一覧
+function revisionHistory(diary, pastRevisions) {
+    const current = { ...snapshotOf(diary), current: true };
+    const past = [...pastRevisions].sort((a, b) => b.revision - a.revision);
+    return [current, ...past];
+}
+
+// メモリ上の日記ストア（テスト・デモ用）
+class MemoryDiaryStore {
+    constructor() {
+        this.diaries = new Map();
+        this.revisions = new Map();
+    }
+
+    async load() {
+        return this.diaries.size;
+    }
+
+    async userDiaries(userId) {
+        return Array.from(this.diaries.values()).filter(diary => diary.userId === userId);
+    }
+
+    async create(userId, diary) {
+        const created = newDiary(userId, diary);
+        this.diaries.set(created.id, created);
+        await this.persist(userId);
+        return created;
+    }
+
+    // まとめて作成（取り込みで1件ごとに書き込まないよう、保存は1回だけ）
+    async createMany(userId, diaries) {
+        const created = diaries.map(diary => newDiary(userId, diary));
+        created.forEach(diary => this.diaries.set(diary.id, diary));
+        await this.persist(userId);
+        return created;
+    }
+
+    // cursor は前ページ最後の日記ID、mood は気分のラベル（joy、mixed など）で絞り込む
+    async list(userId, { limit, cursor, mood } = {}) {
+        const size = pageSize(limit);
+        const sorted = (await this.userDiaries(userId))
+            .filter(diary => !mood || (diary.mood?.labels || []).includes(mood))
+            .sort(compareDiaries);
+        const start = cursor ? sorted.findIndex(diary => diary.id === cursor) + 1 : 0;
+        const items = sorted.slice(start, start + size);
+        const hasMore = start + size < sorted.length;
+        return { items, nextCursor: hasMore ? items[items.length - 1].id : null };
+    }
+
+    async get(userId, id) {
+        const diary = this.diaries.get(id);
+        return diary && diary.userId === userId ? diary : null;
+    }
+
+    // dropHistory: 前の版を残さず、これまでの版も消す（平文や古い鍵の暗号文を残さないため）
+    async update(userId, id, changes, { dropHistory = false } = {}) {
+        const diary = await this.get(userId, id);
+        if (!diary) return null;
+        if (!hasChanges(diary, changes)) return diary;
+
+        const updated = applyChanges(diary, changes);
+        this.revisions.set(id, dropHistory ? [] : [...(this.revisions.get(id) || []), snapshotOf(diary)]);
+        this.diaries.set(id, updated);
+        await this.persist(userId);
+        return updated;
+    }
+
+    async delete(userId, id) {
+        const diary = await this.get(userId, id);
+        if (!diary) return false;
+        this.diaries.delete(id);
+        this.revisions.delete(id);
+        await this.persist(userId);
+        return true;
+    }
+
+    async listRevisions(userId, id) {
+        const diary = await this.get(userId, id);
+        if (!diary) return null;
+        return revisionHistory(diary, this.revisions.get(id) || []);
+    }
+
+    async getRevision(userId, id, revision) {
+        const history = await this.listRevisions(userId, id);
+        return history ? history.find(item => item.revision === Number(revision)) || null : null;
+    }
+
+    async persist() {}
+}
+
+// ファイル保存の日記ストア（ユーザーごとに1ファイル、オフライン動作用）
+class FileDiaryStore extends MemoryDiaryStore {
+    constructor({ dir }) {
+        super();
+        this.dir = dir;
+        this.writing = Promise.resolve();
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    filePath(userId) {
+        return path.join(this.dir, `${String(userId).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+    }
+
+    async load() {
+        const files = await fs.promises.readdir(this.dir);
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const diaries = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+                diaries.forEach(({ revisions, ...diary }) => {
+                    this.diaries.set(diary.id, diary);
+                    if (revisions) this.revisions.set(diary.id, revisions);
+                });
+            } catch (err) {
+                console.warn('日記読み込み警告:', file, err.message);
+            }
+        }
+        return this.diaries.size;
+    }
+
+    async persist(userId) {
+        // 同時書き込みで一時ファイルが衝突しないよう直列化する
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const target = this.filePath(userId);
+            const tmp = `${target}.${process.pid}.tmp`;
+            const diaries = (await this.userDiaries(userId)).map(diary => ({
+                ...diary,
+                revisions: this.revisions.get(diary.id) || []
+            }));
+            await fs.promises.writeFile(tmp, JSON.stringify(diaries));
+            await fs.promises.rename(tmp, target);
+        });
+        return this.writing;
+    }
+}
+
+// Firestore の日記ストア（users/{userId}/diaries/{diaryId}、版は revisions サブコレクション）
+class FirestoreDiaryStore {
+    constructor({ projectId, databaseId }) {
+        const { Firestore } = require('@google-cloud/firestore');
+        this.db = new Firestore({ projectId, databaseId });
+    }
+
+    collection(userId) {
+        return this.db.collection('users').doc(userId).collection('diaries');
+    }
+
+    async load() {
+        return 0;
+    }
+
+    // 集計用に全件を取得する
+    async userDiaries(userId) {
+        const snapshot = await this.collection(userId).get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    async create(userId, diary) {
+        const created = newDiary(userId, diary);
+        await this.collection(userId).doc(created.id).set(created);
+        return created;
+    }
+
+    // バッチ書き込みは1回500件まで
+    async createMany(userId, diaries) {
+        const created = diaries.map(diary => newDiary(userId, diary));
+        for (let start = 0; start < created.length; start += 500) {
+            const batch = this.db.batch();
+            created.slice(start, start + 500).forEach(diary => batch.set(this.collection(userId).doc(diary.id), diary));
+            await batch.commit();
+        }
+        return created;
+    }
+
+    async list(userId, { limit, cursor, mood } = {}) {
+        const size = pageSize(limit);
+        let query = this.collection(userId);
+        if (mood) {
+            // mood.labels と date の複合インデックスが必要
+            query = query.where('mood.labels', 'array-contains', mood);
+        }
+        query = query
+            .orderBy('date', 'desc')
+            .orderBy('id', 'desc')
+            .limit(size + 1);
+
+        if (cursor) {
+            const cursorDoc = await this.collection(userId).doc(cursor).get();
+            if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+        }
+
+        const snapshot = await query.get();
+        const items = snapshot.docs.slice(0, size).map(doc => doc.data());
+        const hasMore = snapshot.size > size;
+        return { items, nextCursor: hasMore ? items[items.length - 1].id : null };
+    }
+
+    async get(userId, id) {
+        const doc = await this.collection(userId).doc(id).get();
+        return doc.exists ? doc.data() : null;
+    }
+
+    async update(userId, id, changes, { dropHistory = false } = {}) {
+        const diary = await this.get(userId, id);
+        if (!diary) return null;
+        if (!hasChanges(diary, changes)) return diary;
+
+        const updated = applyChanges(diary, changes);
+        const ref = this.collection(userId).doc(id);
+        if (dropHistory) {
+            await this.db.recursiveDelete(ref.collection('revisions'));
+        }
+        const batch = this.db.batch();
+        if (!dropHistory) {
+            const snapshot = snapshotOf(diary);
+            batch.set(ref.collection('revisions').doc(String(snapshot.revision)), snapshot);
+        }
+        batch.set(ref, updated);
+        await batch.commit();
+        return updated;
+    }
+
+    async delete(userId, id) {
+        const ref = this.collection(userId).doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) return false;
+        await this.db.recursiveDelete(ref);
+        return true;
+    }
+
+    async listRevisions(userId, id) {
+        const diary = await this.get(userId, id);
+        if (!diary) return null;
+        const snapshot = await this.collection(userId).doc(id).collection('revisions').get();
+        return revisionHistory(diary, snapshot.docs.map(doc => doc.data()));
+    }
+
+    async getRevision(userId, id, revision) {
+        const history = await this.listRevisions(userId, id);
+        return history ? history.find(item => item.revision === Number(revision)) || null : null;
+    }
+}
+
+// 環境変数から日記ストアを生成
+function createDiaryStore(env = process.env) {
+    const type = env.DIARY_STORE || 'file';
+
+    if (type === 'firestore') {
+        return new FirestoreDiaryStore({
+            projectId: env.GOOGLE_CLOUD_PROJECT,
+            databaseId: env.FIRESTORE_DATABASE_ID || 'voice-diary-db'
+        });
+    }
+    if (type === 'file') {
+        const dir = env.DIARY_STORE_DIR || path.join(__dirname, '..', 'data', 'diaries');
+        return new FileDiaryStore({ dir });
+    }
+    if (type !== 'memory') {
+        console.warn(`未対応のDIARY_STORE: ${type} - memoryを使用`);
+    }
+    return new MemoryDiaryStore();
+}
+
+module.exports = {
+    PLAINTEXT_FIELDS,
+    MemoryDiaryStore,
+    FileDiaryStore,
+    FirestoreDiaryStore,
+    createDiaryStore
+};
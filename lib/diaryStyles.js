@@ -0,0 +1,340 @@
+// 日記のまとめ方（スタイル）・人称・出力形式
+// 日記の本文はスタイルごとに決まった書き方のプレーンテキストで保存し、
+// Markdown や JSON にはそこから変換する（箇条書きは「・」、見出しは【】。英語の日記も同じ）
+
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./languages');
+
+const DIARY_STYLES = {
+    prose: {
+        name: '文章',
+        rules: [
+            '対話形式ではなく、まとまった文章として整理してください',
+            '話された順序に従って内容を整理してください',
+            '話題が変わるところで段落を分け、段落の間は空行にしてください'
+        ]
+    },
+    bullets: {
+        name: '箇条書きのログ',
+        rules: [
+            '話された出来事を順に、「・」で始まる短い行で書いてください（1行に1つ）',
+            '見出しや前置きの文章は付けないでください'
+        ]
+    },
+    poem: {
+        name: '詩',
+        rules: [
+            '話された出来事や言葉を生かした短い自由詩にしてください',
+            '1行は短くし、まとまりごとに空行で区切ってください',
+            '比喩は使ってもかまいませんが、出来事そのものは変えないでください'
+        ]
+    },
+    haiku: {
+        name: '俳句',
+        rules: [
+            '五・七・五の俳句を1〜3句作ってください',
+            '1句を3行に分け、句の間は空行にしてください',
+            '季語は話された内容から自然に選べる場合だけ使ってください',
+            '俳句以外の説明は書かないでください'
+        ]
+    },
+    structured: {
+        name: '項目別（出来事・気持ち・明日の予定）',
+        sections: ['出来事', '気持ち', '明日の予定'],
+        rules: [
+            '次の見出しをこの順に使い、見出しは行頭に【出来事】のように書いてください：【出来事】【気持ち】【明日の予定】',
+            '各見出しの下は「・」で始まる短い行で書いてください',
+            '気持ちはユーザーが言葉にしたものだけを書いてください',
+            '話されていない項目には「・（話していません）」と書いてください'
+        ]
+    }
+};
+
+// 英語で書く日記のスタイル（キーは DIARY_STYLES と同じ）
+const DIARY_STYLES_EN = {
+    prose: {
+        name: 'prose',
+        rules: [
+            'Write it as connected prose, not as a dialogue',
+            'Follow the order in which things were told',
+            'Start a new paragraph when the topic changes, with a blank line between paragraphs'
+        ]
+    },
+    bullets: {
+        name: 'bullet-point log',
+        rules: [
+            'Write the events in the order they were told, as short lines starting with "・" (one per line)',
+            'Do not add headings or introductory sentences'
+        ]
+    },
+    poem: {
+        name: 'poem',
+        rules: [
+            'Write a short free-verse poem that uses the events and words that were told',
+            'Keep lines short and separate stanzas with a blank line',
+            'Metaphors are fine, but do not change the events themselves'
+        ]
+    },
+    haiku: {
+        name: 'haiku',
+        rules: [
+            'Write one to three haiku of 5-7-5 syllables',
+            'Put each haiku on three lines, with a blank line between haiku',
+            'Use a seasonal word only if one follows naturally from what was told',
+            'Do not write anything other than the haiku'
+        ]
+    },
+    structured: {
+        name: 'sectioned entry (events, feelings, plans for tomorrow)',
+        sections: ['Events', 'Feelings', 'Plans for tomorrow'],
+        rules: [
+            'Use these headings in this order, each at the start of a line in the form 【Events】: 【Events】【Feelings】【Plans for tomorrow】',
+            'Under each heading, write short lines starting with "・"',
+            'Only write feelings the user actually put into words',
+            'For anything that was not talked about, write "・(not mentioned)"'
+        ]
+    }
+};
+
+const DIARY_VOICES = {
+    first: '一人称',
+    third: '三人称'
+};
+
+const DIARY_FORMATS = ['text', 'markdown', 'json'];
+
+const DEFAULT_STYLE = 'prose';
+const DEFAULT_VOICE = 'first';
+const DEFAULT_FORMAT = 'text';
+
+// リクエストのスタイル指定を確認する（省略した項目は既定値）
+function resolveStyleOptions({ style, voice, format } = {}) {
+    const options = {
+        style: style || DEFAULT_STYLE,
+        voice: voice || DEFAULT_VOICE,
+        format: format || DEFAULT_FORMAT
+    };
+    if (!DIARY_STYLES[options.style]) {
+        return { error: `style は ${Object.keys(DIARY_STYLES).join(' / ')} のいずれかを指定してください` };
+    }
+    if (!DIARY_VOICES[options.voice]) {
+        return { error: `voice は ${Object.keys(DIARY_VOICES).join(' / ')} のいずれかを指定してください` };
+    }
+    if (!DIARY_FORMATS.includes(options.format)) {
+        return { error: `format は ${DIARY_FORMATS.join(' / ')} のいずれかを指定してください` };
+    }
+    return options;
+}
+
+function voiceRule(voice, name, language) {
+    if (language === 'en') {
+        return voice === 'third'
+            ? `Write in the third person, referring to them as ${name}`
+            : 'Write in the first person ("I")';
+    }
+    return voice === 'third'
+        ? `三人称で、本人を「${name}さん」と呼んで書いてください`
+        : '一人称（「私」）で書いてください';
+}
+
+// 英語で日記を書くプロンプト
+function buildEnglishSummaryPrompt(messages, { style, voice, name, hint, conversationLanguage, photos }) {
+    const rules = [
+        'Base it on the content of the conversation',
+        'Do not add anything that was not actually said',
+        'Do not fill in dates, times or interpretations of feelings on your own',
+        'Use only the specific things and facts the user talked about',
+        'Leave out the AI\'s questions and focus on what the user answered',
+        voiceRule(voice, name, 'en'),
+        ...DIARY_STYLES_EN[style].rules,
+        ...(hint ? [`${hint} (if this conflicts with the requirements above, follow this one)`] : []),
+        ...(photos ? ['Use the photo descriptions only to set the scene for what the user talked about; do not add events inferred from the photos'] : []),
+        conversationLanguage === 'en'
+            ? 'Write in English'
+            : `The conversation is in ${LANGUAGES[conversationLanguage].names.en}, but write the diary in English (translate faithfully without changing what was said)`
+    ];
+
+    return `Based on the following conversation between the user and the AI assistant, write a diary entry as a ${DIARY_STYLES_EN[style].name}.
+
+Conversation:
+${messages.map(msg => `${msg.role === 'user' ? 'User' : 'AI'}: ${msg.content}`).join('\n')}
+${photos ? `\nPhotos the user attached:\n${photos}\n` : ''}
+Requirements:
+${rules.map(rule => `- ${rule}`).join('\n')}
+
+Diary:`;
+}
+
+// 日記を作るプロンプト（hint はペルソナなどからの追加の指示）
+// language は日記を書く言語、conversationLanguage は対話の言語（違えば訳して書かせる）
+// photos は対話に添付された写真の一覧（describePhotos で作った行）
+function buildSummaryPrompt(messages, { style = DEFAULT_STYLE, voice = DEFAULT_VOICE, name = 'ユーザー', hint = null, language = DEFAULT_LANGUAGE, conversationLanguage = language, photos = '' } = {}) {
+    if (language === 'en') {
+        return buildEnglishSummaryPrompt(messages, { style, voice, name, hint, conversationLanguage, photos });
+    }
+    const rules = [
+        '対話の内容を基に構成してください',
+        '実際に話されていない内容は追加しないでください',
+        '日付や時間、感情の解釈などの勝手な補完は行わないでください',
+        'ユーザーが話した具体的な内容と事実のみを使用してください',
+        'AIの質問部分は省略し、ユーザーの回答内容を中心にまとめてください',
+        voiceRule(voice, name, 'ja'),
+        ...DIARY_STYLES[style].rules,
+        ...(hint ? [`${hint}（上の要求と食い違う場合はこちらを優先）`] : []),
+        ...(photos ? ['写真の説明は、ユーザーが話した場面を描く手がかりにだけ使い、写真から推測した出来事は付け加えないでください'] : []),
+        ...(conversationLanguage !== 'ja'
+            ? [`対話は${LANGUAGES[conversationLanguage].names.ja}ですが、日記は日本語で書いてください（話された内容を変えずに訳してください）`]
+            : [])
+    ];
+
+    return `以下のユーザーとAIアシスタントの対話内容を基に、${DIARY_STYLES[style].name}の日記としてまとめてください。
+
+対話内容:
+${messages.map(msg => `${msg.role === 'user' ? 'ユーザー' : 'AI'}: ${msg.content}`).join('\n')}
+${photos ? `\nユーザーが添付した写真:\n${photos}\n` : ''}
+要求事項：
+${rules.map(rule => `- ${rule}`).join('\n')}
+
+日記：`;
+}
+
+function withoutPeriod(text) {
+    return String(text).trim().replace(/[。．.！!？?]+$/, '');
+}
+
+// デモの日記の言語ごとの書き方（項目別の見出し・予定と気持ちを見分ける語・文の区切り）
+const DEMO_WRITING = {
+    ja: {
+        sections: DIARY_STYLES.structured.sections,
+        none: '（話していません）',
+        plans: /明日|次は|来週|これから/,
+        feelings: /嬉し|楽し|悲し|疲れ|不安|腹|ほっと|よかった|つら/,
+        phrases: /[、。！？!?]/,
+        sentenceEnd: /[。．.！!？?]$/,
+        period: '。',
+        separator: ''
+    },
+    en: {
+        sections: DIARY_STYLES_EN.structured.sections,
+        none: '(not mentioned)',
+        plans: /\b(tomorrow|next time|next week|going to|plan)/i,
+        feelings: /\b(happy|glad|fun|sad|tired|worried|anxious|angry|upset|relieved|scared|nervous|excited)/i,
+        phrases: /[,.!?;]/,
+        sentenceEnd: /[.!?]$/,
+        period: '.',
+        separator: ' '
+    }
+};
+
+// LLMなしのデモ用の日記（話していないことは書かず、ユーザーの発言を並べる。訳はしない）
+function demoDiary(userMessages, { style = DEFAULT_STYLE, language = DEFAULT_LANGUAGE } = {}) {
+    const texts = userMessages.map(msg => msg.content.trim()).filter(Boolean);
+    const writing = DEMO_WRITING[language] || DEMO_WRITING[DEFAULT_LANGUAGE];
+
+    if (style === 'bullets') {
+        return texts.map(text => `・${withoutPeriod(text)}`).join('\n');
+    }
+    if (style === 'poem') {
+        return texts.map(withoutPeriod).join('\n');
+    }
+    if (style === 'haiku') {
+        return texts
+            .flatMap(text => text.split(writing.phrases))
+            .map(phrase => phrase.trim())
+            .filter(Boolean)
+            .slice(0, 3)
+            .join('\n');
+    }
+    if (style === 'structured') {
+        const plans = texts.filter(text => writing.plans.test(text));
+        const feelings = texts.filter(text => writing.feelings.test(text));
+        const list = items => (items.length > 0 ? items.map(text => `・${withoutPeriod(text)}`) : [`・${writing.none}`]).join('\n');
+        const [events, feelingsHeading, plansHeading] = writing.sections;
+        return `【${events}】\n${list(texts)}\n\n【${feelingsHeading}】\n${list(feelings)}\n\n【${plansHeading}】\n${list(plans)}`;
+    }
+
+    // デモの文章は人称を区別しない
+    return texts.map(text => (writing.sentenceEnd.test(text) ? text : `${text}${writing.period}`)).join(writing.separator);
+}
+
+const LIST_ITEM = /^\s*(?:・|[-*]\s)\s*/;
+
+// 段落の行をつなぐ（英語の行どうしは空白をはさむ）
+function joinLines(lines) {
+    return lines.reduce((text, line) => (text && /[\x21-\x7E]$/.test(text) && /^[\x21-\x7E]/.test(line)
+        ? `${text} ${line}`
+        : text + line), '');
+}
+const HEADING = /^\s*【(.+?)】\s*(.*)$/;
+
+// 本文を見出しごとの区切りと、段落・箇条書き・詩の行のまとまりに分ける
+function parseDiary(text, style = DEFAULT_STYLE) {
+    const sections = [{ heading: null, lines: [] }];
+    String(text || '').replace(/\r\n/g, '\n').split('\n').forEach(line => {
+        const heading = line.match(HEADING);
+        if (heading) {
+            sections.push({ heading: heading[1], lines: heading[2] ? [heading[2]] : [] });
+        } else {
+            sections[sections.length - 1].lines.push(line);
+        }
+    });
+
+    const verse = style === 'poem' || style === 'haiku';
+    return sections
+        .map(({ heading, lines }) => {
+            const blocks = lines.join('\n').split(/\n\s*\n/)
+                .map(block => block.split('\n').map(line => line.trim()).filter(Boolean))
+                .filter(blockLines => blockLines.length > 0)
+                .map(blockLines => {
+                    if (blockLines.every(line => LIST_ITEM.test(line))) {
+                        return { type: 'list', items: blockLines.map(line => line.replace(LIST_ITEM, '')) };
+                    }
+                    if (verse) {
+                        return { type: 'verse', lines: blockLines };
+                    }
+                    return { type: 'paragraph', text: joinLines(blockLines) };
+                });
+            return { heading, blocks };
+        })
+        .filter(section => section.heading || section.blocks.length > 0);
+}
+
+function markdownBlock(block) {
+    if (block.type === 'list') return block.items.map(item => `- ${item}`).join('\n');
+    // 詩の行は改行を保つため行末に空白2つ
+    if (block.type === 'verse') return block.lines.join('  \n');
+    return block.text;
+}
+
+// 本文のMarkdown（見出しは headingLevel の深さにする）
+function markdownBody(text, style = DEFAULT_STYLE, headingLevel = 2) {
+    return parseDiary(text, style)
+        .map(({ heading, blocks }) => [
+            ...(heading ? [`${'#'.repeat(headingLevel)} ${heading}`] : []),
+            ...blocks.map(markdownBlock)
+        ].join('\n\n'))
+        .join('\n\n');
+}
+
+// 日記を指定の形式にする（text と markdown は文字列、json はオブジェクト）
+function renderDiary({ title, text, style = DEFAULT_STYLE, voice = DEFAULT_VOICE }, format = DEFAULT_FORMAT) {
+    if (format === 'json') {
+        return { title, style, voice, sections: parseDiary(text, style) };
+    }
+    if (format === 'markdown') {
+        return `# ${title}\n\n${markdownBody(text, style)}\n`;
+    }
+    return String(text || '').trim();
+}
+
+module.exports = {
+    DIARY_STYLES,
+    DIARY_STYLES_EN,
+    DIARY_VOICES,
+    DIARY_FORMATS,
+    resolveStyleOptions,
+    buildSummaryPrompt,
+    demoDiary,
+    parseDiary,
+    markdownBody,
+    renderDiary
+};
@@ -0,0 +1,99 @@
+const DEFAULT_VERTEX_MODEL = 'text-embedding-004';
+const DEFAULT_OPENAI_MODEL = 'text-embedding-3-small';
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+// 1回のリクエストで送る文章の数
+const BATCH_SIZE = 16;
+
+async function inBatches(texts, embedBatch) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+        vectors.push(...await embedBatch(texts.slice(i, i + BATCH_SIZE)));
+    }
+    return vectors;
+}
+
+// Vertex AI のテキスト埋め込み（REST の predict を呼ぶ）
+class VertexEmbeddingProvider {
+    constructor({ projectId, location, model }) {
+        const { GoogleAuth } = require('google-auth-library');
+        this.name = 'vertex';
+        this.model = model;
+        this.endpoint = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${model}:predict`;
+        this.auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+    }
+
+    async embed(texts) {
+        const client = await this.auth.getClient();
+        return inBatches(texts, async batch => {
+            const response = await client.request({
+                url: this.endpoint,
+                method: 'POST',
+                data: { instances: batch.map(content => ({ content, task_type: 'SEMANTIC_SIMILARITY' })) }
+            });
+            return response.data.predictions.map(prediction => prediction.embeddings.values);
+        });
+    }
+}
+
+// OpenAI互換の /embeddings（Ollama、llama.cpp server などのローカルモデルにも対応）
+class OpenAICompatibleEmbeddingProvider {
+    constructor({ baseUrl, apiKey, model, timeoutMs }) {
+        this.name = 'openai';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async embed(texts) {
+        return inBatches(texts, async batch => {
+            const response = await fetch(`${this.baseUrl}/embeddings`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+                },
+                body: JSON.stringify({ model: this.model, input: batch }),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            if (!response.ok) {
+                throw new Error(`埋め込みAPIエラー: HTTP ${response.status} ${(await response.text()).substring(0, 200)}`);
+            }
+            const data = await response.json();
+            return data.data
+                .sort((a, b) => a.index - b.index)
+                .map(item => item.embedding);
+        });
+    }
+}
+
+// 環境変数から埋め込みプロバイダを生成（未設定ならnull = 文字n-gramの類似度を使う）
+function createEmbeddingProvider(env = process.env) {
+    const type = env.EMBEDDING_PROVIDER || 'none';
+
+    if (type === 'vertex') {
+        return new VertexEmbeddingProvider({
+            projectId: env.GOOGLE_CLOUD_PROJECT,
+            location: env.VERTEX_LOCATION || 'us-central1',
+            model: env.EMBEDDING_MODEL || DEFAULT_VERTEX_MODEL
+        });
+    }
+    if (type === 'openai') {
+        return new OpenAICompatibleEmbeddingProvider({
+            baseUrl: env.EMBEDDING_BASE_URL || env.LLM_BASE_URL || 'http://localhost:8000/v1',
+            apiKey: env.EMBEDDING_API_KEY || env.LLM_API_KEY,
+            model: env.EMBEDDING_MODEL || DEFAULT_OPENAI_MODEL,
+            timeoutMs: Number(env.LLM_TIMEOUT_MS || DEFAULT_TIMEOUT_MS)
+        });
+    }
+    if (type !== 'none') {
+        console.warn(`未対応のEMBEDDING_PROVIDER: ${type} - 埋め込みなしで起動`);
+    }
+    return null;
+}
+
+module.exports = {
+    VertexEmbeddingProvider,
+    OpenAICompatibleEmbeddingProvider,
+    createEmbeddingProvider
+};
@@ -0,0 +1,280 @@
+// 感情ラベル（sign: 快=1 / 不快=-1 / どちらでもない=0）
+const EMOTIONS = {
+    joy: { name: '喜び', emoji: '😊', sign: 1 },
+    calm: { name: '安らぎ', emoji: '😌', sign: 1 },
+    surprise: { name: '驚き', emoji: '😲', sign: 0 },
+    sadness: { name: '悲しみ', emoji: '😢', sign: -1 },
+    anger: { name: '怒り', emoji: '😠', sign: -1 },
+    anxiety: { name: '不安', emoji: '😟', sign: -1 },
+    tiredness: { name: '疲れ', emoji: '😩', sign: -1 }
+};
+
+// オフライン用の感情辞書（活用しても当たるよう語幹で持つ）
+const LEXICON = {
+    joy: ['楽し', '嬉し', 'うれし', '幸せ', '良かった', 'よかった', '最高', '素晴らし', '素敵', '満足', '喜', 'ワクワク', 'わくわく', '面白', 'おもしろ', '笑'],
+    calm: ['落ち着', 'ほっと', 'ホッと', 'のんびり', 'ゆっくり', 'リラックス', '穏やか', '安心', '癒さ', '癒や'],
+    surprise: ['びっくり', '驚', 'まさか', '意外'],
+    sadness: ['悲し', '寂し', 'さみし', '辛', 'つら', '落ち込', '泣', '残念', '切な', '凹'],
+    anger: ['イライラ', 'いらいら', '腹が立', '腹立', '怒', 'ムカ', 'むかつ', '許せな'],
+    anxiety: ['不安', '心配', '緊張', '怖', 'こわ', '焦', 'ドキドキ', '困っ', '困る', 'ストレス', '悩'],
+    tiredness: ['疲れ', 'つかれ', 'しんど', 'だる', '眠', 'くたくた', 'ヘトヘト', 'へとへと', '大変', '忙し']
+};
+
+const INTENSIFIERS = /(とても|すごく|すごい|めっちゃ|めちゃくちゃ|本当に|ほんとに|超|かなり|最高に)$/;
+const NEGATION = /^[^。、！？!?]{0,3}?(くな|じゃな|ではな|なかっ|ない|ません)/;
+// 「〜けど」「〜でも」の後ろの節のほうが本音であることが多い
+const CONTRAST = /(けど|けれど|でも|だが|しかし|ものの)/;
+
+// 英語の感情辞書（語の頭から一致させる。末尾の * は語幹、それ以外は語全体）
+const LEXICON_EN = {
+    joy: ['happ*', 'glad', 'fun', 'funny', 'enjoy*', 'great', 'wonderful', 'amazing', 'awesome', 'excit*', 'delight*', 'love*', 'laugh*', 'pleased', 'satisf*'],
+    calm: ['calm*', 'relax*', 'peaceful', 'relieved', 'relief', 'cozy', 'comfortable', 'chill*', 'at ease'],
+    surprise: ['surpris*', 'shock*', 'unexpected*', 'astonish*', 'wow'],
+    sadness: ['sad*', 'lonely', 'upset', 'cry', 'cried', 'crying', 'disappoint*', 'depress*', 'miserable', 'heartbroken', 'down'],
+    anger: ['angry', 'anger', 'annoy*', 'irritat*', 'furious', 'mad', 'frustrat*', 'pissed'],
+    anxiety: ['anxi*', 'worr*', 'nervous', 'scared', 'afraid', 'stress*', 'tense', 'panic*', 'fear*'],
+    tiredness: ['tired', 'exhaust*', 'sleepy', 'worn out', 'drained', 'busy', 'hectic', 'fatigue*']
+};
+
+const LEXICON_EN_PATTERNS = Object.fromEntries(Object.entries(LEXICON_EN).map(([label, words]) => [
+    label,
+    new RegExp(`\\b(?:${words.map(word => (word.endsWith('*') ? `${word.slice(0, -1)}[a-z]*` : `${word}\\b`)).join('|')})`, 'gi')
+]));
+const INTENSIFIERS_EN = /\b(very|so|really|super|extremely|quite|totally|incredibly)\s+$/i;
+// 英語の否定は語の前に付く（"not happy"、"wasn't very fun"）
+const NEGATION_EN = /(?:\b(?:not|never|no|hardly)|n['’]t)\s+(?:(?:very|so|really|that|too|feeling|feel)\s+)?$/i;
+const CONTRAST_EN = /\b(but|though|although|however|yet)\b/i;
+
+function findStems(segment, stems) {
+    const matches = [];
+    stems.forEach(stem => {
+        let position = segment.indexOf(stem);
+        while (position !== -1) {
+            matches.push({ position, word: stem });
+            position = segment.indexOf(stem, position + stem.length);
+        }
+    });
+    return matches;
+}
+
+// 言語ごとの辞書の引き方と、強調・否定・逆接の見分け方
+const LEXICON_RULES = [
+    {
+        find: (segment, label) => findStems(segment, LEXICON[label]),
+        intensifier: INTENSIFIERS,
+        negated: (word, before, after) => !word.endsWith('な') && NEGATION.test(after),
+        contrast: CONTRAST
+    },
+    {
+        find: (segment, label) => Array.from(segment.matchAll(LEXICON_EN_PATTERNS[label]), match => ({ position: match.index, word: match[0] })),
+        intensifier: INTENSIFIERS_EN,
+        negated: (word, before) => NEGATION_EN.test(before),
+        contrast: CONTRAST_EN
+    }
+];
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ラベルごとのスコアから、快・不快や混合かどうかをまとめる
+function summarize(scores, { intensity, confidence, source }) {
+    const total = Object.values(scores).reduce((sum, value) => sum + value, 0);
+    const emotions = Object.entries(scores)
+        .filter(([, value]) => value > 0)
+        .map(([label, value]) => ({ label, score: round(value / total) }))
+        .sort((a, b) => b.score - a.score);
+
+    const positive = emotions.filter(e => EMOTIONS[e.label].sign > 0).reduce((sum, e) => sum + e.score, 0);
+    const negative = emotions.filter(e => EMOTIONS[e.label].sign < 0).reduce((sum, e) => sum + e.score, 0);
+    const valence = round(positive - negative);
+
+    let type = 'neutral';
+    if (positive >= 0.25 && negative >= 0.25) type = 'mixed';
+    else if (valence > 0.2) type = 'positive';
+    else if (valence < -0.2) type = 'negative';
+
+    return {
+        type,
+        dominant: emotions[0]?.label || null,
+        emotions,
+        intensity: round(emotions.length > 0 ? intensity : 0),
+        valence,
+        confidence: round(confidence),
+        source
+    };
+}
+
+// 辞書ベースの分類（否定・強調・逆接を考慮し、複数の感情を同時に拾う）
+// 日本語と英語の辞書を両方引くので、言語が混ざった発言でも使える
+function classifyWithLexicon(message) {
+    const text = String(message || '');
+    const scores = {};
+    let hits = 0;
+    let weightTotal = 0;
+
+    LEXICON_RULES.forEach(rules => {
+        // 偶数番目が節、奇数番目が逆接の語
+        const parts = text.split(rules.contrast);
+        let offset = 0;
+        parts.forEach((segment, index) => {
+            const segmentStart = offset;
+            offset += segment.length;
+            if (index % 2 === 1) return;
+
+            const later = index > 0 ? 1.2 : 1;
+            for (const label of Object.keys(EMOTIONS)) {
+                for (const { position, word } of rules.find(segment, label)) {
+                    const before = text.slice(Math.max(0, segmentStart + position - 16), segmentStart + position);
+                    const after = segment.slice(position + word.length, position + word.length + 6);
+                    let weight = later * (rules.intensifier.test(before) ? 1.5 : 1);
+
+                    if (rules.negated(word, before, after)) {
+                        // 「楽しくなかった」は喜びではなく軽い落ち込みとして数える
+                        const opposite = EMOTIONS[label].sign > 0 ? 'sadness' : 'calm';
+                        weight *= 0.5;
+                        scores[opposite] = (scores[opposite] || 0) + weight;
+                    } else {
+                        scores[label] = (scores[label] || 0) + weight;
+                    }
+                    hits++;
+                    weightTotal += weight;
+                }
+            }
+        });
+    });
+
+    const exclamation = /[!！]/.test(text) ? 0.1 : 0;
+    return summarize(scores, {
+        intensity: Math.min(1, 0.4 * weightTotal + exclamation),
+        confidence: hits > 0 ? Math.min(0.85, 0.5 + 0.1 * hits) : 0.4,
+        source: 'lexicon'
+    });
+}
+
+class LexiconEmotionClassifier {
+    constructor() {
+        this.name = 'lexicon';
+    }
+
+    async classify(message) {
+        return classifyWithLexicon(message);
+    }
+}
+
+// LLMで分類し、失敗したら辞書にフォールバック
+class ModelEmotionClassifier {
+    constructor({ llmProvider }) {
+        this.name = 'model';
+        this.llmProvider = llmProvider;
+    }
+
+    prompt(message) {
+        const labels = Object.entries(EMOTIONS).map(([label, { name }]) => `${label}(${name})`).join(', ');
+        return `次の発言に含まれる感情を分析し、JSONだけを出力してください。
+
+感情ラベル: ${labels}
+- 複数の感情が混ざっていればすべて挙げ、score の合計が1になるようにする
+- intensity は感情の強さ（0〜1）、感情がほとんどなければ emotions は空配列
+- 形式: {"emotions":[{"label":"joy","score":0.6},{"label":"tiredness","score":0.4}],"intensity":0.7}
+
+発言: 「${message}」`;
+    }
+
+    async classify(message) {
+        try {
+            const output = await this.llmProvider.generate(this.prompt(message), { task: 'emotion' });
+            const json = JSON.parse(output.match(/\{[\s\S]*\}/)[0]);
+            const scores = {};
+            (json.emotions || []).forEach(({ label, score }) => {
+                if (EMOTIONS[label] && Number(score) > 0) {
+                    scores[label] = (scores[label] || 0) + Number(score);
+                }
+            });
+            const intensity = Math.min(1, Math.max(0, Number(json.intensity) || 0));
+            return summarize(scores, { intensity, confidence: 0.9, source: 'model' });
+        } catch (error) {
+            console.warn('感情分析フォールバック:', error.message);
+            return classifyWithLexicon(message);
+        }
+    }
+}
+
+// 会話全体の気分（発言ごとの結果を強さで重み付けして平均）
+function aggregateMood(results) {
+    const analyzed = results.filter(Boolean);
+    const scores = {};
+    let intensity = 0;
+
+    analyzed.forEach(result => {
+        const weight = result.intensity || 0.1;
+        result.emotions.forEach(({ label, score }) => {
+            scores[label] = (scores[label] || 0) + score * weight;
+        });
+        intensity += result.intensity;
+    });
+
+    const mood = summarize(scores, {
+        intensity: analyzed.length > 0 ? intensity / analyzed.length : 0,
+        confidence: analyzed.length > 0
+            ? analyzed.reduce((sum, result) => sum + result.confidence, 0) / analyzed.length
+            : 0,
+        source: analyzed.some(result => result.source === 'model') ? 'model' : 'lexicon'
+    });
+    // 絞り込み用（主な感情と快・不快の種類）
+    mood.labels = [mood.type, ...mood.emotions.filter(e => e.score >= 0.2).map(e => e.label)];
+    return mood;
+}
+
+// プロンプトに入れる感情の説明（例: 喜び45%・疲れ55%（強さ0.9）、英語はラベル名で joy 45%, tiredness 55% (intensity 0.9)）
+function describeEmotion(result, language = 'ja') {
+    const english = language === 'en';
+    if (!result || result.emotions.length === 0) {
+        return english ? 'calm (no strong emotion)' : '落ち着いている（特に強い感情なし）';
+    }
+    const parts = result.emotions
+        .slice(0, 3)
+        .map(({ label, score }) => (english
+            ? `${label} ${Math.round(score * 100)}%`
+            : `${EMOTIONS[label].name}${Math.round(score * 100)}%`));
+    return english
+        ? `${parts.join(', ')} (intensity ${result.intensity})`
+        : `${parts.join('・')}（強さ${result.intensity}）`;
+}
+
+// 発言ごとの気分の推移
+function moodTimeline(messages) {
+    return messages
+        .filter(msg => msg.role === 'user' && msg.emotion)
+        .map(msg => ({
+            at: new Date(msg.timestamp).toISOString(),
+            type: msg.emotion.type,
+            dominant: msg.emotion.dominant,
+            intensity: msg.emotion.intensity,
+            valence: msg.emotion.valence
+        }));
+}
+
+// 環境変数から感情分類器を生成（LLMがなければ辞書）
+function createEmotionClassifier(env = process.env, llmProvider = null) {
+    const type = env.EMOTION_CLASSIFIER || (llmProvider ? 'model' : 'lexicon');
+
+    if (type === 'model') {
+        if (llmProvider) return new ModelEmotionClassifier({ llmProvider });
+        console.warn('LLMプロバイダがないため感情分析は辞書を使用');
+    } else if (type !== 'lexicon') {
+        console.warn(`未対応のEMOTION_CLASSIFIER: ${type} - lexiconを使用`);
+    }
+    return new LexiconEmotionClassifier();
+}
+
+module.exports = {
+    EMOTIONS,
+    LexiconEmotionClassifier,
+    ModelEmotionClassifier,
+    createEmotionClassifier,
+    classifyWithLexicon,
+    describeEmotion,
+    aggregateMood,
+    moodTimeline
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { createZip } = require('./zip');
+const { parseDiary, markdownBody } = require('./diaryStyles');
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    zip: { extension: 'zip', contentType: 'application/zip' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' },
+    epub: { extension: 'epub', contentType: 'application/epub+zip' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+const WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 利用者の時差（getTimezoneOffset() の分）で見た日付
+function localDate(iso, tzOffset = 0) {
+    const date = new Date(new Date(iso).getTime() - tzOffset * 60 * 1000);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    const pad = n => String(n).padStart(2, '0');
+    return {
+        year,
+        month,
+        key: `${year}-${pad(month)}-${pad(day)}`,
+        monthKey: `${year}-${pad(month)}`,
+        label: `${year}年${month}月${day}日（${WEEKDAYS[date.getUTCDay()]}）`,
+        monthLabel: `${year}年${month}月`
+    };
+}
+
+function chronological(diaries) {
+    return [...diaries].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+}
+
+function rangeLabel({ from, to }, tzOffset) {
+    if (!from && !to) return '';
+    const label = date => (date ? localDate(date.toISOString(), tzOffset).label : '');
+    return `${label(from)}〜${label(to)}`;
+}
+
+// ファイル名（例: diary-20261001-20261031.md）
+function exportFileName(format, { from, to, tzOffset = 0, now = new Date() } = {}) {
+    const compact = date => localDate(date.toISOString(), tzOffset).key.replace(/-/g, '');
+    const range = from || to ? `${from ? compact(from) : 'start'}-${to ? compact(to) : compact(now)}` : compact(now);
+    return `diary-${range}.${EXPORT_FORMATS[format].extension}`;
+}
+
+function yamlString(value) {
+    return JSON.stringify(String(value));
+}
+
+// 1件の日記のMarkdown（見出しの深さを指定する）
+function diaryMarkdown(diary, tzOffset, level) {
+    const { label } = localDate(diary.date, tzOffset);
+    const hashes = '#'.repeat(level);
+    return `${hashes} ${label} ${diary.title || 'タイトルなし'}\n\n${markdownBody(diary.text, diary.style, level + 1)}`;
+}
+
+// すべての日記を1つのMarkdownにする（月ごとの見出しの下に古い順）
+function markdownExport(diaries, { tzOffset = 0, from, to, username } = {}) {
+    const months = groupBy(chronological(diaries), diary => localDate(diary.date, tzOffset).monthLabel);
+    const range = rangeLabel({ from, to }, tzOffset);
+    const lines = [`# ${username ? `${username}の` : ''}日記${range ? `（${range}）` : ''}`];
+    months.forEach((items, month) => {
+        lines.push(`## ${month}`, ...items.map(diary => diaryMarkdown(diary, tzOffset, 3)));
+    });
+    return `${lines.join('\n\n')}\n`;
+}
+
+// 日ごとのMarkdownファイル（YYYY/MM/YYYY-MM-DD.md、先頭に日記の情報）をZIPにまとめる
+function zipExport(diaries, { tzOffset = 0 } = {}) {
+    const days = groupBy(chronological(diaries), diary => localDate(diary.date, tzOffset).key);
+    const entries = Array.from(days.entries()).map(([key, items]) => {
+        const [year, month] = key.split('-');
+        const frontMatter = [
+            '---',
+            `date: ${key}`,
+            `titles: [${items.map(diary => yamlString(diary.title || 'タイトルなし')).join(', ')}]`,
+            `moods: [${[...new Set(items.flatMap(diary => diary.mood?.labels || []))].join(', ')}]`,
+            `topics: [${[...new Set(items.flatMap(diary => diary.topics || []))].map(yamlString).join(', ')}]`,
+            '---'
+        ].join('\n');
+        const body = items.map(diary => diaryMarkdown(diary, tzOffset, 1)).join('\n\n');
+        return { name: `${year}/${month}/${key}.md`, data: `${frontMatter}\n\n${body}\n` };
+    });
+    return createZip(entries);
+}
+
+// すべてのデータのJSONアーカイブ（対話の記録・編集履歴・記憶・ペルソナを含む）
+// 暗号化した日記は暗号文のまま入れ、開くための鍵束（encryption）も添える
+function jsonArchive({ user, settings, encryption = null, diaries, facts = [], personas = [], exportedAt = new Date() }) {
+    return {
+        format: 'voice-diary-archive',
+        version: 1,
+        exportedAt: exportedAt.toISOString(),
+        user: { id: user.id, username: user.username },
+        settings,
+        ...(encryption ? { encryption } : {}),
+        diaries: chronological(diaries),
+        facts,
+        personas
+    };
+}
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function xhtmlBody(diary) {
+    return parseDiary(diary.text, diary.style)
+        .map(({ heading, blocks }) => [
+            ...(heading ? [`<h4>${escapeXml(heading)}</h4>`] : []),
+            ...blocks.map(block => {
+                if (block.type === 'list') return `<ul>${block.items.map(item => `<li>${escapeXml(item)}</li>`).join('')}</ul>`;
+                if (block.type === 'verse') return `<p class="verse">${block.lines.map(escapeXml).join('<br/>')}</p>`;
+                return `<p>${escapeXml(block.text)}</p>`;
+            })
+        ].join('\n'))
+        .join('\n');
+}
+
+function xhtmlPage(title, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="ja" lang="ja">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// EPUB 3（月ごとに1章、vertical なら縦書き・右綴じ）
+function epubExport(diaries, { tzOffset = 0, writing = 'horizontal', username, from, to, now = new Date() } = {}) {
+    const vertical = writing === 'vertical';
+    const range = rangeLabel({ from, to }, tzOffset);
+    const title = `${username ? `${username}の` : ''}日記${range ? `（${range}）` : ''}`;
+    const months = Array.from(groupBy(chronological(diaries), diary => localDate(diary.date, tzOffset).monthLabel).entries());
+    const chapters = months.map(([month, items], index) => ({
+        id: `chapter-${String(index + 1).padStart(3, '0')}`,
+        month,
+        body: `<h2>${escapeXml(month)}</h2>\n${items.map(diary => `<section>
+<h3>${escapeXml(localDate(diary.date, tzOffset).label)} ${escapeXml(diary.title || 'タイトルなし')}</h3>
+${xhtmlBody(diary)}
+</section>`).join('\n')}`
+    }));
+
+    const css = `${vertical ? `html {
+    writing-mode: vertical-rl;
+    -epub-writing-mode: vertical-rl;
+    -webkit-writing-mode: vertical-rl;
+}
+` : ''}body {
+    font-family: serif;
+    line-height: 1.8;
+}
+h2 {
+    font-size: 1.4em;
+}
+h3 {
+    font-size: 1.1em;
+    margin-top: 2em;
+}
+p {
+    text-indent: 1em;
+    margin: 0;
+}
+p.verse {
+    text-indent: 0;
+    margin: 1em 0;
+}
+`;
+
+    const nav = xhtmlPage('目次', `<nav epub:type="toc" id="toc">
+<h1>目次</h1>
+<ol>
+${chapters.map(chapter => `<li><a href="${chapter.id}.xhtml">${escapeXml(chapter.month)}</a></li>`).join('\n')}
+</ol>
+</nav>`);
+
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="ja">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:language>ja</dc:language>
+${username ? `<dc:creator>${escapeXml(username)}</dc:creator>\n` : ''}<meta property="dcterms:modified">${now.toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="style" href="style.css" media-type="text/css"/>
+${chapters.map(chapter => `<item id="${chapter.id}" href="${chapter.id}.xhtml" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine${vertical ? ' page-progression-direction="rtl"' : ''}>
+<itemref idref="nav"/>
+${chapters.map(chapter => `<itemref idref="${chapter.id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+
+    const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+    // mimetype は先頭に無圧縮で置く決まり
+    return createZip([
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        { name: 'META-INF/container.xml', data: container },
+        { name: 'OEBPS/content.opf', data: opf },
+        { name: 'OEBPS/nav.xhtml', data: nav },
+        { name: 'OEBPS/style.css', data: css },
+        ...chapters.map(chapter => ({ name: `OEBPS/${chapter.id}.xhtml`, data: xhtmlPage(chapter.month, chapter.body) }))
+    ], { date: now });
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    localDate,
+    chronological,
+    rangeLabel,
+    exportFileName,
+    markdownExport,
+    zipExport,
+    jsonArchive,
+    epubExport
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 同じ事柄かどうかの比較用キー（種類と対象が同じなら1件にまとめる）
+function factKey(fact) {
+    return `${fact.kind}:${String(fact.subject || fact.text).normalize('NFKC').toLowerCase().replace(/\s+/g, '')}`;
+}
+
+// メモリ上の記憶ストア（テスト・デモ用）
+class MemoryFactStore {
+    constructor() {
+        this.facts = new Map();
+    }
+
+    async load() {
+        return this.facts.size;
+    }
+
+    async list(userId) {
+        return Array.from(this.facts.values())
+            .filter(fact => fact.userId === userId)
+            .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+    }
+
+    // 日記から取り出した事柄を覚える（既に覚えている事柄は内容と日付を新しくする）
+    async add(userId, facts, { sourceDiaryId } = {}) {
+        const existing = new Map((await this.list(userId)).map(fact => [factKey(fact), fact]));
+        const now = new Date().toISOString();
+        const saved = [];
+
+        for (const fact of facts) {
+            const current = existing.get(factKey(fact));
+            if (current) {
+                Object.assign(current, {
+                    text: fact.text,
+                    eventDate: fact.eventDate || current.eventDate,
+                    mentions: current.mentions + 1,
+                    sourceDiaryIds: [...new Set([...current.sourceDiaryIds, sourceDiaryId].filter(Boolean))],
+                    updatedAt: now
+                });
+                saved.push(current);
+                continue;
+            }
+            const created = {
+                id: crypto.randomUUID(),
+                userId,
+                kind: fact.kind,
+                subject: fact.subject || null,
+                text: fact.text,
+                eventDate: fact.eventDate || null,
+                mentions: 1,
+                sourceDiaryIds: sourceDiaryId ? [sourceDiaryId] : [],
+                createdAt: now,
+                updatedAt: now
+            };
+            this.facts.set(created.id, created);
+            existing.set(factKey(created), created);
+            saved.push(created);
+        }
+        if (saved.length > 0) await this.persist(userId);
+        return saved;
+    }
+
+    async delete(userId, id) {
+        const fact = this.facts.get(id);
+        if (!fact || fact.userId !== userId) return false;
+        this.facts.delete(id);
+        await this.persist(userId);
+        return true;
+    }
+
+    async deleteAll(userId) {
+        const facts = await this.list(userId);
+        facts.forEach(fact => this.facts.delete(fact.id));
+        await this.persist(userId);
+        return facts.length;
+    }
+
+    // 日記を消したら、その日記だけから覚えた事柄も忘れる
+    async deleteForDiary(userId, diaryId) {
+        let removed = 0;
+        for (const fact of await this.list(userId)) {
+            if (!fact.sourceDiaryIds.includes(diaryId)) continue;
+            fact.sourceDiaryIds = fact.sourceDiaryIds.filter(id => id !== diaryId);
+            if (fact.sourceDiaryIds.length === 0) {
+                this.facts.delete(fact.id);
+                removed++;
+            }
+        }
+        await this.persist(userId);
+        return removed;
+    }
+
+    async persist() {}
+}
+
+// ファイル保存の記憶ストア（ユーザーごとに1ファイル）
+class FileFactStore extends MemoryFactStore {
+    constructor({ dir }) {
+        super();
+        this.dir = dir;
+        this.writing = Promise.resolve();
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    filePath(userId) {
+        return path.join(this.dir, `${String(userId).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+    }
+
+    async load() {
+        const files = await fs.promises.readdir(this.dir);
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const facts = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+                facts.forEach(fact => this.facts.set(fact.id, fact));
+            } catch (err) {
+                console.warn('記憶の読み込み警告:', file, err.message);
+            }
+        }
+        return this.facts.size;
+    }
+
+    async persist(userId) {
+        // 同時書き込みで一時ファイルが衝突しないよう直列化する
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const target = this.filePath(userId);
+            const tmp = `${target}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify(await this.list(userId)));
+            await fs.promises.rename(tmp, target);
+        });
+        return this.writing;
+    }
+}
+
+// 環境変数から記憶ストアを生成
+function createFactStore(env = process.env) {
+    const type = env.FACT_STORE || 'file';
+
+    if (type === 'file') {
+        const dir = env.FACT_STORE_DIR || path.join(__dirname, '..', 'data', 'facts');
+        return new FileFactStore({ dir });
+    }
+    if (type !== 'memory') {
+        console.warn(`未対応のFACT_STORE: ${type} - memoryを使用`);
+    }
+    return new MemoryFactStore();
+}
+
+module.exports = {
+    MemoryFactStore,
+    FileFactStore,
+    createFactStore
+};
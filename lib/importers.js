@@ -0,0 +1,295 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readZip } = require('./zip');
+const { detectFormat } = require('./audio');
+const { normalize } = require('./search');
+
+const TEXT_EXTENSIONS = ['.txt', '.md', '.markdown'];
+// 取り込まないファイル（macOS の付帯ファイルや、Day One の写真など）
+const IGNORED = /(^|\/)(__MACOSX|\.DS_Store|\._)|\.(jpe?g|png|gif|heic|webp|pdf)$/i;
+
+// 日付だけ分かる記録は、その日の正午（利用者の時刻）にしておく（時差で日付がずれないように）
+function localNoon(year, month, day, tzOffset = 0) {
+    const date = new Date(Date.UTC(year, month - 1, day, 12) + tzOffset * 60 * 1000);
+    return Number.isNaN(date.getTime()) || date.getUTCFullYear() < 1900 ? null : date.toISOString();
+}
+
+function localDateTime(year, month, day, hour, minute, second, tzOffset = 0) {
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second) + tzOffset * 60 * 1000);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// 文字列の中の日付（2023-01-05、2023/1/5、2023年1月5日、20230105、「20230105 093012」のような録音名）
+function findDate(text, tzOffset = 0) {
+    const value = String(text || '');
+    const stamp = value.match(/(?<!\d)(\d{4})(\d{2})(\d{2})[ _-]?(\d{2})(\d{2})(\d{2})(?!\d)/);
+    if (stamp) {
+        const [, year, month, day, hour, minute, second] = stamp.map(Number);
+        return localDateTime(year, month, day, hour, minute, second, tzOffset);
+    }
+    const date = value.match(/(?<!\d)(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?(?!\d)/)
+        || value.match(/(?<!\d)(\d{4})(\d{2})(\d{2})(?!\d)/);
+    if (!date) return null;
+    const [, year, month, day] = date.map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return localNoon(year, month, day, tzOffset);
+}
+
+function parseIsoDate(value) {
+    const date = new Date(value);
+    return value && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// 本文の先頭のYAML front matter（key: value の1行ずつだけ読む）
+function splitFrontMatter(text) {
+    const match = text.match(/^---\n([\s\S]*?)\n---\n?/);
+    if (!match) return { fields: {}, body: text };
+    const fields = {};
+    match[1].split('\n').forEach(line => {
+        const field = line.match(/^([A-Za-z_]+):\s*(.*)$/);
+        if (field) fields[field[1].toLowerCase()] = field[2].trim().replace(/^["']|["']$/g, '');
+    });
+    return { fields, body: text.slice(match[0].length) };
+}
+
+// Markdownを日記の本文の書き方（見出しは【】、箇条書きは「・」）に直す
+function markdownToDiaryText(markdown) {
+    return markdown
+        .split('\n')
+        .map(line => line
+            .replace(/^#{2,6}\s+(.+?)\s*#*$/, '【$1】')
+            .replace(/^\s*[-*+]\s+(?:\[[ xX]\]\s+)?/, '・')
+            .replace(/\s+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// 書き出した日記の見出し（「2026年10月20日（火） タイトル」）から日付の部分を除く
+function headingTitle(heading) {
+    return heading.replace(/^\d{4}年\d{1,2}月\d{1,2}日(?:（.）)?\s*/, '').trim();
+}
+
+// テキスト・Markdownのファイル（日付の入った # 見出しが複数あれば、書き出した日記とみなして見出しごとに1件）
+function parseTextNote(content, name, { lastModified, tzOffset = 0 } = {}) {
+    const { fields, body } = splitFrontMatter(content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'));
+    const fileDate = findDate(path.basename(name), tzOffset);
+    const parts = body.split(/^(?=# )/m).filter(part => part.trim());
+    const headed = parts.filter(part => part.startsWith('# '));
+    const sections = headed.length > 1 && headed.every(part => findDate(part.split('\n')[0]))
+        ? headed
+        : [body];
+
+    return sections.map(section => {
+        const heading = section.match(/^# (.+)$/m);
+        const text = markdownToDiaryText(heading ? section.replace(heading[0], '') : section);
+        const candidates = [
+            ['frontMatter', fields.date && (findDate(fields.date, tzOffset) || parseIsoDate(fields.date))],
+            ['heading', heading && findDate(heading[1], tzOffset)],
+            ['fileName', fileDate],
+            ['text', findDate(text.split('\n')[0], tzOffset)],
+            ['lastModified', lastModified && parseIsoDate(lastModified)]
+        ];
+        const [dateSource, date] = candidates.find(([, value]) => value) || ['import', null];
+        const title = fields.title
+            || (heading && headingTitle(heading[1]))
+            || (TEXT_EXTENSIONS.includes(path.extname(name).toLowerCase()) && !fileDate ? path.basename(name, path.extname(name)) : null);
+        return { source: 'text', file: name, title: title || null, text, date, dateSource };
+    });
+}
+
+// Day One の書き出し（Journal.json）
+function parseDayOne(json, name) {
+    return json.entries.map(entry => {
+        const lines = String(entry.text || '')
+            // Day One はMarkdownの記号をバックスラッシュでエスケープする
+            .replace(/\\([\\`*_{}[\]()#+\-.!>])/g, '$1')
+            .split(/\r?\n/)
+            // 写真などの埋め込みは取り込まない
+            .filter(line => !/^!\[\]\(dayone-moment:/.test(line));
+        const heading = lines[0] && lines[0].match(/^#+\s*(.+)$/);
+        const text = markdownToDiaryText((heading ? lines.slice(1) : lines).join('\n'));
+        return {
+            source: 'dayone',
+            sourceId: entry.uuid ? `dayone:${entry.uuid}` : null,
+            file: name,
+            title: heading ? heading[1].trim() : null,
+            text,
+            date: parseIsoDate(entry.creationDate),
+            dateSource: 'dayone',
+            tags: Array.isArray(entry.tags) ? entry.tags : []
+        };
+    });
+}
+
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+        }
+        return named[code.toLowerCase()] ?? entity;
+    });
+}
+
+function xmlValue(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    if (!match) return null;
+    return match[1].replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1');
+}
+
+// Evernote の ENML（HTML）を本文にする
+function enmlToText(enml) {
+    return decodeEntities(enml
+        .replace(/<en-media[^>]*\/?>/g, '')
+        .replace(/<li[^>]*>/gi, '\n・')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(div|p|h[1-6]|li|tr)>/gi, '\n')
+        .replace(/<[^>]+>/g, ''))
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Evernote の書き出し（.enex）
+function parseEnex(xml, name) {
+    const notes = xml.match(/<note>[\s\S]*?<\/note>/g) || [];
+    return notes.map(note => {
+        const created = (xmlValue(note, 'created') || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+        return {
+            source: 'evernote',
+            file: name,
+            title: decodeEntities(xmlValue(note, 'title') || '').trim() || null,
+            text: enmlToText(xmlValue(note, 'content') || ''),
+            date: created ? localDateTime(...created.slice(1).map(Number), 0) : null,
+            dateSource: 'evernote',
+            tags: (note.match(/<tag>[\s\S]*?<\/tag>/g) || []).map(tag => decodeEntities(xmlValue(tag, 'tag')))
+        };
+    });
+}
+
+// 取り込みの上限（大きさはZIPから展開したファイルとそのまま送られたファイルの合計。ZIPの中のZIPは展開しない）
+const IMPORT_LIMITS = {
+    maxEntries: 1000,
+    maxEntryBytes: 50 * 1024 * 1024,
+    maxTotalBytes: 500 * 1024 * 1024
+};
+
+// 読み込んだファイルを種類ごとに分け、ZIPは中身を展開する
+// files: [{ name, data, lastModified }] → [{ name, kind, data, lastModified }]
+// limits: { maxEntries, maxEntryBytes, maxTotalBytes }（省略した上限は IMPORT_LIMITS）
+function expandImportFiles(files, limits = {}) {
+    const { maxEntries, maxEntryBytes, maxTotalBytes } = { ...IMPORT_LIMITS, ...limits };
+    let entries = 0;
+    let totalBytes = 0;
+    return files.flatMap(file => {
+        if (IGNORED.test(file.name)) return [];
+        if (path.extname(file.name).toLowerCase() !== '.zip') {
+            totalBytes += file.data.length;
+            if (totalBytes > maxTotalBytes) {
+                throw new Error(importTooLargeMessage(maxTotalBytes));
+            }
+            return [classifyImportFile(file)];
+        }
+        const contents = readZip(file.data, {
+            maxEntries: maxEntries - entries,
+            maxEntryBytes,
+            maxTotalBytes: maxTotalBytes - totalBytes
+        });
+        entries += contents.length;
+        totalBytes += contents.reduce((sum, entry) => sum + entry.data.length, 0);
+        return contents
+            .map(entry => ({
+                name: `${file.name}/${entry.name}`,
+                data: entry.data,
+                lastModified: entry.date.toISOString()
+            }))
+            .filter(entry => !IGNORED.test(entry.name))
+            .map(classifyImportFile);
+    });
+}
+
+function importTooLargeMessage(maxTotalBytes = IMPORT_LIMITS.maxTotalBytes) {
+    return `取り込むファイルが大きすぎます（合計${Math.floor(maxTotalBytes / 1024 / 1024)}MBまで）`;
+}
+
+// ファイルの種類を決める（ZIPの中のZIPは unknown のまま）
+function classifyImportFile(file) {
+    const extension = path.extname(file.name).toLowerCase();
+    let kind = 'unknown';
+    if (detectFormat(file.data) !== 'unknown') kind = 'audio';
+    else if (extension === '.enex') kind = 'evernote';
+    else if (extension === '.json') kind = 'dayone';
+    else if (TEXT_EXTENSIONS.includes(extension)) kind = 'text';
+    return { ...file, kind };
+}
+
+// 音声以外のファイルから日記の候補を取り出す（読めないファイルは error 付きの1件）
+function parseImportFile(file, { tzOffset = 0 } = {}) {
+    try {
+        const content = file.data.toString('utf8');
+        if (file.kind === 'dayone') {
+            const json = JSON.parse(content);
+            if (!Array.isArray(json.entries)) {
+                throw new Error('Day One の書き出し（entries）ではありません');
+            }
+            return parseDayOne(json, file.name);
+        }
+        if (file.kind === 'evernote') return parseEnex(content, file.name);
+        if (file.kind === 'text') return parseTextNote(content, file.name, { lastModified: file.lastModified, tzOffset });
+        throw new Error('対応していない形式です');
+    } catch (error) {
+        return [{ source: file.kind, file: file.name, error: error.message }];
+    }
+}
+
+// 録音の日時（ファイル名になければ、ファイルの更新日時）
+function audioDate(file, tzOffset = 0) {
+    const fromName = findDate(path.basename(file.name), tzOffset);
+    if (fromName) return { date: fromName, dateSource: 'fileName' };
+    const fromFile = file.lastModified && parseIsoDate(file.lastModified);
+    return fromFile ? { date: fromFile, dateSource: 'lastModified' } : { date: null, dateSource: 'import' };
+}
+
+// 重複を見分けるための本文の指紋（表記ゆれ・空白・句読点の違いは同じとみなす）
+function fingerprint(text) {
+    const compact = normalize(text).normalized.replace(/[\s\p{P}]/gu, '');
+    return crypto.createHash('sha1').update(compact).digest('hex');
+}
+
+// 既存の日記と、同じ取り込みの中で先に出てきた記録との重複を調べる
+class DuplicateIndex {
+    constructor(diaries = []) {
+        this.byFingerprint = new Map();
+        this.bySource = new Map();
+        diaries.forEach(diary => this.add(diary));
+    }
+
+    add(diary) {
+        if (diary.text) this.byFingerprint.set(fingerprint(diary.text), diary);
+        if (diary.importSource?.id) this.bySource.set(diary.importSource.id, diary);
+    }
+
+    find(entry) {
+        return (entry.sourceId && this.bySource.get(entry.sourceId))
+            || this.byFingerprint.get(fingerprint(entry.text))
+            || null;
+    }
+}
+
+module.exports = {
+    findDate,
+    markdownToDiaryText,
+    parseTextNote,
+    parseDayOne,
+    parseEnex,
+    expandImportFiles,
+    importTooLargeMessage,
+    parseImportFile,
+    audioDate,
+    fingerprint,
+    DuplicateIndex,
+    IMPORT_LIMITS
+};
@@ -0,0 +1,35 @@
+// 対話と日記で使える言語（設定には ja / en のようなコードで保存する）
+// name はその言語での名前、names は各言語で書いたときの名前（プロンプト用）、speechCode は音声認識に渡す言語コード
+const LANGUAGES = {
+    ja: { name: '日本語', names: { ja: '日本語', en: 'Japanese' }, speechCode: 'ja-JP' },
+    en: { name: 'English', names: { ja: '英語', en: 'English' }, speechCode: 'en-US' }
+};
+
+const DEFAULT_LANGUAGE = 'ja';
+
+function isLanguage(value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(LANGUAGES, value);
+}
+
+// 音声認識の言語コード（STT_LANGUAGE が同じ言語の地域違い（en-GB など）ならそちらを使う）
+function speechLanguageCode(language, preferred) {
+    if (preferred && preferred.split('-')[0].toLowerCase() === language) return preferred;
+    return LANGUAGES[language].speechCode;
+}
+
+// セッションの言語（言語を持たない古いセッションは日本語、日記の言語を省略したら対話と同じ）
+function sessionLanguages(session) {
+    const language = isLanguage(session?.language) ? session.language : DEFAULT_LANGUAGE;
+    return {
+        language,
+        diaryLanguage: isLanguage(session?.diaryLanguage) ? session.diaryLanguage : language
+    };
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    isLanguage,
+    speechLanguageCode,
+    sessionLanguages
+};
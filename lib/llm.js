@@ -0,0 +1,235 @@
+const fs = require('fs');
+
+// タスクごとの生成設定の既定値（LLM_<TASK>_MODEL / _TEMPERATURE / _MAX_TOKENS で上書き可能）
+const TASK_DEFAULTS = {
+    interview: { temperature: 0.7, maxOutputTokens: 256 },
+    summary: { temperature: 0.7, maxOutputTokens: 1000 },
+    title: { temperature: 0.4, maxOutputTokens: 64 },
+    emotion: { temperature: 0.1, maxOutputTokens: 200 },
+    memory: { temperature: 0.2, maxOutputTokens: 600 },
+    verify: { temperature: 0, maxOutputTokens: 800 },
+    photo: { temperature: 0.2, maxOutputTokens: 300 }
+};
+
+const DEFAULT_VERTEX_MODEL = 'gemini-2.0-flash';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+function taskSettings(task, env, defaultModel) {
+    const prefix = `LLM_${String(task).toUpperCase()}_`;
+    const base = TASK_DEFAULTS[task] || TASK_DEFAULTS.summary;
+    return {
+        model: env[`${prefix}MODEL`] || env.LLM_MODEL || defaultModel,
+        temperature: Number(env[`${prefix}TEMPERATURE`] ?? base.temperature),
+        maxOutputTokens: Number(env[`${prefix}MAX_TOKENS`] ?? base.maxOutputTokens),
+        topP: 0.8,
+        topK: 40
+    };
+}
+
+// Vertex AI (Gemini)
+class VertexProvider {
+    constructor({ projectId, location, env }) {
+        const { VertexAI } = require('@google-cloud/vertexai');
+        this.name = 'vertex';
+        this.env = env;
+        this.vertexAI = new VertexAI({ project: projectId, location });
+        this.models = new Map();
+    }
+
+    // タスクごとに設定の違うモデルを使い回す
+    model(task) {
+        if (!this.models.has(task)) {
+            const { model, ...generationConfig } = taskSettings(task, this.env, DEFAULT_VERTEX_MODEL);
+            this.models.set(task, this.vertexAI.preview.getGenerativeModel({ model, generationConfig }));
+        }
+        return this.models.get(task);
+    }
+
+    async healthCheck() {
+        await this.generate('テスト', { task: 'title' });
+    }
+
+    // images: [{ data: Buffer, mimeType }]（写真の説明などで、プロンプトの前に画像を付ける）
+    async generate(prompt, { task, images = [] }) {
+        const request = images.length > 0
+            ? {
+                contents: [{
+                    role: 'user',
+                    parts: [
+                        ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data.toString('base64') } })),
+                        { text: prompt }
+                    ]
+                }]
+            }
+            : prompt;
+        const result = await this.model(task).generateContent(request);
+        const response = await result.response;
+        return response.candidates[0].content.parts[0].text;
+    }
+
+    async stream(prompt, { task }, onToken) {
+        const result = await this.model(task).generateContentStream(prompt);
+        let text = '';
+        for await (const chunk of result.stream) {
+            const piece = chunk.candidates?.[0]?.content?.parts?.[0]?.text || '';
+            if (piece) {
+                text += piece;
+                onToken(piece);
+            }
+        }
+        return text;
+    }
+}
+
+// OpenAI互換のHTTP API（llama.cpp server、Ollama、vLLM などのローカルモデルにも対応）
+class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey, timeoutMs, env }) {
+        this.name = 'openai';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+        this.env = env;
+    }
+
+    // 画像は data URL にして、文章と一緒にメッセージの content に並べる
+    async request(prompt, task, stream, images = []) {
+        const settings = taskSettings(task, this.env, DEFAULT_OPENAI_MODEL);
+        const content = images.length > 0
+            ? [
+                { type: 'text', text: prompt },
+                ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` } }))
+            ]
+            : prompt;
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model: settings.model,
+                messages: [{ role: 'user', content }],
+                temperature: settings.temperature,
+                max_tokens: settings.maxOutputTokens,
+                top_p: settings.topP,
+                stream
+            }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`LLM APIエラー: HTTP ${response.status} ${(await response.text()).substring(0, 200)}`);
+        }
+        return response;
+    }
+
+    async healthCheck() {
+        await this.generate('テスト', { task: 'title' });
+    }
+
+    async generate(prompt, { task, images }) {
+        const data = await (await this.request(prompt, task, false, images)).json();
+        return data.choices[0].message.content;
+    }
+
+    async stream(prompt, { task }, onToken) {
+        const response = await this.request(prompt, task, true);
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') return text;
+
+                const piece = JSON.parse(payload).choices?.[0]?.delta?.content || '';
+                if (piece) {
+                    text += piece;
+                    onToken(piece);
+                }
+            }
+        }
+        return text;
+    }
+}
+
+// テスト用の決定的なプロバイダ（タスクごとに台本の応答を順番に返す）
+class ScriptedProvider {
+    constructor({ script = {} } = {}) {
+        this.name = 'scripted';
+        this.script = script;
+        this.counters = {};
+    }
+
+    next(task, prompt) {
+        const lines = this.script[task] || this.script.default;
+        if (!lines || lines.length === 0) {
+            // 台本がないタスクはプロンプトの先頭行をそのまま返す
+            const firstLine = prompt.trim().split('\n')[0];
+            return `[${task}] ${firstLine.substring(0, 40)}`;
+        }
+        const index = this.counters[task] || 0;
+        this.counters[task] = index + 1;
+        return lines[index % lines.length];
+    }
+
+    async healthCheck() {}
+
+    async generate(prompt, { task }) {
+        return this.next(task, prompt);
+    }
+
+    async stream(prompt, { task }, onToken) {
+        const text = this.next(task, prompt);
+        for (let i = 0; i < text.length; i += 4) {
+            onToken(text.slice(i, i + 4));
+        }
+        return text;
+    }
+}
+
+// 環境変数からLLMプロバイダを生成（未設定ならnull = デモ応答）
+function createLLMProvider(env = process.env) {
+    const type = env.LLM_PROVIDER || (env.GOOGLE_CLOUD_PROJECT ? 'vertex' : 'none');
+
+    if (type === 'vertex') {
+        return new VertexProvider({
+            projectId: env.GOOGLE_CLOUD_PROJECT,
+            location: env.VERTEX_LOCATION || 'us-central1',
+            env
+        });
+    }
+    if (type === 'openai') {
+        return new OpenAICompatibleProvider({
+            baseUrl: env.LLM_BASE_URL || 'http://localhost:8000/v1',
+            apiKey: env.LLM_API_KEY,
+            timeoutMs: Number(env.LLM_TIMEOUT_MS || DEFAULT_TIMEOUT_MS),
+            env
+        });
+    }
+    if (type === 'scripted') {
+        const script = env.LLM_SCRIPT_FILE
+            ? JSON.parse(fs.readFileSync(env.LLM_SCRIPT_FILE, 'utf8'))
+            : {};
+        return new ScriptedProvider({ script });
+    }
+    if (type !== 'none') {
+        console.warn(`未対応のLLM_PROVIDER: ${type} - デモ応答を使用`);
+    }
+    return null;
+}
+
+module.exports = {
+    VertexProvider,
+    OpenAICompatibleProvider,
+    ScriptedProvider,
+    createLLMProvider,
+    taskSettings
+};
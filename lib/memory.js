@@ -0,0 +1,237 @@
+const { classifyWithLexicon } = require('./emotion');
+const { extractTopics } = require('./analytics');
+const { normalize, tokenize } = require('./search');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 1回の会話から覚える事柄の上限
+const MAX_FACTS_PER_SESSION = 8;
+// 予定や悩みをあとから聞き直す期間
+const FOLLOW_UP_DAYS = 14;
+
+const FACT_KINDS = {
+    person: '人',
+    plan: '予定',
+    project: '取り組み',
+    worry: '気がかり'
+};
+
+const PERSON = /([\p{Script=Han}\p{Script=Katakana}ー]{1,6})(さん|くん|君|ちゃん|先輩|先生|部長|課長)/u;
+const FAMILY = /(祖母|祖父|おばあちゃん|おじいちゃん|母|父|妻|夫|息子|娘|兄|姉|弟|妹)/;
+// 予定の名前（「会議でプレゼン」ならプレゼンのように、先にあるものを優先）
+const EVENTS = ['プレゼン', '発表', '試験', 'テスト', '面接', '締め切り', '締切', '引っ越し', '手術', '結婚式', '誕生日', '試合', 'ライブ', '検診', '旅行', '打ち合わせ', '会議'];
+const PROJECT = /(プロジェクト|資格|ダイエット|筋トレ|英語|料理|ピアノ|ギター|ブログ)[^。]{0,8}(始め|続け|頑張|挑戦|勉強|練習|準備)/;
+
+// 「来週」「明日」などから、話した日を基準に予定の日付を見積もる
+const WHEN = [
+    { pattern: /明後日|あさって/, days: 2 },
+    { pattern: /明日/, days: 1 },
+    { pattern: /来週/, days: 7 },
+    { pattern: /来月/, days: 30 },
+    { pattern: /週末/, weekend: true }
+];
+
+function splitSentences(text) {
+    return String(text || '')
+        .split(/(?<=[。！？!?\n])/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+function estimateDate(sentence, spokenAt) {
+    const when = WHEN.find(({ pattern }) => pattern.test(sentence));
+    if (!when) return null;
+    const date = new Date(spokenAt);
+    if (when.weekend) {
+        date.setDate(date.getDate() + ((6 - date.getDay() + 7) % 7 || 7));
+    } else {
+        date.setDate(date.getDate() + when.days);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+// 辞書とパターンで発言から事柄を取り出す（LLMなしでも動く）
+function extractFactsWithRules(messages) {
+    const facts = [];
+    messages
+        .filter(msg => msg.role === 'user')
+        .forEach(msg => {
+            splitSentences(msg.content).forEach(sentence => {
+                const person = sentence.match(PERSON) || sentence.match(FAMILY);
+                if (person) {
+                    facts.push({ kind: 'person', subject: person[0], text: sentence });
+                }
+
+                const event = EVENTS.find(name => sentence.includes(name));
+                const eventDate = estimateDate(sentence, msg.timestamp || Date.now());
+                if (event && eventDate) {
+                    facts.push({ kind: 'plan', subject: event, text: sentence, eventDate });
+                }
+
+                const project = sentence.match(PROJECT);
+                if (project) {
+                    facts.push({ kind: 'project', subject: project[1], text: sentence });
+                }
+
+                const worried = classifyWithLexicon(sentence).emotions
+                    .some(({ label, score }) => ['anxiety', 'sadness'].includes(label) && score >= 0.5);
+                if (worried) {
+                    const subject = event || extractTopics(sentence)[0] || sentence.slice(0, 20);
+                    facts.push({ kind: 'worry', subject, text: sentence });
+                }
+            });
+        });
+    return facts.slice(0, MAX_FACTS_PER_SESSION);
+}
+
+class RuleFactExtractor {
+    constructor() {
+        this.name = 'rules';
+    }
+
+    async extract(messages) {
+        return extractFactsWithRules(messages);
+    }
+}
+
+// LLMで取り出し、失敗したらルールにフォールバック
+class ModelFactExtractor {
+    constructor({ llmProvider }) {
+        this.name = 'model';
+        this.llmProvider = llmProvider;
+    }
+
+    prompt(messages, today) {
+        const kinds = Object.entries(FACT_KINDS).map(([kind, name]) => `${kind}(${name})`).join(', ');
+        const lines = messages
+            .filter(msg => msg.role === 'user')
+            .map(msg => `- ${msg.content}`)
+            .join('\n');
+        return `次の日記の対話から、後日の会話で話題にできる事柄を取り出し、JSONだけを出力してください。
+
+今日の日付: ${today}
+種類: ${kinds}
+- 登場した人、これからの予定、続けている取り組み、気にしていることを最大${MAX_FACTS_PER_SESSION}件
+- text は本人の言葉を生かした短い1文、subject はその事柄の短い名前
+- 予定で日付が分かれば eventDate（YYYY-MM-DD）を付ける
+- 形式: {"facts":[{"kind":"plan","subject":"プレゼン","text":"来週の会議でプレゼンをする","eventDate":"2026-01-20"}]}
+
+ユーザーの発言:
+${lines}`;
+    }
+
+    async extract(messages) {
+        try {
+            const today = new Date().toISOString().slice(0, 10);
+            const output = await this.llmProvider.generate(this.prompt(messages, today), { task: 'memory' });
+            const json = JSON.parse(output.match(/\{[\s\S]*\}/)[0]);
+            return (json.facts || [])
+                .filter(fact => FACT_KINDS[fact.kind] && typeof fact.text === 'string' && fact.text.trim())
+                .map(fact => ({
+                    kind: fact.kind,
+                    subject: typeof fact.subject === 'string' ? fact.subject.trim() : null,
+                    text: fact.text.trim(),
+                    eventDate: /^\d{4}-\d{2}-\d{2}$/.test(fact.eventDate) ? fact.eventDate : null
+                }))
+                .slice(0, MAX_FACTS_PER_SESSION);
+        } catch (error) {
+            console.warn('記憶の抽出フォールバック:', error.message);
+            return extractFactsWithRules(messages);
+        }
+    }
+}
+
+// 環境変数から抽出器を生成（LLMがなければルール）
+function createFactExtractor(env = process.env, llmProvider = null) {
+    const type = env.FACT_EXTRACTOR || (llmProvider ? 'model' : 'rules');
+
+    if (type === 'model') {
+        if (llmProvider) return new ModelFactExtractor({ llmProvider });
+        console.warn('LLMプロバイダがないため記憶の抽出はルールを使用');
+    } else if (type !== 'rules') {
+        console.warn(`未対応のFACT_EXTRACTOR: ${type} - rulesを使用`);
+    }
+    return new RuleFactExtractor();
+}
+
+function ageInDays(date, now) {
+    return (now - new Date(date).getTime()) / DAY_MS;
+}
+
+// いまの発言に関係しそうな事柄を選ぶ（言葉の重なり、新しさ、近い予定を重視）
+// 同じ文から覚えた予定と気がかりなどは1件にまとめる
+function recallFacts(facts, message, { now = Date.now(), limit = 5 } = {}) {
+    const messageTokens = new Set(tokenize(normalize(message).normalized));
+    const seen = new Set();
+    return facts
+        .filter(fact => !seen.has(fact.text) && seen.add(fact.text))
+        .map(fact => {
+            const tokens = new Set(tokenize(normalize(`${fact.subject || ''} ${fact.text}`).normalized));
+            const overlap = [...tokens].filter(token => messageTokens.has(token)).length / Math.max(1, tokens.size);
+            const recency = Math.exp(-ageInDays(fact.updatedAt, now) / 30);
+            const upcoming = fact.eventDate && Math.abs(ageInDays(fact.eventDate, now)) <= 7 ? 0.5 : 0;
+            return { fact, score: overlap * 3 + recency * 0.5 + upcoming };
+        })
+        .filter(({ score }) => score >= 0.4)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ fact }) => fact);
+}
+
+// プロンプトに入れる記憶（例: - 予定: 来週の会議でプレゼンをする（10/12の日記より））
+function describeFacts(facts) {
+    return facts.map(fact => {
+        const date = new Date(fact.updatedAt);
+        return `- ${FACT_KINDS[fact.kind]}: ${fact.text}（${date.getMonth() + 1}/${date.getDate()}の日記より）`;
+    }).join('\n');
+}
+
+function relativeDay(date, now, language) {
+    const days = Math.floor(ageInDays(date, now));
+    if (language === 'en') {
+        if (days <= 1) return 'yesterday';
+        if (days < 7) return 'the other day';
+        return days < 14 ? 'last week' : 'a while ago';
+    }
+    if (days <= 1) return '昨日';
+    if (days < 7) return 'この前';
+    return days < 14 ? '先週' : '前に';
+}
+
+// 会話の最初に聞く、前回までの予定や気がかりのその後（language は対話の言語）
+function followUpQuestion(facts, { now = Date.now(), language = 'ja' } = {}) {
+    const candidates = facts.filter(fact => {
+        if (fact.kind === 'plan') {
+            // 予定の日が過ぎてから聞く（日付が分からなければ話してから2日後以降）
+            const age = fact.eventDate ? ageInDays(fact.eventDate, now) : ageInDays(fact.updatedAt, now) - 2;
+            return age >= 0 && age <= FOLLOW_UP_DAYS;
+        }
+        if (fact.kind === 'worry') {
+            const age = ageInDays(fact.updatedAt, now);
+            return age >= 1 && age <= FOLLOW_UP_DAYS / 2;
+        }
+        return false;
+    });
+    if (candidates.length === 0) return null;
+
+    const fact = candidates.sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1))[0];
+    const when = relativeDay(fact.updatedAt, now, language);
+    if (language === 'en') {
+        const question = fact.kind === 'plan'
+            ? `How did ${fact.subject || 'the plan'} you mentioned ${when} go?`
+            : `You were worried about ${fact.subject || 'something'} ${when}. How is it going now?`;
+        return { factId: fact.id, question };
+    }
+    const question = fact.kind === 'plan'
+        ? `${when}話していた${fact.subject || '予定'}はどうでしたか？`
+        : `${when}${fact.subject || 'そのこと'}のことを気にしていましたね。その後いかがですか？`;
+    return { factId: fact.id, question };
+}
+
+module.exports = {
+    FACT_KINDS,
+    createFactExtractor,
+    extractFactsWithRules,
+    recallFacts,
+    describeFacts,
+    followUpQuestion
+};
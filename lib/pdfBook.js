@@ -0,0 +1,179 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { parseDiary } = require('./diaryStyles');
+const { localDate, chronological, rangeLabel } = require('./export');
+
+// 日本語を含むPDFには日本語フォントが必要（ttc は family に PostScript名を指定する）
+const FONT_CANDIDATES = [
+    { path: '/usr/share/fonts/opentype/noto/NotoSerifCJK-Regular.ttc', family: 'NotoSerifCJKjp-Regular' },
+    { path: '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc', family: 'NotoSansCJKjp-Regular' },
+    { path: '/usr/share/fonts/opentype/ipaexfont-mincho/ipaexm.ttf' },
+    { path: '/usr/share/fonts/truetype/fonts-japanese-mincho.ttf' },
+    { path: '/System/Library/Fonts/ヒラギノ明朝 ProN.ttc', family: 'HiraMinProN-W3' }
+];
+
+const PAGE = { size: 'A5', margin: 48 };
+const FONT_SIZE = 10.5;
+const LINE_GAP = 0.8;
+// 縦書きで行頭に来てはいけない約物（前の行の下にぶら下げる）
+const HANGING = /[、。，．」』）】！？!?ー]/;
+
+// 環境変数か既定の場所から使えるフォントを探す（見つからなければ null）
+function resolveExportFont(env = process.env) {
+    if (env.EXPORT_FONT_PATH) {
+        return fs.existsSync(env.EXPORT_FONT_PATH)
+            ? { path: env.EXPORT_FONT_PATH, family: env.EXPORT_FONT_FAMILY || undefined }
+            : null;
+    }
+    return FONT_CANDIDATES.find(candidate => fs.existsSync(candidate.path)) || null;
+}
+
+// 日記を、見出し・段落などの「行」の並びにする（縦書き・横書き共通）
+function bookLines(diary, tzOffset) {
+    const lines = [
+        { type: 'date', text: localDate(diary.date, tzOffset).label },
+        { type: 'title', text: diary.title || 'タイトルなし' }
+    ];
+    parseDiary(diary.text, diary.style).forEach(({ heading, blocks }) => {
+        if (heading) lines.push({ type: 'heading', text: `【${heading}】` });
+        blocks.forEach(block => {
+            if (block.type === 'list') {
+                block.items.forEach(item => lines.push({ type: 'item', text: `・${item}` }));
+            } else if (block.type === 'verse') {
+                block.lines.forEach(line => lines.push({ type: 'verse', text: line }));
+                lines.push({ type: 'space' });
+            } else {
+                lines.push({ type: 'paragraph', text: `　${block.text}` });
+            }
+        });
+    });
+    return lines;
+}
+
+const SIZES = { date: 9, title: 13, heading: 11 };
+
+function drawCover(doc, { title, range, username }) {
+    const { width, height } = doc.page;
+    doc.fontSize(20).text(title, PAGE.margin, height * 0.35, { width: width - PAGE.margin * 2, align: 'center' });
+    if (range) {
+        doc.moveDown(1.5).fontSize(11).text(range, { width: width - PAGE.margin * 2, align: 'center' });
+    }
+    if (username) {
+        doc.moveDown(1).fontSize(11).text(username, { width: width - PAGE.margin * 2, align: 'center' });
+    }
+}
+
+// 横書き：pdfkit の流し込みに任せる（月が変わるごとに改ページ）
+function drawHorizontal(doc, diaries, tzOffset) {
+    let month = null;
+    diaries.forEach(diary => {
+        const { monthLabel } = localDate(diary.date, tzOffset);
+        if (monthLabel !== month) {
+            month = monthLabel;
+            doc.addPage().fontSize(16).text(monthLabel).moveDown(1);
+        } else {
+            doc.moveDown(1.5);
+        }
+        bookLines(diary, tzOffset).forEach(line => {
+            if (line.type === 'space') {
+                doc.moveDown(0.5);
+                return;
+            }
+            doc.fontSize(SIZES[line.type] || FONT_SIZE)
+                .fillColor(line.type === 'date' ? '#666666' : '#000000')
+                .text(line.text, { lineGap: FONT_SIZE * (LINE_GAP - 0.5) });
+            if (line.type === 'title') doc.moveDown(0.5);
+        });
+    });
+}
+
+// 縦書き：1文字ずつ右の行から左へ置いていく（vert で約物を縦書き用の字形にする）
+function drawVertical(doc, diaries, tzOffset) {
+    const top = PAGE.margin;
+    const bottom = doc.page.height - PAGE.margin;
+    const right = doc.page.width - PAGE.margin;
+    const left = PAGE.margin;
+    let x = null;
+
+    const newPage = () => {
+        doc.addPage();
+        x = right;
+    };
+    const nextColumn = (size, gap = LINE_GAP) => {
+        x -= size * (1 + gap);
+        if (x - size < left) newPage();
+    };
+    const column = (text, size) => {
+        let y = top;
+        doc.fontSize(size);
+        Array.from(text).forEach(char => {
+            if (y + size > bottom && !HANGING.test(char)) {
+                nextColumn(size);
+                y = top;
+            }
+            const width = doc.widthOfString(char, { features: ['vert'] });
+            doc.text(char, x - size + (size - width) / 2, y, { lineBreak: false, features: ['vert'] });
+            y += size;
+        });
+        nextColumn(size);
+    };
+
+    let month = null;
+    diaries.forEach(diary => {
+        const { monthLabel } = localDate(diary.date, tzOffset);
+        if (monthLabel !== month) {
+            month = monthLabel;
+            newPage();
+            doc.fillColor('#000000');
+            column(monthLabel, 16);
+            nextColumn(FONT_SIZE);
+        } else {
+            nextColumn(FONT_SIZE, 1.5);
+        }
+        bookLines(diary, tzOffset).forEach(line => {
+            if (line.type === 'space') {
+                nextColumn(FONT_SIZE, 0);
+                return;
+            }
+            doc.fillColor(line.type === 'date' ? '#666666' : '#000000');
+            column(line.text, SIZES[line.type] || FONT_SIZE);
+        });
+    });
+}
+
+// 日記をA5の本のPDFにする（writing: horizontal / vertical）
+function createPdfBook(diaries, { font, tzOffset = 0, writing = 'horizontal', username, from, to } = {}) {
+    return new Promise((resolve, reject) => {
+        const range = rangeLabel({ from, to }, tzOffset);
+        const title = `${username ? `${username}の` : ''}日記`;
+        const doc = new PDFDocument({
+            size: PAGE.size,
+            margin: PAGE.margin,
+            info: { Title: range ? `${title}（${range}）` : title, Author: username || '' }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            doc.registerFont('book', font.path, font.family);
+            doc.font('book');
+            drawCover(doc, { title, range, username });
+            const sorted = chronological(diaries);
+            if (writing === 'vertical') {
+                drawVertical(doc, sorted, tzOffset);
+            } else {
+                drawHorizontal(doc, sorted, tzOffset);
+            }
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = {
+    resolveExportFont,
+    createPdfBook
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// メモリ上のペルソナストア（ユーザーが作ったペルソナだけを持つ）
+class MemoryPersonaStore {
+    constructor() {
+        this.personas = new Map();
+    }
+
+    async load() {
+        return this.personas.size;
+    }
+
+    async list(userId) {
+        return Array.from(this.personas.values())
+            .filter(persona => persona.userId === userId)
+            .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+    }
+
+    async get(userId, id) {
+        const persona = this.personas.get(id);
+        return persona && persona.userId === userId ? persona : null;
+    }
+
+    async create(userId, fields) {
+        const now = new Date().toISOString();
+        const persona = {
+            ...fields,
+            id: `custom-${crypto.randomUUID()}`,
+            userId,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.personas.set(persona.id, persona);
+        await this.persist(userId);
+        return persona;
+    }
+
+    async update(userId, id, fields) {
+        const current = await this.get(userId, id);
+        if (!current) return null;
+        const persona = {
+            ...fields,
+            id,
+            userId,
+            createdAt: current.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+        this.personas.set(id, persona);
+        await this.persist(userId);
+        return persona;
+    }
+
+    async delete(userId, id) {
+        if (!await this.get(userId, id)) return false;
+        this.personas.delete(id);
+        await this.persist(userId);
+        return true;
+    }
+
+    async persist() {}
+}
+
+// ファイル保存のペルソナストア（ユーザーごとに1ファイル）
+class FilePersonaStore extends MemoryPersonaStore {
+    constructor({ dir }) {
+        super();
+        this.dir = dir;
+        this.writing = Promise.resolve();
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    filePath(userId) {
+        return path.join(this.dir, `${String(userId).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+    }
+
+    async load() {
+        const files = await fs.promises.readdir(this.dir);
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const personas = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+                personas.forEach(persona => this.personas.set(persona.id, persona));
+            } catch (err) {
+                console.warn('ペルソナの読み込み警告:', file, err.message);
+            }
+        }
+        return this.personas.size;
+    }
+
+    async persist(userId) {
+        // 同時書き込みで一時ファイルが衝突しないよう直列化する
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const target = this.filePath(userId);
+            const tmp = `${target}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify(await this.list(userId)));
+            await fs.promises.rename(tmp, target);
+        });
+        return this.writing;
+    }
+}
+
+// 環境変数からペルソナストアを生成
+function createPersonaStore(env = process.env) {
+    const type = env.PERSONA_STORE || 'file';
+
+    if (type === 'file') {
+        const dir = env.PERSONA_STORE_DIR || path.join(__dirname, '..', 'data', 'personas');
+        return new FilePersonaStore({ dir });
+    }
+    if (type !== 'memory') {
+        console.warn(`未対応のPERSONA_STORE: ${type} - memoryを使用`);
+    }
+    return new MemoryPersonaStore();
+}
+
+module.exports = {
+    MemoryPersonaStore,
+    FilePersonaStore,
+    createPersonaStore
+};
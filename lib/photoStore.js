@@ -0,0 +1,49 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createBlobStore } = require('./blobStore');
+
+const DEFAULT_UNLINKED_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 添付した写真（photo: { buffer, mimeType, thumbnail: { buffer, mimeType }, description, caption, sessionId }）
+// 日記に紐づかないまま unlinkedTtlMs を過ぎた写真は消し、日記にした写真は日記と一緒に消える
+const PHOTO_KIND = {
+    label: '写真',
+    extensions: { main: '.photo', thumbnail: '.thumb' },
+    async create(userId, photo) {
+        return {
+            item: {
+                id: crypto.randomUUID(),
+                userId,
+                mimeType: photo.mimeType || 'application/octet-stream',
+                size: photo.buffer.length,
+                thumbnailMimeType: photo.thumbnail ? photo.thumbnail.mimeType : null,
+                thumbnailSize: photo.thumbnail ? photo.thumbnail.buffer.length : null,
+                description: photo.description || null,
+                caption: photo.caption || null,
+                sessionId: photo.sessionId || null,
+                diaryId: null,
+                createdAt: new Date().toISOString()
+            },
+            parts: { main: photo.buffer, thumbnail: photo.thumbnail ? photo.thumbnail.buffer : null }
+        };
+    },
+    // 縮小した写真がなければ、サムネイルにも元の写真を返す
+    part(photo, { thumbnail = false } = {}) {
+        return thumbnail && photo.thumbnailMimeType ? 'thumbnail' : 'main';
+    }
+};
+
+// 環境変数から写真ストアを生成
+function createPhotoStore(env = process.env) {
+    return createBlobStore(env, {
+        kind: PHOTO_KIND,
+        prefix: 'PHOTO',
+        defaultDir: path.join(__dirname, '..', 'data', 'photos'),
+        defaultUnlinkedTtlMs: DEFAULT_UNLINKED_TTL_MS
+    });
+}
+
+module.exports = {
+    PHOTO_KIND,
+    createPhotoStore
+};
@@ -0,0 +1,108 @@
+const { DEFAULT_LANGUAGE } = require('./languages');
+
+// 判定した形式 → Content-Type
+const IMAGE_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    heic: 'image/heic'
+};
+
+// 1つの対話に添付できる写真の数（プロンプトが長くなりすぎないように）
+const MAX_PHOTOS_PER_SESSION = 20;
+const MAX_CAPTION_LENGTH = 200;
+
+// 先頭バイトから画像の形式を判定（Content-Type は端末ごとにばらつくため使わない）
+function detectImageFormat(buffer) {
+    if (buffer.length < 12) return 'unknown';
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+    if (buffer.readUInt32BE(0) === 0x89504E47) return 'png';
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    if (buffer.toString('ascii', 4, 8) === 'ftyp' && /^(heic|heix|mif1|msf1)$/.test(buffer.toString('ascii', 8, 12))) return 'heic';
+    return 'unknown';
+}
+
+// 写真の説明を作るプロンプト（写っているものだけを書かせ、出来事や気持ちは推測させない）
+function buildPhotoDescriptionPrompt(language = DEFAULT_LANGUAGE) {
+    if (language === 'en') {
+        return `This photo was attached to a diary conversation. Describe what is visible in it in one or two sentences.
+- Mention the place, people, objects, food, weather and so on only when they are actually visible
+- Do not guess what happened, who the people are or how anyone felt
+- Reply in English
+
+Description:`;
+    }
+    return `日記の対話に添付された写真です。写っているものを1〜2文で説明してください。
+- 場所・人・物・食べ物・天気などは、実際に写っているものだけを書く
+- 何があったのか、誰なのか、どんな気持ちだったのかは推測しない
+- 日本語で答える
+
+説明：`;
+}
+
+// プロンプトに入れる写真の一覧（説明のない写真は、ユーザーのひとことだけ）
+function describePhotos(photos = [], language = DEFAULT_LANGUAGE) {
+    const en = language === 'en';
+    return photos
+        .map((photo, index) => {
+            const parts = [
+                photo.description || (en ? '(no description)' : '（説明なし）'),
+                ...(photo.caption ? [en ? `the user's note: "${photo.caption}"` : `ユーザーのひとこと「${photo.caption}」`] : [])
+            ];
+            return `- ${en ? `Photo ${index + 1}` : `写真${index + 1}`}: ${parts.join(en ? '; ' : '／')}`;
+        })
+        .join('\n');
+}
+
+// 写真を受け取ったときの決まった質問（デモモードや、説明もひとこともない写真）
+const DEMO_PHOTO_QUESTIONS = {
+    ja: '写真をありがとうございます。これはどんな場面ですか？',
+    en: 'Thanks for the photo. What was happening here?'
+};
+
+function demoPhotoQuestion(language = DEFAULT_LANGUAGE) {
+    return DEMO_PHOTO_QUESTIONS[language] || DEMO_PHOTO_QUESTIONS[DEFAULT_LANGUAGE];
+}
+
+// 画像も読めるモデルで写真の説明を作る（画像を読めないモデルで失敗したときは説明なし）
+class ModelPhotoDescriber {
+    constructor({ llmProvider }) {
+        this.name = 'model';
+        this.llmProvider = llmProvider;
+    }
+
+    async describe(image, language = DEFAULT_LANGUAGE) {
+        try {
+            const description = await this.llmProvider.generate(buildPhotoDescriptionPrompt(language), { task: 'photo', images: [image] });
+            return description.trim() || null;
+        } catch (error) {
+            console.warn('写真の説明の生成警告:', error.message);
+            return null;
+        }
+    }
+}
+
+// 環境変数から写真の説明の作り方を選ぶ（null = 説明を作らずに写真だけ保存する）
+function createPhotoDescriber(env = process.env, llmProvider = null) {
+    const type = env.PHOTO_DESCRIBER || 'model';
+
+    if (type === 'off') return null;
+    if (type !== 'model') {
+        console.warn(`未対応のPHOTO_DESCRIBER: ${type} - modelを使用`);
+    }
+    return llmProvider ? new ModelPhotoDescriber({ llmProvider }) : null;
+}
+
+module.exports = {
+    IMAGE_TYPES,
+    MAX_PHOTOS_PER_SESSION,
+    MAX_CAPTION_LENGTH,
+    detectImageFormat,
+    buildPhotoDescriptionPrompt,
+    describePhotos,
+    demoPhotoQuestion,
+    ModelPhotoDescriber,
+    createPhotoDescriber
+};
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const { extractTopics } = require('./analytics');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SNIPPET_BEFORE = 30;
+const SNIPPET_LENGTH = 120;
+const TITLE_WEIGHT = 2;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}ー々';
+const TOKEN_PATTERN = new RegExp(`[${CJK}]+|(?:(?![${CJK}])[\\p{L}\\p{N}])+`, 'gu');
+const CJK_RUN = new RegExp(`^[${CJK}]`, 'u');
+
+// 検索用の正規化（全角・半角、大文字・小文字、カタカナ・ひらがなの違いをなくす）
+// positions[i] は正規化後の i 文字目が元の文字列の何文字目だったか
+function normalize(text) {
+    let normalized = '';
+    const positions = [];
+    let index = 0;
+    // 半角カナの濁点・半濁点は前の文字と合わせて正規化する（ｶﾞ → が）
+    for (const [char] of String(text || '').matchAll(/.[\uFF9E\uFF9F]?/gsu)) {
+        const folded = char.normalize('NFKC').toLowerCase()
+            .replace(/[ァ-ヶ]/g, kana => String.fromCharCode(kana.charCodeAt(0) - 0x60));
+        normalized += folded;
+        for (let i = 0; i < folded.length; i++) positions.push(index);
+        index += char.length;
+    }
+    positions.push(index);
+    return { normalized, positions };
+}
+
+// 日本語は分かち書きしないので文字bigram、英数字は単語で区切る
+function tokenize(normalized) {
+    const tokens = [];
+    for (const [run] of normalized.matchAll(TOKEN_PATTERN)) {
+        if (!CJK_RUN.test(run)) {
+            tokens.push(run);
+            continue;
+        }
+        const chars = Array.from(run);
+        if (chars.length === 1) tokens.push(chars[0]);
+        for (let i = 0; i < chars.length - 1; i++) {
+            tokens.push(chars[i] + chars[i + 1]);
+        }
+    }
+    return tokens;
+}
+
+function termFrequencies(tokens) {
+    const counts = new Map();
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    return counts;
+}
+
+// 空白区切りの語（すべて含む日記だけを返す）
+function parseQuery(q) {
+    return normalize(q).normalized
+        .split(/\s+/)
+        .map(term => term.replace(/^["']|["']$/g, ''))
+        .filter(Boolean);
+}
+
+function pageSize(limit) {
+    const size = Number(limit) || DEFAULT_PAGE_SIZE;
+    return Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+}
+
+function byDateDesc(a, b) {
+    if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+    return a.id < b.id ? 1 : -1;
+}
+
+// 語の出現位置（元の文字列での [開始, 終了)、重なりはまとめる）
+function matchRanges(text, terms) {
+    const { normalized, positions } = normalize(text);
+    const ranges = [];
+    terms.forEach(term => {
+        let index = normalized.indexOf(term);
+        while (index !== -1) {
+            ranges.push([positions[index], positions[index + term.length]]);
+            index = normalized.indexOf(term, index + term.length);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+        return merged;
+    }, []);
+}
+
+// 最初に一致した箇所の前後を抜き出す（ranges は抜き出した文字列での位置）
+function snippetOf(text, ranges) {
+    const content = String(text || '');
+    const start = ranges.length > 0 ? Math.max(0, ranges[0][0] - SNIPPET_BEFORE) : 0;
+    const end = Math.min(content.length, start + SNIPPET_LENGTH);
+    return {
+        text: content.slice(start, end),
+        ranges: ranges
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from - start, to - start]),
+        truncatedStart: start > 0,
+        truncatedEnd: end < content.length
+    };
+}
+
+function matchesFilters(diary, { from, to, mood, topic }) {
+    const time = new Date(diary.date).getTime();
+    if (from && time < from.getTime()) return false;
+    if (to && time > to.getTime()) return false;
+    if (mood && !(diary.mood?.labels || []).includes(mood)) return false;
+    if (topic && !(diary.topics || extractTopics(diary.text)).includes(topic)) return false;
+    return true;
+}
+
+// 日記の全文検索（語はすべて含むものに絞り、文字bigramのBM25で並べる）
+// q がなければ絞り込みだけして日付の新しい順に返す
+function searchDiaries(diaries, { q, from, to, mood, topic, limit, cursor } = {}) {
+    const terms = parseQuery(q);
+    const candidates = diaries.filter(diary => matchesFilters(diary, { from, to, mood, topic }));
+
+    let ranked;
+    if (terms.length === 0) {
+        ranked = candidates.sort(byDateDesc).map(diary => ({ diary, score: null }));
+    } else {
+        const documents = candidates
+            .map(diary => {
+                const title = normalize(diary.title).normalized;
+                const text = normalize(diary.text).normalized;
+                return { diary, title, text };
+            })
+            .filter(({ title, text }) => terms.every(term => title.includes(term) || text.includes(term)))
+            .map(doc => {
+                const titleTokens = tokenize(doc.title);
+                const tokens = tokenize(doc.text);
+                const frequencies = termFrequencies(tokens);
+                termFrequencies(titleTokens).forEach((count, token) => {
+                    frequencies.set(token, (frequencies.get(token) || 0) + count * TITLE_WEIGHT);
+                });
+                return { ...doc, frequencies, length: tokens.length + titleTokens.length * TITLE_WEIGHT };
+            });
+
+        // 文書数などの統計は全候補から取る
+        const queryTokens = [...new Set(terms.flatMap(term => tokenize(term)))];
+        const allTokens = candidates.map(diary => new Set(tokenize(normalize(`${diary.title} ${diary.text}`).normalized)));
+        const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / Math.max(1, documents.length);
+        const idf = new Map(queryTokens.map(token => {
+            const df = allTokens.filter(tokens => tokens.has(token)).length;
+            return [token, Math.log(1 + (candidates.length - df + 0.5) / (df + 0.5))];
+        }));
+
+        ranked = documents
+            .map(doc => {
+                const score = queryTokens.reduce((sum, token) => {
+                    const tf = doc.frequencies.get(token) || 0;
+                    const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (averageLength || 1));
+                    return sum + idf.get(token) * (tf * (BM25_K1 + 1)) / norm;
+                }, 0);
+                return { diary: doc.diary, score: Math.round(score * 1000) / 1000 };
+            })
+            .sort((a, b) => b.score - a.score || byDateDesc(a.diary, b.diary));
+    }
+
+    const size = pageSize(limit);
+    const start = cursor ? ranked.findIndex(({ diary }) => diary.id === cursor) + 1 : 0;
+    const page = ranked.slice(start, start + size);
+    const hasMore = start + size < ranked.length;
+
+    return {
+        total: ranked.length,
+        results: page.map(({ diary, score }) => ({
+            diary,
+            score,
+            highlights: {
+                title: matchRanges(diary.title, terms),
+                snippet: snippetOf(diary.text, matchRanges(diary.text, terms))
+            }
+        })),
+        nextCursor: hasMore ? page[page.length - 1].diary.id : null
+    };
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// 疎ベクトル（Map）のコサイン類似度
+function sparseCosine(a, b) {
+    let dot = 0;
+    a.forEach((value, token) => {
+        dot += value * (b.get(token) || 0);
+    });
+    const norm = vector => Math.sqrt(Array.from(vector.values()).reduce((sum, value) => sum + value * value, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator ? dot / denominator : 0;
+}
+
+function diaryContent(diary) {
+    return `${diary.title || ''}\n${diary.text || ''}`;
+}
+
+// 「この日と似た日」を探す
+// 埋め込みプロバイダがあれば埋め込みのコサイン類似度、なければ文字bigramのTF-IDFで比べる
+class SimilarityIndex {
+    constructor({ provider = null } = {}) {
+        this.provider = provider;
+        // 日記ID → { hash, vector }（本文が変わったら作り直す）
+        this.cache = new Map();
+    }
+
+    async embeddings(diaries) {
+        const entries = diaries.map(diary => ({
+            diary,
+            hash: crypto.createHash('sha1').update(diaryContent(diary)).digest('hex')
+        }));
+        const missing = entries.filter(({ diary, hash }) => this.cache.get(diary.id)?.hash !== hash);
+        if (missing.length > 0) {
+            const vectors = await this.provider.embed(missing.map(({ diary }) => diaryContent(diary)));
+            missing.forEach(({ diary, hash }, index) => this.cache.set(diary.id, { hash, vector: vectors[index] }));
+        }
+        return new Map(entries.map(({ diary }) => [diary.id, this.cache.get(diary.id).vector]));
+    }
+
+    lexicalScores(target, others) {
+        const all = [target, ...others];
+        const frequencies = all.map(diary => termFrequencies(tokenize(normalize(diaryContent(diary)).normalized)));
+        const df = new Map();
+        frequencies.forEach(counts => counts.forEach((count, token) => df.set(token, (df.get(token) || 0) + 1)));
+        const weighted = frequencies.map(counts => new Map(Array.from(counts.entries()).map(([token, count]) =>
+            [token, count * Math.log(1 + all.length / df.get(token))]
+        )));
+        return others.map((diary, index) => sparseCosine(weighted[0], weighted[index + 1]));
+    }
+
+    async similar(target, diaries, { limit = 5 } = {}) {
+        const others = diaries.filter(diary => diary.id !== target.id);
+        let method = 'lexical';
+        let scores;
+
+        if (this.provider && others.length > 0) {
+            try {
+                const vectors = await this.embeddings([target, ...others]);
+                scores = others.map(diary => cosine(vectors.get(target.id), vectors.get(diary.id)));
+                method = 'embedding';
+            } catch (error) {
+                console.warn('埋め込み取得エラー - 文字n-gramで比較:', error.message);
+            }
+        }
+        if (!scores) {
+            scores = this.lexicalScores(target, others);
+        }
+
+        const results = others
+            .map((diary, index) => ({ diary, score: Math.round(scores[index] * 1000) / 1000 }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+        return { method, results };
+    }
+
+    forget(id) {
+        this.cache.delete(id);
+    }
+}
+
+module.exports = {
+    normalize,
+    tokenize,
+    searchDiaries,
+    SimilarityIndex
+};
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// JSONから復元したセッションの日時をDateに戻す
+function reviveSession(session) {
+    if (!session) return session;
+    ['startTime', 'endTime', 'lastAccess'].forEach(key => {
+        if (session[key]) session[key] = new Date(session[key]);
+    });
+    (session.messages || []).forEach(msg => {
+        if (msg.timestamp) msg.timestamp = new Date(msg.timestamp);
+    });
+    return session;
+}
+
+// メモリ上のセッションストア（再起動で消える）
+class MemorySessionStore {
+    constructor({ ttlMs = DEFAULT_TTL_MS } = {}) {
+        this.ttlMs = ttlMs;
+        this.sessions = new Map();
+    }
+
+    isExpired(session, now = Date.now()) {
+        const lastAccess = session.lastAccess || session.startTime;
+        return now - new Date(lastAccess).getTime() > this.ttlMs;
+    }
+
+    async load() {
+        return this.sessions.size;
+    }
+
+    async get(id) {
+        const session = this.sessions.get(id);
+        if (!session) return null;
+        if (this.isExpired(session)) {
+            await this.delete(id);
+            return null;
+        }
+        return session;
+    }
+
+    async set(id, session) {
+        session.lastAccess = new Date();
+        this.sessions.set(id, session);
+        return session;
+    }
+
+    async delete(id) {
+        return this.sessions.delete(id);
+    }
+
+    async list() {
+        return Array.from(this.sessions.values()).filter(session => !this.isExpired(session));
+    }
+
+    async size() {
+        return (await this.list()).length;
+    }
+
+    // 期限切れセッションを削除
+    async sweep() {
+        let removed = 0;
+        for (const [id, session] of this.sessions) {
+            if (this.isExpired(session)) {
+                await this.delete(id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+// ファイル保存のセッションストア（1セッション1ファイル）
+// 共有ボリュームで複数インスタンスから使えるよう、読むたびにファイルが変わっていないか確かめ、
+// 変わっていれば（別インスタンスが書いたら）読み直す
+class FileSessionStore extends MemorySessionStore {
+    constructor({ dir, ttlMs = DEFAULT_TTL_MS } = {}) {
+        super({ ttlMs });
+        this.dir = dir;
+        this.writeSeq = 0;
+        // ファイル → 最後に読み書きしたときの更新時刻とサイズ
+        this.versions = new Map();
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    filePath(id) {
+        // セッションIDはファイル名として安全な文字だけ使う
+        return path.join(this.dir, `${String(id).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+    }
+
+    async load() {
+        await this.sweep();
+        return this.sessions.size;
+    }
+
+    version(stat) {
+        return `${stat.mtimeMs}:${stat.size}`;
+    }
+
+    // ファイルが前に読み書きしたときから変わっていれば読み直す（なければ null）
+    async readSession(fullPath) {
+        let stat;
+        try {
+            stat = await fs.promises.stat(fullPath);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            this.versions.delete(fullPath);
+            return null;
+        }
+        const cached = this.versions.get(fullPath);
+        if (cached && cached.version === this.version(stat) && this.sessions.has(cached.id)) {
+            return this.sessions.get(cached.id);
+        }
+        try {
+            const session = reviveSession(JSON.parse(await fs.promises.readFile(fullPath, 'utf8')));
+            this.sessions.set(session.id, session);
+            this.versions.set(fullPath, { id: session.id, version: this.version(stat) });
+            return session;
+        } catch (err) {
+            console.warn('セッション読み込み警告:', path.basename(fullPath), err.message);
+            return null;
+        }
+    }
+
+    // ディスクにないセッションはメモリからも消す（別インスタンスが消した。ディスクに書かない対話は残す）
+    forgetUnlessEphemeral(id) {
+        const session = this.sessions.get(id);
+        if (session && !session.ephemeral) {
+            this.sessions.delete(id);
+        }
+    }
+
+    // ディレクトリ全体を読み直す（一覧と期限切れの削除の前）
+    async refresh() {
+        const files = (await fs.promises.readdir(this.dir)).filter(file => file.endsWith('.json'));
+        const present = new Set();
+        for (const file of files) {
+            const session = await this.readSession(path.join(this.dir, file));
+            if (session) present.add(session.id);
+        }
+        for (const id of Array.from(this.sessions.keys())) {
+            if (!present.has(id)) this.forgetUnlessEphemeral(id);
+        }
+    }
+
+    async get(id) {
+        const session = await this.readSession(this.filePath(id));
+        if (!session) {
+            this.forgetUnlessEphemeral(id);
+        }
+        return super.get(id);
+    }
+
+    async list() {
+        await this.refresh();
+        return super.list();
+    }
+
+    async sweep() {
+        await this.refresh();
+        return super.sweep();
+    }
+
+    async set(id, session) {
+        await super.set(id, session);
+        // 暗号化した日記帳の対話はディスクに書かない（メモリにだけ置き、期限切れか日記の保存で消える）
+        if (session.ephemeral) return session;
+        // 書き込み途中で落ちても壊れないよう一時ファイル経由で置き換える
+        const target = this.filePath(id);
+        const tmp = `${target}.${process.pid}.${this.writeSeq++}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(session));
+        await fs.promises.rename(tmp, target);
+        // 自分で書いた内容は読み直さない
+        const stat = await fs.promises.stat(target);
+        this.versions.set(target, { id, version: this.version(stat) });
+        return session;
+    }
+
+    async delete(id) {
+        const existed = await super.delete(id);
+        this.versions.delete(this.filePath(id));
+        try {
+            await fs.promises.unlink(this.filePath(id));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+        return existed;
+    }
+}
+
+// 環境変数からセッションストアを生成
+function createSessionStore(env = process.env) {
+    let ttlMs = DEFAULT_TTL_MS;
+    if (env.SESSION_TTL_MINUTES) {
+        const minutes = Number(env.SESSION_TTL_MINUTES);
+        if (Number.isFinite(minutes) && minutes > 0) {
+            ttlMs = minutes * 60 * 1000;
+        } else {
+            console.warn(`SESSION_TTL_MINUTES は正の数で指定してください: ${env.SESSION_TTL_MINUTES} - ${DEFAULT_TTL_MS / 60000}分を使用`);
+        }
+    }
+    const type = env.SESSION_STORE || 'file';
+
+    if (type === 'file') {
+        const dir = env.SESSION_STORE_DIR || path.join(__dirname, '..', 'data', 'sessions');
+        return new FileSessionStore({ dir, ttlMs });
+    }
+    if (type !== 'memory') {
+        console.warn(`未対応のSESSION_STORE: ${type} - memoryを使用`);
+    }
+    return new MemorySessionStore({ ttlMs });
+}
+
+module.exports = {
+    MemorySessionStore,
+    FileSessionStore,
+    createSessionStore,
+    reviveSession
+};
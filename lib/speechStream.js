@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { detectFormat } = require('./audio');
+
+const DEFAULT_INTERIM_INTERVAL_MS = 3000;
+// 1つのメッセージの上限（ブラウザは1秒ごとに録音を送るので、これより大きいものは受け取らない）
+const DEFAULT_MAX_MESSAGE_BYTES = 1024 * 1024;
+// 認証が終わるまでに溜めておく音声の上限
+const MAX_EARLY_BYTES = 4 * 1024 * 1024;
+
+function send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+// 1接続ぶんの音声を受け取り、途中経過と確定結果を返す
+// エンジンがストリーミング認識に対応していればそのまま流し、
+// 対応していなければ受け取った分をまとめて一定間隔で認識し直す
+class SpeechStreamConnection {
+    constructor({ socket, engine, languageCode, transcribeFile, saveAudio, tmpDir, maxBytes, interimIntervalMs }) {
+        this.socket = socket;
+        this.engine = engine;
+        this.languageCode = languageCode;
+        this.transcribeFile = transcribeFile;
+        this.saveAudio = saveAudio;
+        this.tmpDir = tmpDir;
+        this.maxBytes = maxBytes;
+        this.interimIntervalMs = interimIntervalMs;
+
+        this.chunks = [];
+        this.bytes = 0;
+        this.format = null;
+        this.recognizer = null;
+        this.finals = [];
+        this.lastInterim = '';
+        this.confidences = [];
+        this.interimTimer = null;
+        this.pending = Promise.resolve();
+        this.transcribedBytes = 0;
+        this.busy = false;
+        this.closed = false;
+        this.stopped = false;
+
+        socket.on('message', (data, isBinary) => this.onMessage(data, isBinary));
+        socket.on('close', () => this.close());
+        send(socket, { type: 'ready', engine: engine.name });
+    }
+
+    onMessage(data, isBinary) {
+        if (isBinary) {
+            this.onAudio(Buffer.from(data));
+            return;
+        }
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (err) {
+            send(this.socket, { type: 'error', error: '不正なメッセージです' });
+            return;
+        }
+        if (message.type === 'stop') this.stop();
+    }
+
+    onAudio(chunk) {
+        if (this.stopped) return;
+        this.bytes += chunk.length;
+        if (this.bytes > this.maxBytes) {
+            this.fail(new Error('録音が長すぎます'));
+            return;
+        }
+        this.chunks.push(chunk);
+
+        // 最初のチャンクのヘッダで形式を判定し、認識方法を決める
+        if (!this.format) {
+            this.format = detectFormat(chunk);
+            if (this.engine.createStream && this.engine.streamable(this.format)) {
+                this.startRecognizer();
+            } else {
+                this.interimTimer = setInterval(() => this.transcribeInterim(), this.interimIntervalMs);
+            }
+            send(this.socket, { type: 'mode', mode: this.recognizer ? 'streaming' : 'buffered', format: this.format });
+        }
+
+        if (this.recognizer) {
+            this.recognizer.write(chunk);
+        }
+    }
+
+    startRecognizer() {
+        this.recognizerDone = new Promise(resolve => {
+            this.recognizer = this.engine.createStream({ format: this.format, languageCode: this.languageCode }, {
+                onResult: ({ transcript, isFinal, confidence }) => {
+                    if (isFinal) {
+                        this.lastInterim = '';
+                        this.finals.push(transcript.trim());
+                        if (confidence) this.confidences.push(confidence);
+                        send(this.socket, { type: 'final', transcript: transcript.trim(), confidence });
+                    } else {
+                        this.lastInterim = transcript.trim();
+                        send(this.socket, { type: 'interim', transcript });
+                    }
+                },
+                onError: (error) => {
+                    this.fail(error);
+                    resolve();
+                },
+                onEnd: resolve
+            });
+        });
+    }
+
+    // 受け取り済みの音声を一時ファイルに書いて認識する
+    async transcribeBuffered() {
+        const tmp = path.join(this.tmpDir, `stream-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+        this.transcribedBytes = this.bytes;
+        await fs.promises.writeFile(tmp, Buffer.concat(this.chunks));
+        try {
+            return await this.transcribeFile({ path: tmp, originalname: `stream.${this.format}` }, { languageCode: this.languageCode });
+        } finally {
+            await fs.promises.unlink(tmp).catch(() => {});
+        }
+    }
+
+    transcribeInterim() {
+        // 前回の認識が終わっていない、または新しい音声がなければ飛ばす
+        if (this.busy || this.bytes === this.transcribedBytes) return;
+        this.busy = true;
+        this.pending = this.transcribeBuffered()
+            .then(result => {
+                if (!this.stopped) send(this.socket, { type: 'interim', transcript: result.transcript });
+            })
+            .catch(error => console.warn('途中認識警告:', error.message))
+            .finally(() => {
+                this.busy = false;
+            });
+    }
+
+    async stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        clearInterval(this.interimTimer);
+
+        try {
+            let transcript = '';
+            let confidence = 0;
+
+            if (this.recognizer) {
+                this.recognizer.end();
+                await this.recognizerDone;
+                // 確定前に終わった発話も取りこぼさない
+                transcript = [...this.finals, this.lastInterim].filter(Boolean).join('\n');
+                confidence = this.confidences.length > 0
+                    ? this.confidences.reduce((sum, value) => sum + value, 0) / this.confidences.length
+                    : 0;
+            } else if (this.chunks.length > 0) {
+                await this.pending;
+                ({ transcript, confidence } = await this.transcribeBuffered());
+            }
+
+            // 音声の保存を選んだユーザーは録音全体を残す
+            const audioId = transcript && this.saveAudio
+                ? await this.saveAudio({ buffer: Buffer.concat(this.chunks), format: this.format })
+                : null;
+
+            send(this.socket, { type: 'done', transcript, confidence, audioId, mode: this.engine.name });
+        } catch (error) {
+            this.fail(error);
+        } finally {
+            this.socket.close();
+        }
+    }
+
+    fail(error) {
+        console.error('ストリーミング認識エラー:', error.message);
+        send(this.socket, {
+            type: 'error',
+            error: error.code === 'UNSUPPORTED_AUDIO' ? error.message : '音声認識処理中にエラーが発生しました'
+        });
+        this.stopped = true;
+        this.close();
+        this.socket.close();
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.stopped = true;
+        clearInterval(this.interimTimer);
+        if (this.recognizer) this.recognizer.destroy();
+        this.chunks = [];
+    }
+}
+
+// HTTPサーバーに音声ストリーミング用のWebSocketを追加する
+// ブラウザのWebSocketはヘッダを付けられないため、トークンはクエリ（?token=）で受け取る
+// 認識する言語は speechLanguage(user, ?language=) で決める
+function attachSpeechStream(server, { path: endpoint, authenticate, getEngine, speechLanguage, transcribeFile, saveAudio, tmpDir, maxBytes, interimIntervalMs = DEFAULT_INTERIM_INTERVAL_MS, maxMessageBytes = DEFAULT_MAX_MESSAGE_BYTES }) {
+    const wss = new WebSocketServer({ server, path: endpoint, maxPayload: maxMessageBytes });
+
+    wss.on('connection', async (socket, req) => {
+        // 不正なフレーム（壊れたUTF-8、大きすぎるメッセージなど）は ws が接続を閉じる。ここでは記録だけする
+        socket.on('error', error => console.warn('WebSocketエラー:', error.message));
+
+        // 認証中に届いた音声も取りこぼさないよう溜めておく
+        const early = [];
+        let earlyBytes = 0;
+        const collect = (data, isBinary) => {
+            earlyBytes += data.length;
+            if (earlyBytes > MAX_EARLY_BYTES) {
+                socket.off('message', collect);
+                early.length = 0;
+                socket.close(1009);
+                return;
+            }
+            early.push([data, isBinary]);
+        };
+        socket.on('message', collect);
+
+        try {
+            const params = new URL(req.url, 'http://localhost').searchParams;
+            const user = await authenticate(params.get('token'));
+            if (!user) {
+                send(socket, { type: 'error', error: '認証が必要です。ログインしてください' });
+                socket.close(1008);
+                return;
+            }
+
+            // 溜めすぎて閉じた接続は続けない
+            if (socket.readyState !== socket.OPEN) return;
+
+            const engine = getEngine();
+            if (!engine) {
+                send(socket, { type: 'error', error: 'デモモードでは音声認識は利用できません。' });
+                socket.close();
+                return;
+            }
+
+            socket.off('message', collect);
+            const connection = new SpeechStreamConnection({
+                socket,
+                engine,
+                languageCode: speechLanguage ? speechLanguage(user, params.get('language')) : undefined,
+                transcribeFile,
+                saveAudio: saveAudio && (clip => saveAudio(user, { ...clip, sessionId: params.get('sessionId') })),
+                tmpDir,
+                maxBytes,
+                interimIntervalMs
+            });
+            early.forEach(([data, isBinary]) => connection.onMessage(data, isBinary));
+        } catch (error) {
+            console.error('WebSocket接続エラー:', error.message);
+            socket.close(1011);
+        }
+    });
+
+    return wss;
+}
+
+module.exports = {
+    attachSpeechStream,
+    SpeechStreamConnection
+};
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+const DEFAULT_LANGUAGE = 'ja-JP';
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 1000;
+// 同期認識（recognize）は1分までなので余裕をもって分割する
+const GOOGLE_CHUNK_SECONDS = 55;
+
+// 判定した形式 → Google の encoding
+const GOOGLE_ENCODINGS = {
+    webm: 'WEBM_OPUS',
+    ogg: 'OGG_OPUS',
+    flac: 'FLAC',
+    wav: 'LINEAR16'
+};
+
+// "whisper-cli -m models/ggml-small.bin -f {file}" のようなコマンド文字列を引数に分割
+function parseCommand(command) {
+    return (String(command).match(/"[^"]*"|'[^']*'|\S+/g) || [])
+        .map(arg => arg.replace(/^(["'])(.*)\1$/, '$2'));
+}
+
+function findExecutable(name) {
+    if (name.includes(path.sep)) {
+        return fs.existsSync(name) ? name : null;
+    }
+    const dirs = (process.env.PATH || '').split(path.delimiter);
+    return dirs.map(dir => path.join(dir, name)).find(candidate => fs.existsSync(candidate)) || null;
+}
+
+function isPcm16Wav(info) {
+    return info.format === 'wav' && info.audioFormat === 1 && info.bitsPerSample === 16;
+}
+
+function sha256File(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Google Cloud Speech-to-Text
+class GoogleSpeechEngine {
+    constructor({ projectId, languageCode, model, streamingModel, maxChunkSeconds }) {
+        const { SpeechClient } = require('@google-cloud/speech');
+        this.name = 'google';
+        this.languageCode = languageCode;
+        this.model = model;
+        this.streamingModel = streamingModel;
+        this.maxChunkSeconds = maxChunkSeconds || GOOGLE_CHUNK_SECONDS;
+        this.client = new SpeechClient({ projectId });
+    }
+
+    async healthCheck() {}
+
+    // そのまま送れる形式（それ以外はWAVに変換してから渡す）
+    accepts(info) {
+        return ['webm', 'ogg', 'flac'].includes(info.format) || isPcm16Wav(info);
+    }
+
+    async transcribe(audio) {
+        const request = {
+            audio: { content: fs.readFileSync(audio.path).toString('base64') },
+            config: {
+                encoding: GOOGLE_ENCODINGS[audio.format],
+                sampleRateHertz: audio.sampleRate,
+                ...(audio.channels ? { audioChannelCount: audio.channels } : {}),
+                languageCode: audio.languageCode || this.languageCode,
+                model: this.model,
+                useEnhanced: true,
+            },
+        };
+
+        const [response] = await this.client.recognize(request);
+        const results = response.results || [];
+        return {
+            transcript: results.map(result => result.alternatives[0].transcript).join('\n'),
+            confidence: results[0]?.alternatives[0]?.confidence || 0
+        };
+    }
+
+    // ストリーミング認識はOpusのコンテナだけ（MediaRecorderのチャンクをそのまま流せる）
+    streamable(format) {
+        return format === 'webm' || format === 'ogg';
+    }
+
+    createStream({ format, languageCode }, { onResult, onError, onEnd }) {
+        const recognizeStream = this.client.streamingRecognize({
+            config: {
+                encoding: GOOGLE_ENCODINGS[format],
+                sampleRateHertz: 48000,
+                languageCode: languageCode || this.languageCode,
+                model: this.streamingModel,
+                useEnhanced: true,
+            },
+            interimResults: true
+        });
+
+        recognizeStream
+            .on('data', data => {
+                const result = data.results?.[0];
+                const alternative = result?.alternatives?.[0];
+                if (!alternative) return;
+                onResult({
+                    transcript: alternative.transcript,
+                    isFinal: Boolean(result.isFinal),
+                    confidence: alternative.confidence || 0
+                });
+            })
+            .on('error', onError)
+            .on('end', onEnd);
+
+        return {
+            write: chunk => recognizeStream.write(chunk),
+            end: () => recognizeStream.end(),
+            destroy: () => recognizeStream.destroy()
+        };
+    }
+}
+
+// ローカルの認識コマンド（whisper.cpp、Vosk のスクリプトなど）を呼び出すオフラインエンジン
+// 標準出力のテキスト、または { "text": ..., "confidence": ... } 形式のJSONを認識結果とする
+// コマンドの {lang} は言語（ja、en など）に置き換わる（例: "whisper-cli -l {lang} -f {file}"）
+class LocalProcessEngine {
+    constructor({ command, languageCode, timeoutMs, maxChunkSeconds }) {
+        this.name = 'local';
+        this.languageCode = languageCode;
+        this.args = parseCommand(command);
+        this.timeoutMs = timeoutMs;
+        this.maxChunkSeconds = maxChunkSeconds;
+    }
+
+    // whisper.cpp や Vosk が読める16kHzモノラルのWAVだけ受け付ける
+    accepts(info) {
+        return isPcm16Wav(info) && info.sampleRate === 16000 && info.channels === 1;
+    }
+
+    async healthCheck() {
+        if (this.args.length === 0) {
+            throw new Error('STT_COMMAND が未設定です');
+        }
+        if (!findExecutable(this.args[0])) {
+            throw new Error(`認識コマンドが見つかりません: ${this.args[0]}`);
+        }
+    }
+
+    run(args) {
+        return new Promise((resolve, reject) => {
+            execFile(args[0], args.slice(1), { timeout: this.timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    error.message = `${error.message} ${String(stderr).substring(0, 200)}`.trim();
+                    return reject(error);
+                }
+                resolve(stdout);
+            });
+        });
+    }
+
+    async transcribe(audio) {
+        // {file} がなければ音声ファイルのパスを末尾に付ける
+        const hasPlaceholder = this.args.some(arg => arg.includes('{file}'));
+        const lang = (audio.languageCode || this.languageCode || DEFAULT_LANGUAGE).split('-')[0];
+        const filled = this.args.map(arg => arg.replace(/\{lang\}/g, lang));
+        const args = hasPlaceholder
+            ? filled.map(arg => arg.replace(/\{file\}/g, audio.path))
+            : [...filled, audio.path];
+
+        const output = String(await this.run(args)).trim();
+        try {
+            const parsed = JSON.parse(output);
+            if (parsed && typeof parsed.text === 'string') {
+                return { transcript: parsed.text.trim(), confidence: Number(parsed.confidence ?? 0) };
+            }
+        } catch (err) {
+            // JSONでなければプレーンテキストとして扱う
+        }
+        return { transcript: output, confidence: 0 };
+    }
+}
+
+// テスト用の固定エンジン（音声のSHA-256またはファイル名から書き起こしを引く）
+// フィクスチャ: { "<sha256>": "こんにちは", "sample.webm": { "transcript": "...", "confidence": 0.9 }, "default": "..." }
+class FixtureSpeechEngine {
+    constructor({ fixtures = {} } = {}) {
+        this.name = 'fixture';
+        this.fixtures = fixtures;
+    }
+
+    async healthCheck() {}
+
+    // 元の音声のハッシュで引くので変換しない
+    accepts() {
+        return true;
+    }
+
+    async transcribe(audio) {
+        const entry = this.fixtures[sha256File(audio.path)]
+            ?? this.fixtures[audio.originalName]
+            ?? this.fixtures.default;
+
+        if (entry === undefined) {
+            return { transcript: '', confidence: 0 };
+        }
+        return typeof entry === 'string'
+            ? { transcript: entry, confidence: 1 }
+            : { transcript: entry.transcript || '', confidence: Number(entry.confidence ?? 1) };
+    }
+}
+
+// 環境変数からSTTエンジンを生成（未設定ならnull = 音声認識なし）
+function createSpeechEngine(env = process.env) {
+    const type = env.STT_ENGINE || (env.GOOGLE_CLOUD_PROJECT ? 'google' : 'none');
+    const languageCode = env.STT_LANGUAGE || DEFAULT_LANGUAGE;
+    const maxChunkSeconds = Number(env.STT_CHUNK_SECONDS) || undefined;
+
+    if (type === 'google') {
+        return new GoogleSpeechEngine({
+            projectId: env.GOOGLE_CLOUD_PROJECT,
+            languageCode,
+            model: env.STT_GOOGLE_MODEL || 'latest_short',
+            streamingModel: env.STT_GOOGLE_STREAMING_MODEL || 'latest_long',
+            maxChunkSeconds
+        });
+    }
+    if (type === 'local') {
+        return new LocalProcessEngine({
+            command: env.STT_COMMAND || '',
+            languageCode,
+            timeoutMs: Number(env.STT_TIMEOUT_MS || DEFAULT_TIMEOUT_MS),
+            maxChunkSeconds
+        });
+    }
+    if (type === 'fixture') {
+        const fixtures = env.STT_FIXTURE_FILE
+            ? JSON.parse(fs.readFileSync(env.STT_FIXTURE_FILE, 'utf8'))
+            : {};
+        return new FixtureSpeechEngine({ fixtures });
+    }
+    if (type !== 'none') {
+        console.warn(`未対応のSTT_ENGINE: ${type} - 音声認識なしで起動`);
+    }
+    return null;
+}
+
+module.exports = {
+    GoogleSpeechEngine,
+    LocalProcessEngine,
+    FixtureSpeechEngine,
+    createSpeechEngine,
+    parseCommand,
+    findExecutable
+};
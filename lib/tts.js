@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { detectFormat, MIME_TYPES } = require('./audio');
+const { parseCommand, findExecutable } = require('./stt');
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+// 読み上げるのはAIの質問1つ分なので、長すぎる文章は受け付けない
+const DEFAULT_MAX_CHARS = 1000;
+
+// Google Cloud Text-to-Speech（REST の text:synthesize を呼ぶ）
+class GoogleTtsEngine {
+    constructor({ voice, speakingRate }) {
+        const { GoogleAuth } = require('google-auth-library');
+        this.name = 'google';
+        this.voice = voice;
+        this.speakingRate = speakingRate;
+        this.auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+    }
+
+    async healthCheck() {
+        await this.auth.getClient();
+    }
+
+    async synthesize(text, { languageCode }) {
+        const client = await this.auth.getClient();
+        // 声の名前（ja-JP-Neural2-B など）は言語が合うときだけ使い、ほかの言語は既定の声にする
+        const voiceName = this.voice && this.voice.startsWith(`${languageCode}-`) ? this.voice : undefined;
+        const response = await client.request({
+            url: 'https://texttospeech.googleapis.com/v1/text:synthesize',
+            method: 'POST',
+            data: {
+                input: { text },
+                voice: { languageCode, ...(voiceName ? { name: voiceName } : {}) },
+                audioConfig: {
+                    audioEncoding: 'MP3',
+                    ...(this.speakingRate ? { speakingRate: this.speakingRate } : {})
+                }
+            }
+        });
+        return { audio: Buffer.from(response.data.audioContent, 'base64'), mimeType: MIME_TYPES.mp3 };
+    }
+}
+
+// ローカルの読み上げコマンド（espeak-ng、Piper など）を呼び出すオフラインエンジン
+// {file} は書き出す音声ファイルのパス（なければ標準出力を音声とする）、{lang} は言語（ja、en など）に置き換わる
+// 読み上げる文章は標準入力に渡す（引数に入れると「-w /path」のような文章がオプションとして読まれてしまう）
+// 例: "espeak-ng -v {lang} -w {file} --stdin"、"piper --model models/ja.onnx --output_file {file}"
+class LocalTtsEngine {
+    constructor({ command, timeoutMs }) {
+        this.name = 'local';
+        this.args = parseCommand(command);
+        this.timeoutMs = timeoutMs;
+    }
+
+    async healthCheck() {
+        if (this.args.length === 0) {
+            throw new Error('TTS_COMMAND が未設定です');
+        }
+        if (!findExecutable(this.args[0])) {
+            throw new Error(`読み上げコマンドが見つかりません: ${this.args[0]}`);
+        }
+        this.checkArgs();
+    }
+
+    checkArgs() {
+        if (this.args.some(arg => arg.includes('{text}'))) {
+            throw new Error('TTS_COMMAND に {text} は使えません（文章は標準入力に渡します）');
+        }
+    }
+
+    run(args, input) {
+        return new Promise((resolve, reject) => {
+            const child = execFile(args[0], args.slice(1), {
+                timeout: this.timeoutMs,
+                maxBuffer: 20 * 1024 * 1024,
+                encoding: 'buffer'
+            }, (error, stdout, stderr) => {
+                if (error) {
+                    error.message = `${error.message} ${String(stderr).substring(0, 200)}`.trim();
+                    return reject(error);
+                }
+                resolve(stdout);
+            });
+            // 文章を読む前にコマンドが終わったとき（EPIPE）の失敗は execFile のコールバックで返す
+            child.stdin.on('error', () => {});
+            child.stdin.end(input ?? '');
+        });
+    }
+
+    async synthesize(text, { languageCode }) {
+        this.checkArgs();
+        const lang = languageCode.split('-')[0];
+        const usesFile = this.args.some(arg => arg.includes('{file}'));
+        const outputPath = path.join(os.tmpdir(), `tts-${crypto.randomUUID()}.wav`);
+        const args = this.args.map(arg => arg
+            .replace(/\{lang\}/g, lang)
+            .replace(/\{file\}/g, outputPath));
+
+        try {
+            const stdout = await this.run(args, text);
+            const audio = usesFile ? fs.readFileSync(outputPath) : stdout;
+            const format = detectFormat(audio);
+            if (format === 'unknown') {
+                throw new Error('読み上げコマンドの出力が音声ではありません');
+            }
+            return { audio, mimeType: MIME_TYPES[format] };
+        } finally {
+            fs.rm(outputPath, { force: true }, () => {});
+        }
+    }
+}
+
+// 環境変数からTTSエンジンを生成（未設定ならnull = サーバーでの読み上げなし。画面はブラウザの読み上げを使う）
+function createTtsEngine(env = process.env) {
+    const type = env.TTS_ENGINE || (env.GOOGLE_CLOUD_PROJECT ? 'google' : 'none');
+
+    if (type === 'google') {
+        return new GoogleTtsEngine({
+            voice: env.TTS_VOICE || '',
+            speakingRate: Number(env.TTS_SPEAKING_RATE) || undefined
+        });
+    }
+    if (type === 'local') {
+        return new LocalTtsEngine({
+            command: env.TTS_COMMAND || '',
+            timeoutMs: Number(env.TTS_TIMEOUT_MS || DEFAULT_TIMEOUT_MS)
+        });
+    }
+    if (type !== 'none') {
+        console.warn(`未対応のTTS_ENGINE: ${type} - 読み上げなしで起動`);
+    }
+    return null;
+}
+
+function ttsMaxChars(env = process.env) {
+    return Number(env.TTS_MAX_CHARS) || DEFAULT_MAX_CHARS;
+}
+
+module.exports = {
+    GoogleTtsEngine,
+    LocalTtsEngine,
+    createTtsEngine,
+    ttsMaxChars
+};
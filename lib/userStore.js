@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+// ユーザー設定の既定値（音声の保存はオプトイン、過去の日記の記憶はオプトアウト）
+// language は対話・音声認識・画面の言語、diaryLanguage は日記を書く言語（null なら対話と同じ）
+const DEFAULT_SETTINGS = {
+    keepAudio: false,
+    audioRetentionDays: 0,
+    rememberFacts: true,
+    language: 'ja',
+    diaryLanguage: null
+};
+
+function userSettings(user) {
+    return { ...DEFAULT_SETTINGS, ...(user && user.settings) };
+}
+
+// 同じ名前の重複登録を防ぐための比較用キー
+function usernameKey(username) {
+    return String(username).trim().normalize('NFKC').toLowerCase();
+}
+
+// メモリ上のユーザーストア
+class MemoryUserStore {
+    constructor() {
+        this.users = new Map();
+    }
+
+    async load() {
+        return this.users.size;
+    }
+
+    async findById(id) {
+        return this.users.get(id) || null;
+    }
+
+    async findByUsername(username) {
+        const key = usernameKey(username);
+        for (const user of this.users.values()) {
+            if (usernameKey(user.username) === key) return user;
+        }
+        return null;
+    }
+
+    async create(user) {
+        if (await this.findByUsername(user.username)) {
+            const error = new Error('このユーザ名は既に使われています');
+            error.code = 'USERNAME_TAKEN';
+            throw error;
+        }
+        this.users.set(user.id, user);
+        await this.persist();
+        return user;
+    }
+
+    async update(user) {
+        this.users.set(user.id, user);
+        await this.persist();
+        return user;
+    }
+
+    async persist() {}
+}
+
+// ファイル保存のユーザーストア（users.json にまとめて保存）
+class FileUserStore extends MemoryUserStore {
+    constructor({ dir }) {
+        super();
+        this.file = path.join(dir, 'users.json');
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    async load() {
+        try {
+            const users = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+            users.forEach(user => this.users.set(user.id, user));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+        return this.users.size;
+    }
+
+    async persist() {
+        // 同時書き込みで一時ファイルが衝突しないよう直列化する
+        this.writing = (this.writing || Promise.resolve()).catch(() => {}).then(async () => {
+            const tmp = `${this.file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify(Array.from(this.users.values())));
+            await fs.promises.rename(tmp, this.file);
+        });
+        return this.writing;
+    }
+}
+
+// 環境変数からユーザーストアを生成
+function createUserStore(env = process.env) {
+    const type = env.USER_STORE || 'file';
+
+    if (type === 'file') {
+        const dir = env.USER_STORE_DIR || path.join(__dirname, '..', 'data', 'users');
+        return new FileUserStore({ dir });
+    }
+    if (type !== 'memory') {
+        console.warn(`未対応のUSER_STORE: ${type} - memoryを使用`);
+    }
+    return new MemoryUserStore();
+}
+
+module.exports = {
+    MemoryUserStore,
+    FileUserStore,
+    createUserStore,
+    usernameKey,
+    userSettings
+};
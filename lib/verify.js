@@ -0,0 +1,200 @@
+const { normalize, tokenize } = require('./search');
+const { parseDiary } = require('./diaryStyles');
+
+// この割合以上の語がユーザーの発言に出てくれば、話した内容に基づく文とみなす
+const SUPPORT_THRESHOLD = 0.5;
+// ひらがなだけのbigram（「ました」「でした」など）は内容を表さないので軽く数える
+const KANA_WEIGHT = 0.3;
+const KANA_ONLY = /^[\p{Script=Hiragana}ー]+$/u;
+// 英語の機能語や日記の書き出しの語も、内容を表さないので軽く数える
+const FUNCTION_WORDS = new Set(['i', 'me', 'my', 'we', 'a', 'an', 'the', 'and', 'or', 'but', 'so', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'was', 'were', 'is', 'am', 'are', 'be', 'been', 'it', 'that', 'this', 'had', 'have', 'did', 'do', 'today', 'day', 'very', 'really']);
+// 漢字・カタカナ・数字（言い回しが変わっても残りやすい、内容を表す文字）
+// 英字は文字単位では重なってしまうので、単語の一致だけで見る
+const CONTENT_CHAR = /[\p{Script=Han}\p{Script=Katakana}\p{N}]/u;
+// 日記の書き出しによく付く、話していなくても内容を変えない語
+const FRAME_WORDS = /今日|一日|私/g;
+// 「（話していません）」のような、話していないことを示す行は確かめない
+const PLACEHOLDER = /^[（(].*[)）]$/;
+
+// 日記を確かめる単位（文章は文、箇条書きは項目、詩は行）に分ける
+function diaryUnits(text, style) {
+    return parseDiary(text, style)
+        .flatMap(({ blocks }) => blocks)
+        .flatMap(block => {
+            if (block.type === 'list') return block.items;
+            if (block.type === 'verse') return block.lines;
+            return block.text.split(/(?<=[。！？!?])|(?<=\.)\s+/);
+        })
+        .map(unit => unit.trim())
+        .filter(unit => unit && !PLACEHOLDER.test(unit));
+}
+
+function weightOf(token) {
+    return KANA_ONLY.test(token) || FUNCTION_WORDS.has(token) ? KANA_WEIGHT : 1;
+}
+
+function tokensOf(text) {
+    return new Set(tokenize(normalize(text).normalized));
+}
+
+function contentChars(text) {
+    return Array.from(String(text).normalize('NFKC').toLowerCase().replace(FRAME_WORDS, ''))
+        .filter(char => CONTENT_CHAR.test(char));
+}
+
+// 文字bigramの重なりで、各文がどの発言に支えられているかを調べる（LLMなしでも動く）
+function verifyWithLexicon(units, userTexts) {
+    const messageTokens = userTexts.map(tokensOf);
+    const allTokens = new Set(messageTokens.flatMap(tokens => [...tokens]));
+    const allChars = new Set(contentChars(userTexts.join('')));
+
+    return units.map(text => {
+        const tokens = [...tokensOf(text)];
+        const total = tokens.reduce((sum, token) => sum + weightOf(token), 0);
+        if (total === 0) {
+            return { text, supported: true, score: 1, sources: [] };
+        }
+        const matched = tokens.filter(token => allTokens.has(token)).reduce((sum, token) => sum + weightOf(token), 0);
+        // 語の区切りをまたぐbigramは言い換えで崩れやすいので、内容を表す文字の重なりと平均する
+        const chars = contentChars(text);
+        const charCoverage = chars.length > 0 ? chars.filter(char => allChars.has(char)).length / chars.length : null;
+        const coverage = charCoverage === null ? matched / total : (matched / total + charCoverage) / 2;
+        const score = Math.round(coverage * 100) / 100;
+        const sources = messageTokens
+            .map((messageSet, index) => ({
+                index,
+                overlap: tokens.filter(token => messageSet.has(token) && weightOf(token) === 1).length
+            }))
+            .filter(({ overlap }) => overlap > 0)
+            .sort((a, b) => b.overlap - a.overlap)
+            .slice(0, 3)
+            .map(({ index }) => index);
+        return { text, supported: score >= SUPPORT_THRESHOLD, score, sources };
+    });
+}
+
+class LexiconDiaryVerifier {
+    constructor() {
+        this.name = 'lexicon';
+    }
+
+    // 別の言語で書いた日記は文字では照らし合わせられない（null = 確かめない）
+    async check(units, userTexts, { translated = false } = {}) {
+        if (translated) return null;
+        return { method: this.name, sentences: verifyWithLexicon(units, userTexts) };
+    }
+}
+
+// LLMで各文の根拠になった発言を探し、失敗したら文字bigramにフォールバック
+class ModelDiaryVerifier {
+    constructor({ llmProvider }) {
+        this.name = 'model';
+        this.llmProvider = llmProvider;
+    }
+
+    prompt(units, userTexts, translated) {
+        return `日記の各文が、ユーザーの発言に書かれた事実だけに基づいているかを確かめ、JSONだけを出力してください。
+
+ユーザーの発言:
+${userTexts.map((text, index) => `[${index}] ${text}`).join('\n')}
+
+日記の文:
+${units.map((text, index) => `(${index}) ${text}`).join('\n')}
+
+- 発言にない出来事・人・場所・感情・数字などを含む文は supported を false にする
+- 言い換えや要約は、意味が発言と同じなら supported を true にする
+${translated ? '- 日記は発言と別の言語で書かれている。訳は言い換えとみなす\n' : ''}- sources は根拠になった発言の番号
+- 形式: {"sentences":[{"index":0,"supported":true,"sources":[0]}]}`;
+    }
+
+    async check(units, userTexts, { translated = false } = {}) {
+        try {
+            const output = await this.llmProvider.generate(this.prompt(units, userTexts, translated), { task: 'verify' });
+            const json = JSON.parse(output.match(/\{[\s\S]*\}/)[0]);
+            const results = new Map((json.sentences || []).map(item => [Number(item.index), item]));
+            if (units.some((unit, index) => !results.has(index))) {
+                throw new Error('判定のない文があります');
+            }
+            const sentences = units.map((text, index) => {
+                const item = results.get(index);
+                const sources = (Array.isArray(item.sources) ? item.sources : [])
+                    .map(Number)
+                    .filter(source => Number.isInteger(source) && source >= 0 && source < userTexts.length);
+                return { text, supported: item.supported === true, score: item.supported === true ? 1 : 0, sources };
+            });
+            return { method: this.name, sentences };
+        } catch (error) {
+            console.warn('日記の検証フォールバック:', error.message);
+            return translated ? null : { method: 'lexicon', sentences: verifyWithLexicon(units, userTexts) };
+        }
+    }
+}
+
+// 環境変数から検証器を生成（off なら null = 検証しない）
+function createDiaryVerifier(env = process.env, llmProvider = null) {
+    const type = env.DIARY_VERIFIER || (llmProvider ? 'model' : 'lexicon');
+
+    if (type === 'off') return null;
+    if (type === 'model') {
+        if (llmProvider) return new ModelDiaryVerifier({ llmProvider });
+        console.warn('LLMプロバイダがないため日記の検証は文字bigramを使用');
+    } else if (type !== 'lexicon') {
+        console.warn(`未対応のDIARY_VERIFIER: ${type} - lexiconを使用`);
+    }
+    return new LexiconDiaryVerifier();
+}
+
+// 根拠のない文を本文から取り除く（空になった箇条書きの行や余分な空行も消す）
+function removeSentences(text, sentences) {
+    let cleaned = String(text);
+    sentences.forEach(sentence => {
+        cleaned = cleaned.replace(sentence, '');
+    });
+    return cleaned
+        .split('\n')
+        .filter(line => !/^\s*(?:・|[-*])\s*$/.test(line))
+        .map(line => line.replace(/\s+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// 日記を対話と照らし合わせる
+// action: flag は根拠のない文を報告するだけ、remove は本文から取り除く
+// translated: 対話と別の言語で書いた日記（LLMでしか確かめられない）
+async function verifyDiary(verifier, text, userTexts, { style, action = 'flag', translated = false } = {}) {
+    if (!verifier) {
+        return { text, verification: null };
+    }
+    const units = diaryUnits(text, style);
+    const result = units.length > 0
+        ? await verifier.check(units, userTexts, { translated })
+        : { method: verifier.name, sentences: [] };
+    if (!result) {
+        return { text, verification: null };
+    }
+    const { method, sentences } = result;
+    const unsupported = sentences.filter(sentence => !sentence.supported);
+    const removed = action === 'remove' && unsupported.length > 0;
+
+    return {
+        text: removed ? removeSentences(text, unsupported.map(sentence => sentence.text)) : text,
+        verification: {
+            method,
+            action,
+            checked: sentences.length,
+            supported: sentences.length - unsupported.length,
+            unsupported: unsupported.map(({ text: sentence, score }) => ({ text: sentence, score })),
+            removed,
+            sentences
+        }
+    };
+}
+
+module.exports = {
+    LexiconDiaryVerifier,
+    ModelDiaryVerifier,
+    createDiaryVerifier,
+    verifyWithLexicon,
+    verifyDiary
+};
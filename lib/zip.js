@@ -0,0 +1,184 @@
+const zlib = require('zlib');
+
+// CRC-32（ZIPのヘッダーに入れるチェックサム）
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ZIPの日時（MS-DOS形式、2秒単位）
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// ファイルの一覧からZIPを作る
+// entries: [{ name, data, store }]（store: 圧縮しない。EPUBの mimetype で使う）
+function createZip(entries, { date = new Date() } = {}) {
+    const { time, day } = dosDateTime(date);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data, store = false }) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+        const compressed = store ? content : zlib.deflateRawSync(content);
+        const method = store ? 0 : 8;
+        const crc = crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);
+        // ファイル名はUTF-8
+        local.writeUInt16LE(0x0800, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(day, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, nameBuffer, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(day, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBuffer);
+
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralSize = centrals.reduce((sum, buffer) => sum + buffer.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// 展開の上限（小さなZIPが展開すると巨大になる「ZIP爆弾」でメモリを使い切らないように）
+const READ_LIMITS = {
+    maxEntries: 1000,
+    maxEntryBytes: 100 * 1024 * 1024,
+    maxTotalBytes: 200 * 1024 * 1024
+};
+
+// ZIPを読んでファイルの一覧にする（フォルダは除く。無圧縮と deflate だけに対応）
+// date はファイルの更新日時（MS-DOS形式はタイムゾーンを持たないので、このマシンの時刻とみなす）
+// limits: { maxEntries, maxEntryBytes, maxTotalBytes }（省略した上限は READ_LIMITS）
+function readZip(buffer, limits = {}) {
+    const { maxEntries, maxEntryBytes, maxTotalBytes } = { ...READ_LIMITS, ...limits };
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xFFFF); offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054B50) {
+            end = offset;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('ZIPファイルとして読めません');
+    }
+
+    const count = buffer.readUInt16LE(end + 10);
+    if (count > maxEntries) {
+        throw new Error(`ZIPファイルの中のファイルが多すぎます（${maxEntries}個まで）`);
+    }
+    let offset = buffer.readUInt32LE(end + 16);
+    let totalBytes = 0;
+    const files = [];
+    for (let index = 0; index < count; index++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014B50) {
+            throw new Error('ZIPファイルが壊れています');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const time = buffer.readUInt16LE(offset + 12);
+        const day = buffer.readUInt16LE(offset + 14);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        // UTF-8 フラグがなくても、いまのツールはほぼ UTF-8 でファイル名を書く
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (localOffset + 30 > buffer.length) {
+            throw new Error('ZIPファイルが壊れています');
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        if (dataStart + compressedSize > buffer.length) {
+            throw new Error('ZIPファイルが壊れています');
+        }
+        const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method !== 0 && method !== 8) {
+            throw new Error(`未対応の圧縮方式です: ${name}`);
+        }
+        // 展開する前にヘッダーの大きさで断り、展開はその大きさまでしか行わない
+        totalBytes += size;
+        if (size > maxEntryBytes || totalBytes > maxTotalBytes) {
+            throw new Error('ZIPファイルを展開すると大きすぎます');
+        }
+        files.push({
+            name,
+            data: method === 0 ? storedData(compressed, size, name) : inflateEntry(compressed, size, name),
+            date: new Date((day >> 9) + 1980, ((day >> 5) & 0x0F) - 1, day & 0x1F, time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2)
+        });
+    }
+    return files;
+}
+
+function storedData(compressed, size, name) {
+    if (compressed.length !== size) {
+        throw new Error(`ZIPファイルが壊れています: ${name}`);
+    }
+    return Buffer.from(compressed);
+}
+
+// ヘッダーの大きさより長く展開されるデータは壊れている（大きさを偽ったZIP）
+function inflateEntry(compressed, size, name) {
+    let data;
+    try {
+        data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+        throw new Error(`ZIPファイルが壊れています: ${name}`);
+    }
+    if (data.length !== size) {
+        throw new Error(`ZIPファイルが壊れています: ${name}`);
+    }
+    return data;
+}
+
+module.exports = {
+    crc32,
+    createZip,
+    readZip
+};
@@ -3,7 +3,66 @@ require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
 const cors = require('cors');
+const { createSessionStore } = require('./lib/sessionStore');
+const { createUserStore, userSettings } = require('./lib/userStore');
+const { createDiaryStore, PLAINTEXT_FIELDS } = require('./lib/diaryStore');
+const { createLLMProvider } = require('./lib/llm');
+const { createSpeechEngine } = require('./lib/stt');
+const { createTtsEngine, ttsMaxChars } = require('./lib/tts');
+const { LANGUAGES, DEFAULT_LANGUAGE, isLanguage, speechLanguageCode, sessionLanguages } = require('./lib/languages');
+const {
+    EMOTIONS,
+    createEmotionClassifier,
+    aggregateMood,
+    moodTimeline
+} = require('./lib/emotion');
+const { createAudioProcessor, MIME_TYPES } = require('./lib/audio');
+const { createAudioStore } = require('./lib/audioStore');
+const { createPhotoStore } = require('./lib/photoStore');
+const {
+    IMAGE_TYPES,
+    MAX_PHOTOS_PER_SESSION,
+    MAX_CAPTION_LENGTH,
+    detectImageFormat,
+    describePhotos,
+    demoPhotoQuestion,
+    createPhotoDescriber
+} = require('./lib/photos');
+const { attachSpeechStream } = require('./lib/speechStream');
+const { TOPICS, collectTopics, buildAnalytics } = require('./lib/analytics');
+const { searchDiaries, SimilarityIndex } = require('./lib/search');
+const { createEmbeddingProvider } = require('./lib/embeddings');
+const { createFactStore } = require('./lib/factStore');
+const { createFactExtractor, recallFacts, describeFacts, followUpQuestion } = require('./lib/memory');
+const {
+    BUILTIN_PERSONAS,
+    DEFAULT_PERSONA_ID,
+    builtinPersona,
+    localizePersona,
+    buildInterviewPrompt,
+    buildPhotoQuestionPrompt,
+    demoResponse,
+    personaSummary,
+    validatePersona,
+    normalizePersona
+} = require('./lib/personas');
+const { createPersonaStore } = require('./lib/personaStore');
+const { resolveStyleOptions, buildSummaryPrompt, demoDiary, renderDiary } = require('./lib/diaryStyles');
+const { createDiaryVerifier, verifyDiary } = require('./lib/verify');
+const { EXPORT_FORMATS, exportFileName, markdownExport, zipExport, jsonArchive, epubExport } = require('./lib/export');
+const { resolveExportFont, createPdfBook } = require('./lib/pdfBook');
+const { expandImportFiles, importTooLargeMessage, parseImportFile, audioDate, DuplicateIndex, IMPORT_LIMITS } = require('./lib/importers');
+const {
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    validateCredentials,
+    requireAuth,
+    publicUser
+} = require('./lib/auth');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -15,8 +74,10 @@ app.use(cors({
         'http://localhost:3000',
         'https://localhost:3000'
     ],
-    methods: ['GET', 'POST', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
+    // 書き出しのファイル名をブラウザから読めるようにする
+    exposedHeaders: ['Content-Disposition'],
     credentials: true
 }));
 
@@ -30,97 +91,498 @@ if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// 10分程度のボイスメモ（m4a、wav など）も受け付ける
+const AUDIO_MAX_BYTES = Number(process.env.AUDIO_MAX_UPLOAD_MB || 50) * 1024 * 1024;
 const upload = multer({ 
     dest: uploadDir,
-    limits: { fileSize: 10 * 1024 * 1024 }
+    limits: { fileSize: AUDIO_MAX_BYTES }
 });
+const audioProcessor = createAudioProcessor(process.env, { tmpDir: uploadDir });
+
+let speechEngine = null, llmProvider = null, isGCPConfigured = false;
+let ttsEngine = null;
+const sessionStore = createSessionStore();
+const userStore = createUserStore();
+const diaryStore = createDiaryStore();
+const audioStore = createAudioStore();
+const photoStore = createPhotoStore();
+const similarityIndex = new SimilarityIndex({ provider: createEmbeddingProvider() });
+const factStore = createFactStore();
+const personaStore = createPersonaStore();
+let emotionClassifier = createEmotionClassifier(process.env, null);
+let factExtractor = createFactExtractor(process.env, null);
+let diaryVerifier = createDiaryVerifier(process.env, null);
+let photoDescriber = null;
+const SESSION_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const DEMO_STREAM_CHUNK_SIZE = 2;
+const MOOD_TYPES = ['positive', 'negative', 'mixed', 'neutral'];
+const DEMO_STREAM_DELAY_MS = Number(process.env.DEMO_STREAM_DELAY_MS || 30);
+// 開き直す対話の記録として受け取るメッセージの上限
+const MAX_TRANSCRIPT_MESSAGES = 500;
+
+// STTエンジンの初期化（STT_ENGINE で切り替え、失敗時は音声認識なし）
+async function initializeSpeech() {
+    try {
+        speechEngine = createSpeechEngine();
+        if (!speechEngine) {
+            console.warn('STTエンジン未設定 - 音声認識なしで起動');
+            return;
+        }
 
-let speechClient, vertexAI, generativeModel, isGCPConfigured = false;
-let chatSessions = new Map();
+        console.log(`STTエンジン準備中... (${speechEngine.name})`);
+        await speechEngine.healthCheck();
+        console.log('STTエンジン準備完了');
+        
+    } catch (error) {
+        console.error('STT初期化エラー:', error.message);
+        console.log('音声認識なしで起動');
+        speechEngine = null;
+    } finally {
+        isGCPConfigured = Boolean(speechEngine && speechEngine.name === 'google');
+    }
+}
 
-async function initializeGCP() {
+// TTSエンジンの初期化（TTS_ENGINE で切り替え、失敗時は画面側のブラウザの読み上げに任せる）
+async function initializeTts() {
     try {
-        console.log('GCP初期化を開始...');
-        
-        // 環境変数の柔軟な確認
-        const projectId = process.env.GOOGLE_CLOUD_PROJECT;
-        if (!projectId) {
-            console.warn('GOOGLE_CLOUD_PROJECT環境変数が未設定 - デモモードで起動');
-            isGCPConfigured = false;
+        ttsEngine = createTtsEngine();
+        if (!ttsEngine) {
+            console.warn('TTSエンジン未設定 - サーバーでの読み上げなしで起動');
             return;
         }
 
-        const { SpeechClient } = require('@google-cloud/speech');
-        const { VertexAI } = require('@google-cloud/vertexai');
+        console.log(`TTSエンジン準備中... (${ttsEngine.name})`);
+        await ttsEngine.healthCheck();
+        console.log('TTSエンジン準備完了');
 
-        speechClient = new SpeechClient({
-            projectId: projectId
-        });
-
-        vertexAI = new VertexAI({
-            project: projectId,
-            location: 'us-central1',
-        });
+    } catch (error) {
+        console.error('TTS初期化エラー:', error.message);
+        console.log('サーバーでの読み上げなしで起動');
+        ttsEngine = null;
+    }
+}
 
-        generativeModel = vertexAI.preview.getGenerativeModel({
-            model: 'gemini-2.0-flash',
-            generationConfig: {
-                maxOutputTokens: 1000,
-                temperature: 0.7,
-                topP: 0.8,
-                topK: 40,
-            },
-        });
+// LLMプロバイダの初期化（LLM_PROVIDER で切り替え、失敗時はデモ応答）
+async function initializeLLM() {
+    try {
+        llmProvider = createLLMProvider();
+        if (!llmProvider) {
+            console.warn('LLMプロバイダ未設定 - デモ応答で起動');
+            return;
+        }
 
         // 接続テスト
-        console.log('Vertex AI接続テスト中...');
-        await generativeModel.generateContent('テスト');
-        console.log('Vertex AI接続テスト成功');
-
-        isGCPConfigured = true;
-        console.log('GCP クライアント初期化完了');
+        console.log(`LLM接続テスト中... (${llmProvider.name})`);
+        await llmProvider.healthCheck();
+        console.log('LLM接続テスト成功');
         
     } catch (error) {
-        console.error('GCP初期化エラー:', error.message);
-        console.log('デモモードで起動');
-        isGCPConfigured = false;
+        console.error('LLM初期化エラー:', error.message);
+        console.log('デモ応答で起動');
+        llmProvider = null;
+    } finally {
+        emotionClassifier = createEmotionClassifier(process.env, llmProvider);
+        console.log(`感情分析: ${emotionClassifier.name}`);
+        factExtractor = createFactExtractor(process.env, llmProvider);
+        console.log(`記憶の抽出: ${factExtractor.name}`);
+        diaryVerifier = createDiaryVerifier(process.env, llmProvider);
+        console.log(`日記の検証: ${diaryVerifier ? diaryVerifier.name : 'なし'}`);
+        photoDescriber = createPhotoDescriber(process.env, llmProvider);
+        console.log(`写真の説明: ${photoDescriber ? photoDescriber.name : 'なし'}`);
     }
 }
 
 // 統一されたヘルスチェック
-app.get(['/health', '/api/health'], (req, res) => {
+app.get(['/health', '/api/health'], async (req, res) => {
     res.json({ 
         status: 'OK',
         timestamp: new Date().toISOString(),
         services: {
-            speechToText: isGCPConfigured ? 'gcp_api' : 'demo_mode',
-            textGeneration: isGCPConfigured ? 'gcp_api' : 'demo_mode'
+            speechToText: speechEngine ? speechEngine.name : 'demo_mode',
+            textToSpeech: ttsEngine ? ttsEngine.name : 'browser',
+            textGeneration: llmProvider ? llmProvider.name : 'demo_mode',
+            embeddings: similarityIndex.provider ? similarityIndex.provider.name : 'lexical'
         },
         gcpConfigured: isGCPConfigured,
         projectId: process.env.NODE_ENV === 'production' 
             ? (process.env.GOOGLE_CLOUD_PROJECT ? 'configured' : 'not_configured')
             : (process.env.GOOGLE_CLOUD_PROJECT || 'not_configured'),
-        activeSessions: chatSessions.size
+        activeSessions: await sessionStore.size()
     });
 });
 
-// チャット開始
-app.post('/api/chat/start', (req, res) => {
-    const sessionId = Date.now().toString();
-    chatSessions.set(sessionId, {
-        id: sessionId,
-        messages: [],
-        startTime: new Date(),
-        status: 'active'
-    });
-    
-    res.json({
-        success: true,
-        sessionId: sessionId,
-        message: "こんにちは！今日はどんなことがありましたか？音声またはテキストで自由にお話しください。"
-    });
+// ユーザー登録
+app.post('/api/auth/signup', async (req, res, next) => {
+    try {
+        const { username, password } = req.body;
+        const validationError = validateCredentials(username, password);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const { salt, hash } = hashPassword(password);
+        const user = await userStore.create({
+            id: crypto.randomUUID(),
+            username: username.trim(),
+            passwordSalt: salt,
+            passwordHash: hash,
+            createdAt: new Date().toISOString()
+        });
+
+        console.log('ユーザー登録:', user.id);
+        res.status(201).json({
+            success: true,
+            token: signToken(user),
+            user: publicUser(user)
+        });
+    } catch (error) {
+        if (error.code === 'USERNAME_TAKEN') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        next(error);
+    }
+});
+
+// ログイン
+app.post('/api/auth/login', async (req, res, next) => {
+    try {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ success: false, error: 'ユーザ名とパスワードを入力してください' });
+        }
+        const user = username && password ? await userStore.findByUsername(username) : null;
+
+        if (!user || !verifyPassword(password, user)) {
+            return res.status(401).json({ success: false, error: 'ユーザ名またはパスワードが正しくありません' });
+        }
+
+        res.json({
+            success: true,
+            token: signToken(user),
+            user: publicUser(user)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ここより下の /api/* はすべて認証必須
+app.use('/api', requireAuth(userStore));
+
+// ログイン中のユーザー情報
+app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, user: req.user });
+});
+
+// ユーザー設定
+app.get('/api/settings', async (req, res, next) => {
+    try {
+        const user = await userStore.findById(req.user.id);
+        res.json({ success: true, settings: userSettings(user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/api/settings', async (req, res, next) => {
+    try {
+        const { keepAudio, audioRetentionDays, rememberFacts, language, diaryLanguage } = req.body || {};
+        if (keepAudio !== undefined && typeof keepAudio !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'keepAudio は true か false で指定してください' });
+        }
+        if (rememberFacts !== undefined && typeof rememberFacts !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'rememberFacts は true か false で指定してください' });
+        }
+        if (audioRetentionDays !== undefined && !(Number.isInteger(audioRetentionDays) && audioRetentionDays >= 0)) {
+            return res.status(400).json({ success: false, error: 'audioRetentionDays は0以上の整数で指定してください（0は無期限）' });
+        }
+        if (language !== undefined && !isLanguage(language)) {
+            return res.status(400).json({ success: false, error: `language は ${Object.keys(LANGUAGES).join(' / ')} のいずれかを指定してください` });
+        }
+        if (diaryLanguage !== undefined && diaryLanguage !== null && !isLanguage(diaryLanguage)) {
+            return res.status(400).json({ success: false, error: `diaryLanguage は ${Object.keys(LANGUAGES).join(' / ')} のいずれか（対話と同じなら null）を指定してください` });
+        }
+
+        const user = await userStore.findById(req.user.id);
+        // 暗号化した日記帳では、平文で残る音声と記憶は使わない
+        if (user.encryption && (keepAudio || rememberFacts)) {
+            return res.status(400).json({ success: false, error: '日記を暗号化しているあいだは、音声の保存と記憶は使えません' });
+        }
+        const settings = { ...userSettings(user) };
+        if (keepAudio !== undefined) settings.keepAudio = keepAudio;
+        if (audioRetentionDays !== undefined) settings.audioRetentionDays = audioRetentionDays;
+        if (rememberFacts !== undefined) settings.rememberFacts = rememberFacts;
+        if (language !== undefined) settings.language = language;
+        if (diaryLanguage !== undefined) settings.diaryLanguage = diaryLanguage;
+        await userStore.update({ ...user, settings });
+
+        res.json({ success: true, settings });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- 日記の暗号化 ---
+// 鍵は端末でパスフレーズから作る。サーバーが持つのは、パスフレーズと回復コードで包んだ鍵束（開けない）と暗号文だけ
+
+const ENVELOPE_VERSION = 1;
+const MIN_KDF_ITERATIONS = 100000;
+const KEY_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isBase64(value, maxLength) {
+    return typeof value === 'string' && value.length > 0 && value.length <= maxLength && /^[A-Za-z0-9+/]+={0,2}$/.test(value);
+}
+
+// 暗号化した日記の内容（AES-GCM、iv と data は base64）
+function isEnvelope(value) {
+    return Boolean(value) && typeof value === 'object'
+        && value.v === ENVELOPE_VERSION
+        && KEY_ID.test(value.keyId)
+        && isBase64(value.iv, 32)
+        && isBase64(value.data, 8 * 1024 * 1024);
+}
+
+function envelopeOf({ v, keyId, iv, data }) {
+    return { v, keyId, iv, data };
+}
+
+// パスフレーズ・回復コードから PBKDF2 で作った鍵で包んだ鍵束
+function isWrappedKeyring(value) {
+    return Boolean(value) && typeof value === 'object'
+        && isBase64(value.salt, 64)
+        && Number.isInteger(value.iterations) && value.iterations >= MIN_KDF_ITERATIONS
+        && isBase64(value.iv, 32)
+        && isBase64(value.data, 64 * 1024);
+}
+
+function wrappedKeyringOf({ salt, iterations, iv, data }) {
+    return { salt, iterations, iv, data };
+}
+
+function validateEncryption(encryption) {
+    if (!encryption || typeof encryption !== 'object') {
+        return 'encryption を指定してください';
+    }
+    const { keyIds, currentKeyId, passphrase, recovery } = encryption;
+    if (!Array.isArray(keyIds) || keyIds.length === 0 || keyIds.length > 20 || !keyIds.every(id => KEY_ID.test(id))) {
+        return 'keyIds は鍵IDの配列（20個まで）で指定してください';
+    }
+    if (!keyIds.includes(currentKeyId)) {
+        return 'currentKeyId は keyIds の中から指定してください';
+    }
+    if (!isWrappedKeyring(passphrase) || !isWrappedKeyring(recovery)) {
+        return `passphrase と recovery は salt・iterations（${MIN_KDF_ITERATIONS}以上）・iv・data で指定してください`;
+    }
+    return null;
+}
+
+async function userEncryption(userId) {
+    const user = await userStore.findById(userId);
+    return user?.encryption || null;
+}
+
+// 暗号化した日記帳では内容を暗号文でだけ受け取り、そうでない日記帳では暗号文を受け取らない
+function encryptedDiaryError(body, encryption, { create }) {
+    if (!encryption) {
+        return body.encrypted !== undefined ? 'この日記帳は暗号化を有効にしていません' : null;
+    }
+    if (PLAINTEXT_FIELDS.some(field => body[field] !== undefined) || (create && body.encrypted === undefined)) {
+        return '暗号化した日記帳には、タイトルと本文を端末で暗号化して送ってください';
+    }
+    if (body.encrypted === undefined) return null;
+    if (!isEnvelope(body.encrypted)) {
+        return 'encrypted の形式が正しくありません';
+    }
+    if (!encryption.keyIds.includes(body.encrypted.keyId)) {
+        return '登録されていない鍵で暗号化されています';
+    }
+    return null;
+}
+
+// 暗号化の鍵束（端末はこれをパスフレーズで開く）
+app.get('/api/encryption', async (req, res, next) => {
+    try {
+        res.json({ success: true, encryption: await userEncryption(req.user.id) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 鍵束を保存する（有効にする・パスフレーズの変更・回復・鍵の入れ替え）
+// baseVersion は端末が読んだ鍵束の version（まだなければ0）
+app.put('/api/encryption', async (req, res, next) => {
+    try {
+        const { encryption, baseVersion = 0 } = req.body || {};
+        const validationError = validateEncryption(encryption);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const user = await userStore.findById(req.user.id);
+        const current = user.encryption || null;
+        // 別の端末が先に鍵束を変えていたら上書きしない（古い鍵束で上書きすると日記が開けなくなる）
+        if ((current?.version || 0) !== baseVersion) {
+            return res.status(409).json({ success: false, error: '別の端末で鍵が変更されています', conflict: true, encryption: current });
+        }
+        const diaries = await diaryStore.userDiaries(req.user.id);
+        const inUse = [...new Set(diaries.filter(diary => diary.encrypted).map(diary => diary.encrypted.keyId))];
+        const missing = inUse.filter(keyId => !encryption.keyIds.includes(keyId));
+        if (missing.length > 0) {
+            return res.status(409).json({ success: false, error: 'その鍵で暗号化した日記が残っているため、鍵を外せません', keyIds: missing });
+        }
+
+        const saved = {
+            version: (current?.version || 0) + 1,
+            currentKeyId: encryption.currentKeyId,
+            keyIds: [...new Set(encryption.keyIds)],
+            passphrase: wrappedKeyringOf(encryption.passphrase),
+            recovery: wrappedKeyringOf(encryption.recovery),
+            updatedAt: new Date().toISOString()
+        };
+        let settings = userSettings(user);
+        let removed = {};
+        if (!current) {
+            // 有効にしたら、平文で残る音声・写真と記憶は使わない（いままでの分も消す）
+            settings = { ...settings, keepAudio: false, rememberFacts: false };
+            removed = {
+                deletedAudio: await audioStore.deleteAll(req.user.id),
+                deletedPhotos: await photoStore.deleteAll(req.user.id),
+                deletedFacts: await factStore.deleteAll(req.user.id)
+            };
+            console.log(`日記の暗号化を開始 [${req.user.id}]`);
+        }
+        await userStore.update({ ...user, settings, encryption: saved });
+        res.json({ success: true, encryption: saved, settings, ...removed });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ログインユーザー本人のセッションのみ取得
+async function getUserSession(req, sessionId) {
+    const session = await sessionStore.get(sessionId);
+    return session && session.userId === req.user.id ? session : null;
+}
+
+// セッションが見つからないときの応答（送り直す端末は code で見分けて対話を始め直す）
+function sessionNotFound() {
+    return { success: false, error: 'セッションが見つかりません', code: 'SESSION_NOT_FOUND' };
+}
+
+// 記憶を使う設定なら、覚えている事柄を返す
+async function rememberedFacts(userId) {
+    const user = await userStore.findById(userId);
+    return userSettings(user).rememberFacts ? factStore.list(userId) : [];
+}
+
+// 組み込みかユーザーが作ったペルソナ（見つからなければnull）
+async function resolvePersona(userId, id = DEFAULT_PERSONA_ID) {
+    return builtinPersona(id) || personaStore.get(userId, id);
+}
+
+// チャット開始（前回までの予定や気がかりがあれば、そのその後を最初に聞く）
+// 対話と日記の言語（リクエストで指定がなければユーザー設定、日記の言語の設定がなければ対話と同じ）
+async function chatLanguages(userId, { language, diaryLanguage } = {}) {
+    if ((language !== undefined && !isLanguage(language)) || (diaryLanguage !== undefined && !isLanguage(diaryLanguage))) {
+        return { error: `language と diaryLanguage は ${Object.keys(LANGUAGES).join(' / ')} のいずれかを指定してください` };
+    }
+    const settings = userSettings(await userStore.findById(userId));
+    const conversation = language || settings.language;
+    return { language: conversation, diaryLanguage: diaryLanguage || settings.diaryLanguage || conversation };
+}
+
+app.post('/api/chat/start', async (req, res, next) => {
+    try {
+        const persona = await resolvePersona(req.user.id, req.body?.personaId || DEFAULT_PERSONA_ID);
+        if (!persona) {
+            return res.status(400).json({ success: false, error: 'ペルソナが見つかりません' });
+        }
+        const languages = await chatLanguages(req.user.id, req.body || {});
+        if (languages.error) {
+            return res.status(400).json({ success: false, error: languages.error });
+        }
+        const { language, diaryLanguage } = languages;
+        const localized = localizePersona(persona, language);
+
+        const sessionId = crypto.randomUUID();
+        const encryption = await userEncryption(req.user.id);
+        // 決まった順に聞くペルソナでは、前回のその後は聞かない
+        const followUp = persona.followUps !== false ? followUpQuestion(await rememberedFacts(req.user.id), { language }) : null;
+        await sessionStore.set(sessionId, {
+            id: sessionId,
+            userId: req.user.id,
+            personaId: persona.id,
+            language,
+            diaryLanguage,
+            messages: followUp
+                ? [{ role: 'assistant', content: followUp.question, timestamp: new Date(), factId: followUp.factId }]
+                : [],
+            startTime: new Date(),
+            status: 'active',
+            // 暗号化した日記帳の対話はディスクに書かない
+            ...(encryption ? { ephemeral: true } : {})
+        });
+        
+        res.json({
+            success: true,
+            sessionId: sessionId,
+            message: localized.greeting,
+            persona: personaSummary(localized),
+            language,
+            diaryLanguage,
+            followUp: followUp ? followUp.question : null
+        });
+    } catch (error) {
+        next(error);
+    }
 });
 
+// 音声をエンジンが扱える形式に変換し、長い録音は分割して順に書き起こす
+// languageCode を省略したらエンジンの既定の言語（STT_LANGUAGE）で認識する
+async function transcribeFile(file, { languageCode } = {}) {
+    const prepared = await audioProcessor.prepare(file.path, speechEngine);
+    try {
+        const results = [];
+        for (const chunk of prepared.chunks) {
+            results.push(await speechEngine.transcribe({ ...chunk, originalName: file.originalname, languageCode }));
+        }
+
+        const confidences = results.map(result => result.confidence).filter(value => value > 0);
+        return {
+            transcript: results.map(result => result.transcript.trim()).filter(Boolean).join('\n'),
+            confidence: confidences.length > 0
+                ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+                : 0,
+            format: prepared.source.format,
+            durationSec: prepared.source.durationSec,
+            chunks: prepared.chunks.length
+        };
+    } finally {
+        await prepared.cleanup();
+    }
+}
+
+// 音声認識の言語コード（対話の言語の指定がなければユーザー設定の言語）
+function speechLanguage(user, language) {
+    return speechLanguageCode(isLanguage(language) ? language : userSettings(user).language, process.env.STT_LANGUAGE);
+}
+
+// 設定で音声の保存を選んだユーザーだけ、発話の音声を残す（保存できなくても認識結果は返す）
+async function keepUtteranceAudio(userId, clip) {
+    const user = await userStore.findById(userId);
+    if (!userSettings(user).keepAudio) return null;
+    try {
+        const saved = await audioStore.save(userId, {
+            ...clip,
+            mimeType: MIME_TYPES[clip.format]
+        });
+        return saved.id;
+    } catch (error) {
+        console.warn('音声保存警告:', error.message);
+        return null;
+    }
+}
+
 // 音声認識
 app.post('/api/speech-to-text', upload.single('audio'), async (req, res) => {
     try {
@@ -130,86 +592,51 @@ app.post('/api/speech-to-text', upload.single('audio'), async (req, res) => {
 
         console.log('音声ファイル受信:', req.file.size, 'bytes');
 
-        if (isGCPConfigured && speechClient) {
-            try {
-                const audioBytes = fs.readFileSync(req.file.path).toString('base64');
-
-                const request = {
-                    audio: { content: audioBytes },
-                    config: {
-                        encoding: 'WEBM_OPUS',
-                        sampleRateHertz: 48000,
-                        languageCode: 'ja-JP',
-                        model: 'latest_short',
-                        useEnhanced: true,
-                    },
-                };
-
-                console.log('GCP Speech-to-Text API 呼び出し中...');
-                const [response] = await speechClient.recognize(request);
-                
-                if (response.results && response.results.length > 0) {
-                    const transcription = response.results
-                        .map(result => result.alternatives[0].transcript)
-                        .join('\n');
-                    
-                    const confidence = response.results[0]?.alternatives[0]?.confidence || 0;
-                    
-                    if (!transcription.trim() || transcription.trim().length < 2) {
-                        throw new Error('音声認識結果が空です');
-                    }
-                    
-                    console.log('音声認識成功:', transcription);
-                    fs.unlinkSync(req.file.path);
-
-                    res.json({ 
-                        success: true, 
-                        transcript: transcription,
-                        confidence: confidence,
-                        mode: 'gcp'
-                    });
-                    return;
-                } else {
-                    throw new Error('音声認識結果が空です');
-                }
-            } catch (apiError) {
-                console.error('GCP Speech API エラー:', apiError.message);
-                // GCP失敗時はデモモードにフォールバック
-            }
+        if (!speechEngine) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ 
+                success: false,
+                error: 'デモモードでは音声認識は利用できません。',
+                mode: 'demo'
+            });
         }
-        
-        // デモモード
-        console.log('デモモードで音声認識をシミュレート');
-        fs.unlinkSync(req.file.path);
-        
-        // ファイルサイズに基づいて適切なデモ応答を生成
-        const fileSizeKB = req.file.size / 1024;
-        
-        if (fileSizeKB < 1) {
+
+        if (req.file.size < 1024) {
+            fs.unlinkSync(req.file.path);
             return res.status(400).json({ 
                 success: false,
                 error: '音声が検出されませんでした。もう少し長く話してください。',
-                mode: 'demo'
+                mode: speechEngine.name
             });
-        } else if (fileSizeKB > 500) {
+        }
+
+        const languageCode = speechLanguage(await userStore.findById(req.user.id), req.body.language);
+        console.log(`音声認識中... (${speechEngine.name}, ${languageCode})`);
+        const result = await transcribeFile(req.file, { languageCode });
+
+        if (!result.transcript || result.transcript.length < 2) {
+            fs.unlinkSync(req.file.path);
             return res.status(400).json({ 
                 success: false,
-                error: '音声が長すぎます。60秒以内で話してください。',
-                mode: 'demo'
+                error: '音声を認識できませんでした。もう一度話してください。',
+                mode: speechEngine.name
             });
         }
 
-        return res.status(400).json({ 
-            success: false,
-            error: 'デモモードでは音声認識は利用できません。',
-            mode: 'demo'
+        const audioId = await keepUtteranceAudio(req.user.id, {
+            sourcePath: req.file.path,
+            format: result.format,
+            durationSec: result.durationSec,
+            sessionId: req.body.sessionId
         });
+        fs.unlinkSync(req.file.path);
 
+        console.log(`音声認識成功: ${result.transcript.length}文字`);
         res.json({ 
             success: true, 
-            transcript: demoTranscript,
-            confidence: 0.85,
-            mode: 'demo'
+            ...result,
+            audioId,
+            mode: speechEngine.name
         });
 
     } catch (error) {
@@ -217,6 +644,9 @@ app.post('/api/speech-to-text', upload.single('audio'), async (req, res) => {
         if (req.file && fs.existsSync(req.file.path)) {
             fs.unlinkSync(req.file.path);
         }
+        if (error.code === 'UNSUPPORTED_AUDIO') {
+            return res.status(415).json({ success: false, error: error.message });
+        }
         res.status(500).json({ 
             error: '音声認識処理中にエラーが発生しました',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined 
@@ -224,45 +654,180 @@ app.post('/api/speech-to-text', upload.single('audio'), async (req, res) => {
     }
 });
 
-// チャット対話
-app.post('/api/chat/message', async (req, res) => {
-    let session;
+// AIの質問の読み上げ（音声をそのまま返す）
+app.post('/api/text-to-speech', async (req, res) => {
+    try {
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+        if (!text) {
+            return res.status(400).json({ success: false, error: '読み上げる文章がありません' });
+        }
+        if (text.length > ttsMaxChars()) {
+            return res.status(400).json({ success: false, error: `読み上げられるのは${ttsMaxChars()}文字までです` });
+        }
+
+        if (!ttsEngine) {
+            return res.status(400).json({
+                success: false,
+                error: 'サーバーでの読み上げは設定されていません。',
+                mode: 'demo'
+            });
+        }
+
+        const languageCode = speechLanguage(await userStore.findById(req.user.id), req.body.language);
+        const { audio, mimeType } = await ttsEngine.synthesize(text, { languageCode });
+        res.type(mimeType);
+        res.set('Content-Length', String(audio.length));
+        res.send(audio);
+
+    } catch (error) {
+        console.error('Text-to-Speech エラー:', error);
+        res.status(500).json({
+            success: false,
+            error: '読み上げ処理中にエラーが発生しました',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// AIでテキストを生成（task ごとの設定を使い、onToken が渡されたらストリーミングで逐次通知）
+async function generateText(task, prompt, onToken) {
+    return onToken
+        ? llmProvider.stream(prompt, { task }, onToken)
+        : llmProvider.generate(prompt, { task });
+}
+
+// デモモードの固定文も生成中のように少しずつ流す
+async function streamDemoText(text, onToken) {
+    if (!onToken) return text;
+    for (let i = 0; i < text.length; i += DEMO_STREAM_CHUNK_SIZE) {
+        onToken(text.slice(i, i + DEMO_STREAM_CHUNK_SIZE));
+        await new Promise(resolve => setTimeout(resolve, DEMO_STREAM_DELAY_MS));
+    }
+    return text;
+}
+
+// SSEのイベントを送信（最初の送信時にヘッダーを書き出す）
+function sendEvent(res, event, data) {
+    if (!res.headersSent) {
+        res.status(200).set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// ストリームを完了させる（まだ何も送っていないエラーは通常のJSONで返す）
+function endEventStream(res, status, body) {
+    if (!res.headersSent && status !== 200) {
+        return res.status(status).json(body);
+    }
+    sendEvent(res, status === 200 ? 'done' : 'error', body);
+    res.end();
+}
+
+// 応答を作れなかったときの決まった応答（対話の言語ごと）
+const FALLBACK_RESPONSES = {
+    ja: [
+        "今日はどんな一日でしたか？",
+        "その時はどんな気持ちでしたか？",
+        "他にも印象に残ったことはありますか？",
+        "お話を聞かせていただき、ありがとうございました。日記にまとめてみませんか？"
+    ],
+    en: [
+        "How was your day?",
+        "How did you feel at the time?",
+        "Was there anything else that stayed with you?",
+        "Thank you for telling me about it. Shall we write it down in your diary?"
+    ]
+};
+
+// チャット対話の本体（JSON版とストリーミング版で共通、onToken に応答を逐次通知）
+async function processChatMessage(req, onToken) {
     console.log('=== Chat Message Request ===');
-    console.log('Headers:', req.headers);
-    console.log('Body:', req.body);
-    console.log('Session exists:', chatSessions.has(req.body?.sessionId));
-    console.log('GCP configured:', isGCPConfigured);
+    console.log('LLM provider:', llmProvider ? llmProvider.name : 'demo');
     
+    const { sessionId, message, audioId, clientMessageId } = req.body || {};
+    if (typeof message !== 'string' || !message.trim()) {
+        return { status: 400, body: { success: false, error: 'メッセージを入力してください' } };
+    }
+    if (!isClientId(clientMessageId)) {
+        return { status: 400, body: { success: false, error: 'clientMessageId は英数字・「-」・「_」の64文字以内で指定してください' } };
+    }
+
     try {
-        const { sessionId, message } = req.body;
-        
-        if (!chatSessions.has(sessionId)) {
-            return res.status(400).json({ error: 'セッションが見つかりません' });
+        const session = await getUserSession(req, sessionId);
+        if (!session) {
+            return { status: 400, body: sessionNotFound() };
+        }
+
+        // 送り直された発言は二重に加えず、前に返した応答をもう一度返す
+        const sentIndex = clientMessageId
+            ? session.messages.findIndex(msg => msg.role === 'user' && msg.clientMessageId === clientMessageId)
+            : -1;
+        // 写真について尋ねた質問は発言への応答ではない
+        const later = sentIndex >= 0 ? session.messages.slice(sentIndex + 1).filter(msg => !msg.photoId) : [];
+        if (later.length > 0) {
+            const persona = await resolvePersona(req.user.id, session.personaId) || builtinPersona(DEFAULT_PERSONA_ID);
+            const userCount = session.messages.slice(0, sentIndex + 1).filter(msg => msg.role === 'user').length;
+            // 前に返した応答がないまま対話が先に進んでいたら、決まった応答を返すだけで対話には加えない
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    response: later[0].role === 'assistant' ? later[0].content : fallbackText(session, userCount),
+                    messageCount: session.messages.length,
+                    canSummarize: userCount >= persona.minTurns,
+                    emotion: session.messages[sentIndex].emotion,
+                    mode: 'replayed',
+                    replayed: true
+                }
+            };
+        }
+
+        // 保存した発話の音声があればメッセージに紐づける
+        const audio = audioId ? await audioStore.get(req.user.id, audioId) : null;
+        // 発言ごとの感情は会話の気分の推移として残す（応答だけ作り直すときは受け取ったときの判定を使う）
+        const emotionAnalysis = sentIndex >= 0
+            ? session.messages[sentIndex].emotion
+            : await emotionClassifier.classify(message);
+        if (sentIndex < 0) {
+            session.messages.push({
+                role: 'user',
+                content: message,
+                timestamp: new Date(),
+                emotion: emotionAnalysis,
+                ...(audio ? { audioId: audio.id } : {}),
+                ...(clientMessageId ? { clientMessageId } : {})
+            });
         }
         
-        session = chatSessions.get(sessionId);
-        session.messages.push({
-            role: 'user',
-            content: message,
-            timestamp: new Date()
-        });
-        
-        console.log(`ユーザーメッセージ [${sessionId}]:`, message.substring(0, 50) + '...');
+        console.log(`ユーザーメッセージ [${sessionId}]: ${message.length}文字`);
 
-        if (isGCPConfigured && generativeModel) {
+        // 作ったペルソナが消されていたら既定のペルソナで続ける
+        const persona = await resolvePersona(req.user.id, session.personaId) || builtinPersona(DEFAULT_PERSONA_ID);
+        const messageCount = session.messages.filter(msg => msg.role === 'user').length;
+        const { language } = sessionLanguages(session);
+
+        if (llmProvider) {
             try {
-                const messageCount = session.messages.filter(msg => msg.role === 'user').length;
-                
-                // 感情分析とコンテキスト分析の追加
-                const emotionAnalysis = analyzeUserEmotion(message);
-                const conversationContext = getConversationContext(session.messages);
-                
-                let prompt = generateAdaptivePrompt(messageCount, message, emotionAnalysis, conversationContext, session);
-
-                console.log(`適応的質問生成中... (メッセージ${messageCount}回目, 感情: ${emotionAnalysis.type})`);
-                const result = await generativeModel.generateContent(prompt);
-                const response = await result.response;
-                const aiResponse = response.candidates[0].content.parts[0].text.trim();
+                // 過去の日記から覚えている事柄のうち、いまの話に関係しそうなもの
+                const memory = describeFacts(recallFacts(await rememberedFacts(req.user.id), message));
+                const prompt = buildInterviewPrompt(persona, {
+                    messageCount,
+                    message,
+                    emotion: emotionAnalysis,
+                    messages: session.messages,
+                    memory,
+                    photos: describePhotos(session.photos, language),
+                    language
+                });
+
+                console.log(`適応的質問生成中... (${persona.id}, メッセージ${messageCount}回目, 感情: ${emotionAnalysis.type}/${emotionAnalysis.dominant})`);
+                const aiResponse = (await generateText('interview', prompt, onToken)).trim();
 
                 session.messages.push({
                     role: 'assistant',
@@ -270,469 +835,1643 @@ app.post('/api/chat/message', async (req, res) => {
                     timestamp: new Date()
                 });
 
-                chatSessions.set(sessionId, session);
+                await sessionStore.set(sessionId, session);
 
-                console.log(`AI返答 [${sessionId}]:`, aiResponse);
+                console.log(`AI返答 [${sessionId}]: ${aiResponse.length}文字`);
 
-                res.json({
-                    success: true,
-                    response: aiResponse,
-                    messageCount: session.messages.length,
-                    canSummarize: messageCount >= 3,
-                    mode: 'gcp_improved'
-                });
+                return {
+                    status: 200,
+                    body: {
+                        success: true,
+                        response: aiResponse,
+                        messageCount: session.messages.length,
+                        canSummarize: messageCount >= persona.minTurns,
+                        emotion: emotionAnalysis,
+                        mode: `${llmProvider.name}_improved`
+                    }
+                };
 
             } catch (apiError) {
+                // 応答を作れなかったときだけ、決まった応答で対話を続ける
                 console.error('チャットAI エラー:', apiError.message);
-                throw apiError;
+                return fallbackReply(session, { persona, messageCount, emotion: emotionAnalysis });
             }
         } else {
-            // デモモード（改善版）
-            const messageCount = session.messages.filter(msg => msg.role === 'user').length;
-            const emotionAnalysis = analyzeUserEmotion(message);
-            
-            const adaptiveResponses = generateDemoResponses(messageCount, emotionAnalysis);
-            const responseIndex = Math.min(messageCount - 1, adaptiveResponses.length - 1);
-            const aiResponse = adaptiveResponses[responseIndex];
+            // デモモード（ペルソナの台本から応答）
+            const aiResponse = await streamDemoText(demoResponse(persona, messageCount, emotionAnalysis, language), onToken);
             
             session.messages.push({
                 role: 'assistant',
                 content: aiResponse,
                 timestamp: new Date()
             });
+            await sessionStore.set(sessionId, session);
 
-            res.json({
-                success: true,
-                response: aiResponse,
-                messageCount: session.messages.length,
-                canSummarize: messageCount >= 3,
-                mode: 'demo_improved'
-            });
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    response: aiResponse,
+                    messageCount: session.messages.length,
+                    canSummarize: messageCount >= persona.minTurns,
+                    emotion: emotionAnalysis,
+                    mode: 'demo_improved'
+                }
+            };
+        }
+
+    } catch (error) {
+        console.error('チャット処理エラー:', error);
+        return { status: 500, body: { success: false, error: 'チャット処理に失敗しました' } };
+    }
+}
+
+// 決まった応答の文章（何回目の発言かで選ぶ）
+function fallbackText(session, messageCount) {
+    const fallbackResponses = FALLBACK_RESPONSES[sessionLanguages(session).language];
+    return fallbackResponses[Math.min(messageCount - 1, fallbackResponses.length - 1)];
+}
+
+// デモモードフォールバック（決まった応答も対話に加えて保存する）
+async function fallbackReply(session, { persona, messageCount, emotion }) {
+    const response = fallbackText(session, messageCount);
+    session.messages.push({
+        role: 'assistant',
+        content: response,
+        timestamp: new Date()
+    });
+    await sessionStore.set(session.id, session);
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            response,
+            messageCount: session.messages.length,
+            canSummarize: messageCount >= persona.minTurns,
+            emotion,
+            mode: 'demo_fallback_improved'
+        }
+    };
+}
+
+// チャット対話
+app.post('/api/chat/message', async (req, res) => {
+    const { status, body } = await processChatMessage(req);
+    res.status(status).json(body);
+});
+
+// チャット対話（SSEで応答を逐次送信）
+app.post('/api/chat/message/stream', async (req, res) => {
+    const { status, body } = await processChatMessage(req, text => sendEvent(res, 'token', { text }));
+    endEventStream(res, status, body);
+});
+
+// 添付された写真について聞く（デモモードや、説明もひとこともない写真には決まった質問）
+async function photoQuestion(userId, session, photo) {
+    const { language } = sessionLanguages(session);
+    if (!llmProvider || (!photo.description && !photo.caption)) {
+        return demoPhotoQuestion(language);
+    }
+    try {
+        const persona = await resolvePersona(userId, session.personaId) || builtinPersona(DEFAULT_PERSONA_ID);
+        const prompt = buildPhotoQuestionPrompt(persona, { photo: describePhotos([photo], language), language });
+        return (await generateText('interview', prompt)).trim() || demoPhotoQuestion(language);
+    } catch (error) {
+        console.error('写真の質問の生成エラー:', error.message);
+        return demoPhotoQuestion(language);
+    }
+}
+
+// 対話に写真を添付（画像を読めるモデルがあれば写っているものの説明を作り、聞き手がその写真について聞く）
+// thumbnail は端末で縮小した写真、describe=false なら説明を作らずに保存だけする（オフライン中に添付した写真の送り直し）
+app.post('/api/chat/photos', upload.fields([{ name: 'photo', maxCount: 1 }, { name: 'thumbnail', maxCount: 1 }]), async (req, res, next) => {
+    const uploaded = Object.values(req.files || {}).flat();
+    try {
+        const [file] = req.files?.photo || [];
+        if (!file) {
+            return res.status(400).json({ success: false, error: '写真が提供されていません' });
+        }
+        const session = await getUserSession(req, req.body.sessionId);
+        if (!session) {
+            return res.status(400).json(sessionNotFound());
+        }
+        if (await userEncryption(req.user.id)) {
+            return res.status(400).json({ success: false, error: '暗号化した日記帳では写真を添付できません（写真はサーバーで暗号化できないため）' });
+        }
+        const { clientId } = req.body;
+        if (!isClientId(clientId)) {
+            return res.status(400).json({ success: false, error: 'clientId は英数字・「-」・「_」の64文字以内で指定してください' });
+        }
+        const photos = session.photos || [];
+        // 送り直された写真は二重に加えず、前に返した質問をもう一度返す
+        const sent = clientId && photos.find(photo => photo.clientId === clientId);
+        if (sent) {
+            const question = session.messages.find(msg => msg.photoId === sent.id);
+            return res.json({
+                success: true,
+                photo: { id: sent.id, description: sent.description, caption: sent.caption },
+                response: question ? question.content : demoPhotoQuestion(sessionLanguages(session).language),
+                replayed: true
+            });
+        }
+        if (photos.length >= MAX_PHOTOS_PER_SESSION) {
+            return res.status(400).json({ success: false, error: `1つの対話に添付できる写真は${MAX_PHOTOS_PER_SESSION}枚までです` });
+        }
+        const caption = typeof req.body.caption === 'string' ? req.body.caption.trim() : '';
+        if (caption.length > MAX_CAPTION_LENGTH) {
+            return res.status(400).json({ success: false, error: `写真のひとことは${MAX_CAPTION_LENGTH}文字以内で指定してください` });
+        }
+
+        const buffer = await fs.promises.readFile(file.path);
+        const format = detectImageFormat(buffer);
+        if (format === 'unknown') {
+            return res.status(415).json({ success: false, error: '対応していない画像形式です（JPEG / PNG / GIF / WebP / HEIC）' });
+        }
+        const [thumbnailFile] = req.files.thumbnail || [];
+        let thumbnail = null;
+        if (thumbnailFile) {
+            const thumbnailBuffer = await fs.promises.readFile(thumbnailFile.path);
+            const thumbnailFormat = detectImageFormat(thumbnailBuffer);
+            if (thumbnailFormat === 'unknown') {
+                return res.status(415).json({ success: false, error: 'サムネイルの画像形式に対応していません' });
+            }
+            thumbnail = { buffer: thumbnailBuffer, mimeType: IMAGE_TYPES[thumbnailFormat] };
+        }
+
+        const { language } = sessionLanguages(session);
+        const image = { data: buffer, mimeType: IMAGE_TYPES[format] };
+        const description = photoDescriber && req.body.describe !== 'false'
+            ? await photoDescriber.describe(image, language)
+            : null;
+        const saved = await photoStore.save(req.user.id, {
+            buffer,
+            mimeType: image.mimeType,
+            thumbnail,
+            description,
+            caption,
+            sessionId: session.id
+        });
+        const photo = {
+            id: saved.id,
+            description,
+            caption: caption || null,
+            timestamp: new Date(),
+            ...(clientId ? { clientId } : {})
+        };
+        session.photos = [...photos, photo];
+
+        const question = await photoQuestion(req.user.id, session, photo);
+        session.messages.push({
+            role: 'assistant',
+            content: question,
+            timestamp: new Date(),
+            photoId: photo.id
+        });
+        await sessionStore.set(session.id, session);
+
+        console.log(`写真を添付 [${session.id}]: ${format} ${buffer.length} bytes（説明${description ? 'あり' : 'なし'}）`);
+        res.status(201).json({
+            success: true,
+            photo: { id: photo.id, description, caption: photo.caption },
+            response: question,
+            mode: description ? photoDescriber.name : 'none'
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        await Promise.all(uploaded.map(file => fs.promises.unlink(file.path).catch(() => {})));
+    }
+});
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// 日付ベースのタイトル（生成できなかった場合の既定値、kind: diary は日記、notes はデモの記録）
+function dateTitle(kind = 'diary', date = new Date(), language = 'ja') {
+    const month = date.getMonth() + 1;
+    const day = date.getDate();
+    if (language === 'en') {
+        return `${kind === 'notes' ? 'Notes' : 'Diary'} for ${MONTH_NAMES[month - 1]} ${day}`;
+    }
+    return `${month}月${day}日${kind === 'notes' ? 'の記録' : 'の日記'}`;
+}
+
+// タイトルの決まり（言語ごとのプロンプト・長さ・デモのキーワード）
+const TITLE_RULES = {
+    ja: {
+        prompt: content => `以下の日記内容を読んで、シンプルで読みやすいタイトルを生成してください：
+
+日記内容：
+${content.substring(0, 500)}
+
+要件：
+- 12文字以内のシンプルなタイトル
+- 日記の内容や感情を表現
+- 記号や装飾文字は一切使用しない
+- ひらがな、カタカナ、漢字、数字のみ使用
+- 「〜な日」「〜の記録」「〜について」などの自然な形式
+- マークダウン記法（**、*、_など）は使用禁止
+
+例：
+- 楽しい一日
+- 新しい発見
+- 忙しい日々
+- 穏やかな時間
+
+タイトルのみを出力してください：`,
+        label: /^タイトル[：:]?/,
+        // 日本語のタイトルは空白を入れず12文字まで
+        shorten: title => title.replace(/\s+/g, '').substring(0, 12),
+        demoKeywords: ['楽しい', '嬉しい', '悲しい', '忙しい', '平和', '特別', '普通', '新しい', '大変'],
+        demoTitle: keyword => `${keyword}一日`
+    },
+    en: {
+        prompt: content => `Read the following diary entry and write a simple, easy-to-read title:
+
+Diary entry:
+${content.substring(0, 1000)}
+
+Requirements:
+- A simple title of at most 6 words
+- Capture the content or the feelings of the entry
+- Do not use any symbols or decorative characters
+- Use only letters, numbers and spaces
+- A natural form such as "A Quiet Sunday" or "Lunch with Old Friends"
+- No Markdown (**, *, _ and so on)
+
+Examples:
+- A Fun Day
+- Something New
+- Busy Days
+- A Peaceful Afternoon
+
+Output only the title:`,
+        label: /^title\s*:?/i,
+        // 英語のタイトルは6語・60文字まで
+        shorten: title => title.replace(/\s+/g, ' ').trim().split(' ').slice(0, 6).join(' ').substring(0, 60),
+        demoKeywords: ['fun', 'happy', 'sad', 'busy', 'peaceful', 'special', 'ordinary', 'new', 'tough'],
+        demoTitle: keyword => `${/^[aeiou]/.test(keyword) ? 'An' : 'A'} ${keyword[0].toUpperCase()}${keyword.slice(1)} Day`
+    }
+};
+
+// 日記内容からタイトルを生成（date は生成できなかったときのタイトルに使う日付、language は日記の言語）
+async function generateTitle(content, date = new Date(), language = 'ja') {
+    const rules = TITLE_RULES[language] || TITLE_RULES.ja;
+    if (llmProvider) {
+        console.log('AI でタイトル生成中...');
+        let title = (await generateText('title', rules.prompt(content))).trim();
+        
+        // 不要な文字を除去（より厳密に）
+        title = title.replace(/[\*_`#\[\](){}|\\~]/g, ''); // マークダウン記法を除去
+        title = title.replace(/^["“「『]/, '').replace(/["”」』]$/, ''); // 引用符除去
+        title = title.replace(rules.label, '').trim(); // 「タイトル:」等を除去
+        title = title.replace(/\.{2,}/g, ''); // 連続するドットを除去
+        title = title.replace(/[…]/g, ''); // 三点リーダーを除去
+        
+        // 余分な空白を除き、長すぎる場合は短縮（装飾文字なしで）
+        title = rules.shorten(title);
+
+        // 空の場合は日付ベースのフォールバック
+        if (!title || title.length < 2) {
+            title = dateTitle('diary', date, language);
+        }
+
+        return { title, mode: llmProvider.name };
+    }
+
+    // デモモード - シンプルなタイトル生成
+    console.log('デモモードでタイトル生成');
+    const foundKeyword = rules.demoKeywords.find(keyword => (language === 'en'
+        ? new RegExp(`\\b${keyword}\\b`, 'i').test(content)
+        : content.includes(keyword)));
+    const title = foundKeyword ? rules.demoTitle(foundKeyword) : dateTitle('notes', date, language);
+    return { title, mode: 'demo' };
+}
+
+// タイトル生成エンドポイント（language を省略したら設定の日記の言語）
+app.post('/api/generate-title', async (req, res) => {
+    let language = 'ja';
+    try {
+        const { content } = req.body;
+        
+        if (!content || typeof content !== 'string') {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'コンテンツが提供されていません' 
+            });
+        }
+
+        language = isLanguage(req.body.language) ? req.body.language : (await chatLanguages(req.user.id)).diaryLanguage;
+        console.log(`タイトル生成開始: ${content.length}文字`);
+        const { title, mode } = await generateTitle(content, new Date(), language);
+
+        res.json({
+            success: true,
+            title: title,
+            mode: mode
+        });
+
+    } catch (error) {
+        console.error('タイトル生成エラー:', error);
+        
+        // フォールバック：日付ベースのタイトル
+        res.json({
+            success: true,
+            title: dateTitle('diary', new Date(), language),
+            mode: 'fallback'
+        });
+    }
+});
+
+// 日記に残す対話の記録（発言と返事に、時刻・感情・発話の音声・質問した写真を添える）
+function transcriptOf(messages) {
+    return messages.map(msg => ({
+        role: msg.role,
+        content: msg.content,
+        timestamp: new Date(msg.timestamp || Date.now()).toISOString(),
+        ...(msg.emotion ? { emotion: msg.emotion } : {}),
+        ...(msg.audioId ? { audioId: msg.audioId } : {}),
+        ...(msg.photoId ? { photoId: msg.photoId } : {})
+    }));
+}
+
+function isEmotionResult(emotion) {
+    return Boolean(emotion) && typeof emotion === 'object'
+        && Array.isArray(emotion.emotions)
+        && emotion.emotions.every(item => item && typeof item.label === 'string' && typeof item.score === 'number');
+}
+
+// 対話の記録をセッションのメッセージに戻す（端末から受け取った記録は形を確かめ、合わなければ null）
+function transcriptMessages(transcript) {
+    if (!Array.isArray(transcript) || transcript.length === 0 || transcript.length > MAX_TRANSCRIPT_MESSAGES) return null;
+    const valid = transcript.every(msg => msg
+        && ['user', 'assistant'].includes(msg.role)
+        && typeof msg.content === 'string'
+        && (msg.timestamp === undefined || !isNaN(Date.parse(msg.timestamp))));
+    if (!valid) return null;
+    return transcript.map(msg => ({
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.timestamp ? new Date(msg.timestamp) : new Date(),
+        ...(isEmotionResult(msg.emotion) ? { emotion: msg.emotion } : {}),
+        ...(typeof msg.audioId === 'string' ? { audioId: msg.audioId } : {}),
+        ...(typeof msg.photoId === 'string' ? { photoId: msg.photoId } : {})
+    }));
+}
+
+// 要約した日記にタイトル・気分・話題・対話の記録を付ける（保存はしない）
+// 開き直した対話の時間は、前にまとめたときまでの時間に足す
+// diaryLanguage は実際に日記を書いた言語（デモモードでは対話の言語のまま）
+async function sessionDiaryRecord(session, text, mode, { style, voice, verification, diaryLanguage }) {
+    const { language } = sessionLanguages(session);
+    let title;
+    try {
+        ({ title } = await generateTitle(text, new Date(), diaryLanguage));
+    } catch (error) {
+        console.error('タイトル生成エラー:', error.message);
+        title = dateTitle('diary', new Date(), diaryLanguage);
+    }
+    return {
+        title,
+        text,
+        language: diaryLanguage,
+        conversationLanguage: language,
+        conversationCount: session.messages.filter(msg => msg.role === 'user').length,
+        duration: (session.previousDuration || 0) + Math.round((session.endTime - session.startTime) / 1000 / 60),
+        mode,
+        style,
+        voice,
+        verification,
+        personaId: session.personaId,
+        transcript: transcriptOf(session.messages),
+        topics: collectTopics(session.messages),
+        mood: aggregateMood(session.messages.map(msg => msg.role === 'user' ? msg.emotion : null)),
+        moodTimeline: moodTimeline(session.messages)
+    };
+}
+
+// 要約した日記を保存（日記から開き直した対話なら、その日記を書き直す。前の内容は編集履歴に残る）
+async function saveSessionDiary(userId, session, text, mode, { style, voice, verification, diaryLanguage, clientId }) {
+    const record = await sessionDiaryRecord(session, text, mode, { style, voice, verification, diaryLanguage });
+
+    // 発話の音声は書き起こしと一緒に日記に残す
+    const audio = session.messages
+        .filter(msg => msg.role === 'user' && msg.audioId)
+        .map(msg => ({ id: msg.audioId, text: msg.content }));
+    // 添付した写真は説明と一緒に日記に残す
+    const photos = (session.photos || []).map(({ id, description, caption }) => ({ id, description, caption }));
+
+    const fields = {
+        ...record,
+        sessionId: session.id,
+        ...(audio.length > 0 ? { audio } : {}),
+        ...(photos.length > 0 ? { photos } : {}),
+        ...(clientId ? { clientId } : {})
+    };
+    const existing = session.diaryId ? await diaryStore.get(userId, session.diaryId) : null;
+    const diary = existing
+        ? await diaryStore.update(userId, existing.id, fields)
+        : await diaryStore.create(userId, fields);
+    if (existing) {
+        similarityIndex.forget(diary.id);
+    }
+    await audioStore.link(userId, audio.map(clip => clip.id), diary.id);
+    await photoStore.link(userId, photos.map(photo => photo.id), diary.id);
+    // 開き直した対話では、前にまとめたあとの発言からだけ覚える
+    await rememberSession(userId, { ...session, messages: session.messages.slice(session.summarizedCount || 0) }, diary);
+    return { diary, updated: Boolean(existing) };
+}
+
+// 対話から人・予定・気がかりなどを取り出して覚える（失敗しても日記の保存は続ける）
+async function rememberSession(userId, session, diary) {
+    try {
+        const user = await userStore.findById(userId);
+        if (!userSettings(user).rememberFacts) return;
+        const facts = await factExtractor.extract(session.messages);
+        const saved = await factStore.add(userId, facts, { sourceDiaryId: diary.id });
+        console.log(`記憶を更新: ${saved.length}件`);
+    } catch (error) {
+        console.warn('記憶の保存警告:', error.message);
+    }
+}
+
+// 端末が付けたIDで作成済みの日記を探す（オフライン中の操作を送り直したときに二重に作らない）
+async function findByClientId(userId, clientId) {
+    if (!clientId) return null;
+    const diaries = await diaryStore.userDiaries(userId);
+    return diaries.find(diary => diary.clientId === clientId) || null;
+}
+
+function isClientId(value) {
+    return value === undefined || (typeof value === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(value));
+}
+
+// 根拠のない文の扱い（flag: 報告だけ、remove: 本文から取り除く）
+const UNSUPPORTED_ACTIONS = ['flag', 'remove'];
+const DEFAULT_UNSUPPORTED_ACTION = process.env.DIARY_UNSUPPORTED_ACTION || 'flag';
+
+// 日記に残す検証結果（文ごとの判定は保存しない）
+function verificationRecord(verification) {
+    if (!verification) return null;
+    const { method, action, checked, unsupported, removed } = verification;
+    return { method, action, checked, unsupported, removed };
+}
+
+function photoCaptions(photos = []) {
+    return photos.map(photo => photo.caption).filter(Boolean);
+}
+
+// チャット要約の本体（JSON版とストリーミング版で共通、onToken に日記本文を逐次通知）
+// 生成に失敗したときは、作り話の日記で代用せずにエラーを返す（セッションはそのまま再試行できる）
+async function summarizeSession(req, onToken) {
+    const { sessionId, clientId, unsupported: action = DEFAULT_UNSUPPORTED_ACTION } = req.body;
+    const options = resolveStyleOptions(req.body);
+    if (options.error) {
+        return { status: 400, body: { success: false, error: options.error } };
+    }
+    if (!isClientId(clientId)) {
+        return { status: 400, body: { success: false, error: 'clientId は英数字・「-」・「_」の64文字以内で指定してください' } };
+    }
+    if (!UNSUPPORTED_ACTIONS.includes(action)) {
+        return { status: 400, body: { success: false, error: `unsupported は ${UNSUPPORTED_ACTIONS.join(' / ')} のいずれかを指定してください` } };
+    }
+    const { style, voice, format } = options;
+
+    try {
+        const encryption = await userEncryption(req.user.id);
+        // 送り直しで同じ日記をもう一度作らない
+        const existing = await findByClientId(req.user.id, clientId);
+        if (existing?.encrypted) {
+            return { status: 200, body: { success: true, encrypted: true, diaryId: existing.id, saved: existing, replayed: true } };
+        }
+        if (existing) {
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    diary: existing.text,
+                    title: existing.title,
+                    diaryId: existing.id,
+                    style: existing.style,
+                    voice: existing.voice,
+                    format,
+                    content: renderDiary(existing, format),
+                    verification: existing.verification || null,
+                    conversationCount: existing.conversationCount,
+                    duration: existing.duration,
+                    mode: existing.mode,
+                    replayed: true
+                }
+            };
+        }
+
+        const session = await getUserSession(req, sessionId);
+        if (!session) {
+            return { status: 400, body: sessionNotFound() };
+        }
+        
+        const userMessages = session.messages.filter(msg => msg.role === 'user');
+        if (userMessages.length === 0) {
+            return { status: 400, body: { success: false, error: 'まだ何も話していません' } };
+        }
+        
+        console.log(`チャット要約開始 [${sessionId}]: ${userMessages.length}回の対話`);
+
+        // デモモードでは訳せないので、日記も対話の言語のまま書く
+        const { language } = sessionLanguages(session);
+        const diaryLanguage = llmProvider ? sessionLanguages(session).diaryLanguage : language;
+        let generated;
+        if (llmProvider) {
+            const persona = await resolvePersona(req.user.id, session.personaId);
+            // ペルソナの指示は、形の決まっていない文章のときだけ使う
+            const prompt = buildSummaryPrompt(session.messages, {
+                style,
+                voice,
+                name: req.user.username,
+                hint: style === 'prose' && persona ? localizePersona(persona, diaryLanguage).diaryHint : null,
+                language: diaryLanguage,
+                conversationLanguage: language,
+                photos: describePhotos(session.photos, diaryLanguage)
+            });
+
+            console.log('対話要約日記生成中...');
+            generated = (await generateText('summary', prompt, onToken)).trim();
+        } else {
+            // デモモード
+            generated = demoDiary(userMessages, { style, language: diaryLanguage });
+            await streamDemoText(generated, onToken);
+        }
+
+        // 日記の各文を発言と照らし合わせる（別の言語で書いた日記は、LLMで確かめられるときだけ）
+        // 写真に添えたひとこともユーザーの言葉として扱う
+        const { text: summaryDiary, verification } = await verifyDiary(
+            diaryVerifier,
+            generated,
+            [...userMessages.map(msg => msg.content), ...photoCaptions(session.photos)],
+            { style, action, translated: diaryLanguage !== language }
+        );
+        if (!summaryDiary) {
+            return {
+                status: 422,
+                body: {
+                    success: false,
+                    error: '話した内容に基づく日記を作れませんでした。もう少し話してから、もう一度お試しください',
+                    verification
+                }
+            };
+        }
+        if (verification && verification.unsupported.length > 0) {
+            console.warn(`日記の検証: 根拠のない文 ${verification.unsupported.length}/${verification.checked}件（${action}）`);
+        }
+
+        const mode = llmProvider ? llmProvider.name : 'demo';
+        session.status = 'completed';
+        session.endTime = new Date();
+        if (encryption) {
+            // 暗号化した日記帳では保存せずに返す。端末が暗号化して保存したら、対話も消す
+            // 日記から開き直した対話なら、書き直す日記の diaryId も返す
+            const record = await sessionDiaryRecord(session, summaryDiary, mode, {
+                style,
+                voice,
+                diaryLanguage,
+                verification: verificationRecord(verification)
+            });
+            await sessionStore.set(sessionId, session);
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    encrypted: true,
+                    record,
+                    ...(session.diaryId ? { diaryId: session.diaryId } : {}),
+                    title: record.title,
+                    style,
+                    voice,
+                    verification,
+                    conversationCount: record.conversationCount,
+                    duration: record.duration,
+                    mode
+                }
+            };
+        }
+        session.summary = summaryDiary;
+        const { diary: savedDiary, updated } = await saveSessionDiary(req.user.id, session, summaryDiary, mode, {
+            style,
+            voice,
+            diaryLanguage,
+            verification: verificationRecord(verification),
+            clientId
+        });
+        // 続きを話してまとめ直したら、同じ日記を書き直す
+        session.diaryId = savedDiary.id;
+        session.summarizedCount = session.messages.length;
+        await sessionStore.set(sessionId, session);
+
+        console.log('対話要約完了');
+
+        return {
+            status: 200,
+            body: {
+                success: true,
+                diary: summaryDiary,
+                title: savedDiary.title,
+                diaryId: savedDiary.id,
+                style,
+                voice,
+                format,
+                content: renderDiary(savedDiary, format),
+                verification,
+                conversationCount: userMessages.length,
+                duration: savedDiary.duration,
+                mode,
+                updated
+            }
+        };
+
+    } catch (error) {
+        console.error('要約処理エラー:', error);
+        return {
+            status: 502,
+            body: {
+                success: false,
+                error: '日記を生成できませんでした。対話はそのまま残っているので、時間をおいてもう一度お試しください',
+                retryable: true
+            }
+        };
+    }
+}
+
+// チャット要約
+app.post('/api/chat/summarize', async (req, res) => {
+    const { status, body } = await summarizeSession(req);
+    res.status(status).json(body);
+});
+
+// チャット要約（SSEで日記本文を逐次送信）
+app.post('/api/chat/summarize/stream', async (req, res) => {
+    const { status, body } = await summarizeSession(req, text => sendEvent(res, 'token', { text }));
+    endEventStream(res, status, body);
+});
+
+// 日記の入力値チェック（作成時は本文必須）
+function validateDiaryInput(body, { requireText }) {
+    const { title, text, date } = body;
+    if (requireText && (!text || typeof text !== 'string' || !text.trim())) {
+        return '日記の本文が提供されていません';
+    }
+    if (text !== undefined && typeof text !== 'string') {
+        return '日記の本文は文字列で指定してください';
+    }
+    if (title !== undefined && typeof title !== 'string') {
+        return 'タイトルは文字列で指定してください';
+    }
+    if (date !== undefined && isNaN(Date.parse(date))) {
+        return '日付の形式が正しくありません';
+    }
+    return null;
+}
+
+// 暗号化した日記と一緒に平文で受け取る項目（内容のわからない、対話の回数やスタイルなど）
+function encryptedDiaryFields({ encrypted, style, voice, language, conversationLanguage, mode, conversationCount, duration }) {
+    const count = value => (Number.isInteger(value) && value >= 0 ? value : undefined);
+    // 文体と人称は指定されたものだけ、平文の日記と同じ値に確かめて残す
+    const options = resolveStyleOptions({ style, voice });
+    return {
+        encrypted: envelopeOf(encrypted),
+        mode: typeof mode === 'string' && /^[A-Za-z0-9_-]{1,32}$/.test(mode) ? mode : 'manual',
+        ...(style !== undefined && !options.error ? { style: options.style } : {}),
+        ...(voice !== undefined && !options.error ? { voice: options.voice } : {}),
+        ...(isLanguage(language) ? { language } : {}),
+        ...(isLanguage(conversationLanguage) ? { conversationLanguage } : {}),
+        ...(count(conversationCount) !== undefined ? { conversationCount } : {}),
+        ...(count(duration) !== undefined ? { duration } : {})
+    };
+}
+
+// 日記作成
+// 暗号化した日記帳では、要約した対話の sessionId を添えると、保存した後にサーバーの対話を消す
+app.post('/api/diaries', async (req, res, next) => {
+    try {
+        const encryption = await userEncryption(req.user.id);
+        const encryptionError = encryptedDiaryError(req.body, encryption, { create: true });
+        if (encryptionError) {
+            return res.status(400).json({ success: false, error: encryptionError });
+        }
+        const validationError = validateDiaryInput(req.body, { requireText: !encryption });
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const { title, text, date, clientId, sessionId } = req.body;
+        if (!isClientId(clientId)) {
+            return res.status(400).json({ success: false, error: 'clientId は英数字・「-」・「_」の64文字以内で指定してください' });
+        }
+        if (encryption && (req.body.style !== undefined || req.body.voice !== undefined)) {
+            const options = resolveStyleOptions(req.body);
+            if (options.error) {
+                return res.status(400).json({ success: false, error: options.error });
+            }
+        }
+        const existing = await findByClientId(req.user.id, clientId);
+        if (existing) {
+            return res.json({ success: true, diary: existing, replayed: true });
+        }
+        const diary = await diaryStore.create(req.user.id, {
+            ...(encryption ? encryptedDiaryFields(req.body) : { title, text, mode: 'manual' }),
+            date: date ? new Date(date).toISOString() : undefined,
+            ...(clientId ? { clientId } : {})
+        });
+        if (encryption && typeof sessionId === 'string' && await getUserSession(req, sessionId)) {
+            await sessionStore.delete(sessionId);
+        }
+        res.status(201).json({ success: true, diary });
+    } catch (error) {
+        next(error);
+    }
+});
+
+function isMoodLabel(mood) {
+    return Boolean(EMOTIONS[mood]) || MOOD_TYPES.includes(mood);
+}
+
+// 日記一覧（日付の新しい順、cursor でページング）
+app.get('/api/diaries', async (req, res, next) => {
+    try {
+        const { limit, cursor, mood } = req.query;
+        if (mood && !isMoodLabel(mood)) {
+            return res.status(400).json({ success: false, error: `未対応の気分です: ${mood}` });
+        }
+        const { items, nextCursor } = await diaryStore.list(req.user.id, { limit, cursor, mood });
+        res.json({ success: true, diaries: items, nextCursor });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 日記の検索（q は空白区切りですべて含むもの、from/to は日付の範囲、mood/topic で絞り込み）
+app.get('/api/diaries/search', async (req, res, next) => {
+    try {
+        const { q, mood, topic, limit, cursor } = req.query;
+        if (mood && !isMoodLabel(mood)) {
+            return res.status(400).json({ success: false, error: `未対応の気分です: ${mood}` });
+        }
+        if (topic && !TOPICS[topic]) {
+            return res.status(400).json({ success: false, error: `未対応の話題です: ${topic}` });
+        }
+        const [from, to] = [req.query.from, req.query.to].map(value => value ? new Date(value) : null);
+        if ([from, to].some(date => date && Number.isNaN(date.getTime()))) {
+            return res.status(400).json({ success: false, error: 'from / to は日付で指定してください' });
+        }
+
+        // 暗号化した日記はサーバーでは読めないので、端末で探す
+        const diaries = (await diaryStore.userDiaries(req.user.id)).filter(diary => !diary.encrypted);
+        const { total, results, nextCursor } = searchDiaries(diaries, { q, from, to, mood, topic, limit, cursor });
+        res.json({ success: true, total, results, nextCursor });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 日記取得
+app.get('/api/diaries/:id', async (req, res, next) => {
+    try {
+        const diary = await diaryStore.get(req.user.id, req.params.id);
+        if (!diary) {
+            return res.status(404).json({ success: false, error: '日記が見つかりません' });
+        }
+        const options = resolveStyleOptions({ style: diary.style, voice: diary.voice, format: req.query.format });
+        if (options.error) {
+            return res.status(400).json({ success: false, error: options.error });
+        }
+        if (req.query.format && diary.encrypted) {
+            return res.status(400).json({ success: false, error: '暗号化した日記は、端末で開いて表示してください' });
+        }
+        res.json({
+            success: true,
+            diary,
+            ...(req.query.format ? { format: options.format, content: renderDiary(diary, options.format) } : {})
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 日記を別のスタイルで作り直す（元の対話が残っていなければ、いまの本文から書き直す）
+// language を指定すると、その言語で書き直す（省略したら日記のいまの言語）
+app.post('/api/diaries/:id/regenerate', async (req, res, next) => {
+    try {
+        const options = resolveStyleOptions(req.body);
+        if (options.error) {
+            return res.status(400).json({ success: false, error: options.error });
+        }
+        if (req.body.language !== undefined && !isLanguage(req.body.language)) {
+            return res.status(400).json({ success: false, error: `language は ${Object.keys(LANGUAGES).join(' / ')} のいずれかを指定してください` });
+        }
+        const { unsupported: action = DEFAULT_UNSUPPORTED_ACTION } = req.body;
+        if (!UNSUPPORTED_ACTIONS.includes(action)) {
+            return res.status(400).json({ success: false, error: `unsupported は ${UNSUPPORTED_ACTIONS.join(' / ')} のいずれかを指定してください` });
+        }
+        const diary = await diaryStore.get(req.user.id, req.params.id);
+        if (!diary) {
+            return res.status(404).json({ success: false, error: '日記が見つかりません' });
+        }
+        if (diary.encrypted) {
+            return res.status(400).json({ success: false, error: '暗号化した日記は、サーバーでは作り直せません' });
+        }
+
+        const { style, voice, format } = options;
+        // 対話の記録（日記に残したもの、古い日記ではまだ残っているセッション）があれば、対話から作り直す
+        const session = diary.sessionId ? await getUserSession(req, diary.sessionId) : null;
+        const transcript = diary.transcript?.length > 0 ? diary.transcript : session?.messages;
+        const source = transcript ? 'transcript' : 'diary';
+        const messages = transcript || [{ role: 'user', content: diary.text }];
+        // 言語を持たない古い日記は日本語
+        const sourceLanguage = (transcript ? diary.conversationLanguage : null) || diary.language || 'ja';
+        // デモモードでは訳せないので、元の言語のまま書く
+        const language = llmProvider ? req.body.language || diary.language || sourceLanguage : sourceLanguage;
+
+        const photos = transcript ? diary.photos || [] : [];
+        const userTexts = [...messages.filter(msg => msg.role === 'user').map(msg => msg.content), ...photoCaptions(photos)];
+
+        let generated;
+        try {
+            generated = llmProvider
+                ? (await generateText('summary', buildSummaryPrompt(messages, {
+                    style,
+                    voice,
+                    name: req.user.username,
+                    language,
+                    conversationLanguage: sourceLanguage,
+                    photos: describePhotos(photos, language)
+                }))).trim()
+                : demoDiary(messages.filter(msg => msg.role === 'user'), { style, language });
+        } catch (error) {
+            console.error('日記の作り直しエラー:', error.message);
+            return res.status(502).json({ success: false, error: '日記を作り直せませんでした。時間をおいてもう一度お試しください', retryable: true });
+        }
+
+        const { text, verification } = await verifyDiary(diaryVerifier, generated, userTexts, {
+            style,
+            action,
+            translated: language !== sourceLanguage
+        });
+        if (!text) {
+            return res.status(422).json({ success: false, error: '元の内容に基づく日記を作れませんでした', verification });
+        }
+
+        // 前の本文は版として残るので、編集履歴から戻せる
+        const updated = await diaryStore.update(req.user.id, req.params.id, {
+            text,
+            style,
+            voice,
+            language,
+            verification: verificationRecord(verification)
+        });
+        similarityIndex.forget(diary.id);
+        console.log(`日記を作り直し [${diary.id}]: ${style}/${voice}/${language}（${source}から）`);
+        res.json({ success: true, diary: updated, source, format, content: renderDiary(updated, format), verification });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 日記の対話を開き直す（続きを話してまとめ直すと、同じ日記を書き直す）
+// 暗号化した日記は、端末が開いた対話の記録を messages で送る
+app.post('/api/diaries/:id/conversation', async (req, res, next) => {
+    try {
+        const diary = await diaryStore.get(req.user.id, req.params.id);
+        if (!diary) {
+            return res.status(404).json({ success: false, error: '日記が見つかりません' });
+        }
+        const encryption = await userEncryption(req.user.id);
+        // まとめたときの対話がまだサーバーに残っていれば、それを続ける
+        let session = diary.sessionId ? await getUserSession(req, diary.sessionId) : null;
+        if (!session) {
+            const messages = transcriptMessages(diary.encrypted ? req.body?.messages : diary.transcript);
+            if (!messages) {
+                return res.status(400).json({
+                    success: false,
+                    error: diary.encrypted && req.body?.messages !== undefined ? '対話の記録の形式が正しくありません' : 'この日記には対話の記録がありません'
+                });
+            }
+            session = {
+                id: crypto.randomUUID(),
+                userId: req.user.id,
+                personaId: diary.personaId || req.body?.personaId || DEFAULT_PERSONA_ID,
+                // 言語を持たない古い日記は日本語で話していた
+                language: diary.conversationLanguage || diary.language || DEFAULT_LANGUAGE,
+                diaryLanguage: diary.language || DEFAULT_LANGUAGE,
+                messages,
+                photos: diary.photos || [],
+                ...(encryption ? { ephemeral: true } : {})
+            };
+        }
+        // 時間は今から数えて前にまとめたときまでの時間に足し、覚えるのはこれからの発言だけにする
+        Object.assign(session, {
+            status: 'active',
+            diaryId: diary.id,
+            startTime: new Date(),
+            previousDuration: diary.duration || 0,
+            summarizedCount: session.messages.length
+        });
+        delete session.endTime;
+        await sessionStore.set(session.id, session);
+
+        const persona = await resolvePersona(req.user.id, session.personaId) || builtinPersona(DEFAULT_PERSONA_ID);
+        const { language, diaryLanguage } = sessionLanguages(session);
+        console.log(`対話を開き直し [${diary.id}]: ${session.messages.length}件のメッセージ`);
+        res.json({
+            success: true,
+            sessionId: session.id,
+            diaryId: diary.id,
+            persona: personaSummary(localizePersona(persona, language)),
+            language,
+            diaryLanguage,
+            messages: transcriptOf(session.messages),
+            photos: session.photos || [],
+            canSummarize: session.messages.some(msg => msg.role === 'user')
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 日記更新
+app.put('/api/diaries/:id', async (req, res, next) => {
+    try {
+        const encryptionError = encryptedDiaryError(req.body, await userEncryption(req.user.id), { create: false });
+        if (encryptionError) {
+            return res.status(400).json({ success: false, error: encryptionError });
+        }
+        const validationError = validateDiaryInput(req.body, { requireText: false });
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const { title, text, date, baseRevision, encrypted, sessionId } = req.body;
+        if (baseRevision !== undefined && !(Number.isInteger(baseRevision) && baseRevision >= 1)) {
+            return res.status(400).json({ success: false, error: 'baseRevision は1以上の整数で指定してください' });
         }
+        const current = await diaryStore.get(req.user.id, req.params.id);
+        if (!current) {
+            return res.status(404).json({ success: false, error: '日記が見つかりません' });
+        }
+        // 端末が編集し始めた版（baseRevision）から変わっていたら、上書きせずに今の版を返す
+        if (baseRevision !== undefined && (current.revision || 1) !== baseRevision) {
+            return res.status(409).json({ success: false, error: '別の端末で変更されています', conflict: true, diary: current });
+        }
+        // 平文を暗号化したときや鍵を入れ替えたときは、前の版（平文や古い鍵の暗号文）を残さない
+        const dropHistory = Boolean(encrypted) && current.encrypted?.keyId !== encrypted.keyId;
+        // 暗号化した日記を対話の続きからまとめ直したときは、対話の回数と時間も書き換える
+        const counts = encrypted ? encryptedDiaryFields(req.body) : {};
+        const diary = await diaryStore.update(req.user.id, req.params.id, {
+            title,
+            text,
+            date: date ? new Date(date).toISOString() : undefined,
+            encrypted: encrypted ? envelopeOf(encrypted) : undefined,
+            conversationCount: counts.conversationCount,
+            duration: counts.duration,
+            // 本文を書き換えたら、生成時の検証結果は当てはまらない
+            verification: text !== undefined ? null : undefined
+        }, { dropHistory });
+        if (!diary) {
+            return res.status(404).json({ success: false, error: '日記が見つかりません' });
+        }
+        if (encrypted) {
+            similarityIndex.forget(diary.id);
+            // まとめ直した対話は、端末が暗号化して保存したらサーバーから消す
+            if (typeof sessionId === 'string' && await getUserSession(req, sessionId)) {
+                await sessionStore.delete(sessionId);
+            }
+        }
+        res.json({ success: true, diary });
+    } catch (error) {
+        next(error);
+    }
+});
 
+// 日記の版の一覧（現在の版を先頭に新しい順）
+app.get('/api/diaries/:id/revisions', async (req, res, next) => {
+    try {
+        const revisions = await diaryStore.listRevisions(req.user.id, req.params.id);
+        if (!revisions) {
+            return res.status(404).json({ success: false, error: '日記が見つかりません' });
+        }
+        res.json({ success: true, revisions });
     } catch (error) {
-        console.error('チャット処理エラー:', error);
-        
-        // デモモードフォールバック
-        const messageCount = session?.messages?.filter(msg => msg.role === 'user').length || 1;
-        const fallbackResponses = [
-            "今日はどんな一日でしたか？",
-            "その時はどんな気持ちでしたか？",
-            "他にも印象に残ったことはありますか？",
-            "お話を聞かせていただき、ありがとうございました。日記にまとめてみませんか？"
-        ];
-        
-        const responseIndex = Math.min(messageCount - 1, fallbackResponses.length - 1);
-        
-        res.json({
-            success: true,
-            response: fallbackResponses[responseIndex],
-            messageCount: messageCount * 2,
-            canSummarize: messageCount >= 3,
-            mode: 'demo_fallback_improved'
-        });
+        next(error);
     }
 });
 
-// 感情分析関数
-function analyzeUserEmotion(message) {
-    const emotionKeywords = {
-        positive: ['楽しい', '嬉しい', '良かった', '素晴らしい', '幸せ', '満足', '素敵', '最高'],
-        negative: ['辛い', '悲しい', '困った', 'イライラ', '疲れた', '大変', '辛かった', 'ストレス'],
-        neutral: ['普通', '特に', 'いつも通り', '普段通り', 'まあまあ']
-    };
-    
-    const lowerMessage = message.toLowerCase();
-    
-    for (const [emotion, keywords] of Object.entries(emotionKeywords)) {
-        if (keywords.some(keyword => lowerMessage.includes(keyword))) {
-            return { type: emotion, confidence: 0.8 };
+// 日記の特定の版を取得
+app.get('/api/diaries/:id/revisions/:revision', async (req, res, next) => {
+    try {
+        const revision = await diaryStore.getRevision(req.user.id, req.params.id, req.params.revision);
+        if (!revision) {
+            return res.status(404).json({ success: false, error: '指定された版が見つかりません' });
         }
+        res.json({ success: true, revision });
+    } catch (error) {
+        next(error);
     }
-    
-    return { type: 'neutral', confidence: 0.5 };
-}
+});
 
-// 会話コンテキスト分析
-function getConversationContext(messages) {
-    const recentMessages = messages.slice(-4);
-    const topics = [];
-    const emotions = [];
-    
-    recentMessages.forEach(msg => {
-        if (msg.role === 'user') {
-            topics.push(extractMainTopic(msg.content));
-            emotions.push(analyzeUserEmotion(msg.content));
+// 過去の版に戻す（戻す前の内容も新しい版として残る）
+app.post('/api/diaries/:id/revisions/:revision/restore', async (req, res, next) => {
+    try {
+        const revision = await diaryStore.getRevision(req.user.id, req.params.id, req.params.revision);
+        if (!revision) {
+            return res.status(404).json({ success: false, error: '指定された版が見つかりません' });
         }
-    });
-    
-    return { topics, emotions, flowState: 'continuing' };
-}
 
-// 簡単なトピック抽出
-function extractMainTopic(content) {
-    const topicKeywords = ['仕事', '家族', '友達', '勉強', '趣味', '買い物', '食事', '旅行', '運動', '映画'];
-    return topicKeywords.find(topic => content.includes(topic)) || 'general';
-}
+        const diary = await diaryStore.update(req.user.id, req.params.id, {
+            ...(revision.encrypted ? { encrypted: revision.encrypted } : { title: revision.title, text: revision.text }),
+            date: revision.date,
+            style: revision.style,
+            voice: revision.voice,
+            verification: null
+        });
+        console.log(`日記を版${revision.revision}に復元 [${req.params.id}]`);
+        res.json({ success: true, diary });
+    } catch (error) {
+        next(error);
+    }
+});
 
-// 適応的プロンプト生成
-function generateAdaptivePrompt(messageCount, currentMessage, emotionAnalysis, context, session) {
-    const emotionResponse = {
-        positive: '喜びを共有し、その体験をより詳しく聞く',
-        negative: '共感と理解を示し、優しく寄り添う口調で',
-        neutral: '自然に関心を示し、相手が話しやすい雰囲気で'
-    };
+// この日と似た日記
+app.get('/api/diaries/:id/similar', async (req, res, next) => {
+    try {
+        const diary = await diaryStore.get(req.user.id, req.params.id);
+        if (!diary) {
+            return res.status(404).json({ success: false, error: '日記が見つかりません' });
+        }
+        if (diary.encrypted) {
+            return res.status(400).json({ success: false, error: '暗号化した日記は、サーバーでは似ている日を探せません' });
+        }
+        const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), 20);
+        const diaries = (await diaryStore.userDiaries(req.user.id)).filter(item => !item.encrypted);
+        const { method, results } = await similarityIndex.similar(diary, diaries, { limit });
+        res.json({ success: true, method, results });
+    } catch (error) {
+        next(error);
+    }
+});
 
-    const baseRules = `
-応答のルール：
-- 50文字以内の自然で親しみやすい口調
-- ${emotionResponse[emotionAnalysis.type]}
-- 相手のペースに合わせ、プレッシャーを与えない
-- 人間らしい温かみのある反応
-`;
+// 日記削除
+app.delete('/api/diaries/:id', async (req, res, next) => {
+    try {
+        const deleted = await diaryStore.delete(req.user.id, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: '日記が見つかりません' });
+        }
+        await audioStore.deleteForDiary(req.user.id, req.params.id);
+        await photoStore.deleteForDiary(req.user.id, req.params.id);
+        similarityIndex.forget(req.params.id);
+        await factStore.deleteForDiary(req.user.id, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        next(error);
+    }
+});
 
-    if (messageCount === 1) {
-        return `
-ユーザーが「${currentMessage}」と話しかけてきました。
-現在の感情状態: ${emotionAnalysis.type}
+// 振り返り用の集計（period=week|month、tz はブラウザの getTimezoneOffset() の値）
+app.get('/api/analytics', async (req, res, next) => {
+    try {
+        const period = req.query.period || 'week';
+        if (!['week', 'month'].includes(period)) {
+            return res.status(400).json({ success: false, error: 'period は week または month を指定してください' });
+        }
+        const tzOffset = req.query.tz === undefined ? new Date().getTimezoneOffset() : Number(req.query.tz);
+        if (!Number.isInteger(tzOffset) || Math.abs(tzOffset) > 14 * 60) {
+            return res.status(400).json({ success: false, error: 'tz が不正です' });
+        }
+        // 暗号化した日記は気分も話題もわからないので数えない
+        const diaries = (await diaryStore.userDiaries(req.user.id)).filter(diary => !diary.encrypted);
+        res.json({ success: true, analytics: buildAnalytics(diaries, { period, tzOffset }) });
+    } catch (error) {
+        next(error);
+    }
+});
 
-この状況に適した自然な反応を生成してください：
-${baseRules}
-- 相手の話した具体的な内容に反応する
-- 「今日は」という定型的な聞き方ではなく、相手の言葉を受けて自然に質問する
-- 親近感のある口調で
+// 日記の書き出し（format=markdown|zip|pdf|epub|json、from/to は日付の範囲、writing=horizontal|vertical）
+app.get('/api/export', async (req, res, next) => {
+    try {
+        const format = req.query.format || 'markdown';
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({ success: false, error: `format は ${Object.keys(EXPORT_FORMATS).join(' / ')} のいずれかを指定してください` });
+        }
+        const writing = req.query.writing || 'horizontal';
+        if (!['horizontal', 'vertical'].includes(writing)) {
+            return res.status(400).json({ success: false, error: 'writing は horizontal または vertical を指定してください' });
+        }
+        const [from, to] = [req.query.from, req.query.to].map(value => value ? new Date(value) : null);
+        if ([from, to].some(date => date && Number.isNaN(date.getTime()))) {
+            return res.status(400).json({ success: false, error: 'from / to は日付で指定してください' });
+        }
+        const tzOffset = req.query.tz === undefined ? new Date().getTimezoneOffset() : Number(req.query.tz);
+        if (!Number.isInteger(tzOffset) || Math.abs(tzOffset) > 14 * 60) {
+            return res.status(400).json({ success: false, error: 'tz が不正です' });
+        }
+        const font = format === 'pdf' ? resolveExportFont() : null;
+        if (format === 'pdf' && !font) {
+            return res.status(501).json({ success: false, error: 'PDFに使う日本語フォントが見つかりません。EXPORT_FONT_PATH にフォントファイルを指定してください' });
+        }
 
-応答:`;
-    }
-    
-    const questionType = ((messageCount - 1) % 3) + 1;
-    const previousMessage = session.messages.length >= 3 ? session.messages[session.messages.length - 3].content : '';
-    
-    if (questionType === 1) {
-        return `
-会話の流れ：
-前回: 「${previousMessage}」
-今回: 「${currentMessage}」
-感情: ${emotionAnalysis.type}
+        const inRange = (await diaryStore.userDiaries(req.user.id)).filter(diary => {
+            const time = new Date(diary.date).getTime();
+            return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+        });
+        // 暗号化した日記はサーバーでは読めないので、JSON（暗号文のまま）にだけ入れる
+        const diaries = format === 'json' ? inRange : inRange.filter(diary => !diary.encrypted);
+        if (diaries.length === 0 && format !== 'json') {
+            return res.status(404).json({
+                success: false,
+                error: inRange.length > 0 ? '暗号化した日記は、サーバーでは JSON でしか書き出せません' : 'この期間の日記はありません'
+            });
+        }
 
-この流れで自然に詳細を聞いてください：
-${baseRules}
-- 前の話との自然なつながりを意識
-- 「具体的には？」ではなく、興味深い部分を掘り下げる質問
-- 相手が話したくなるような聞き方
+        const options = { tzOffset, writing, username: req.user.username, from, to };
+        let body;
+        if (format === 'markdown') {
+            body = markdownExport(diaries, options);
+        } else if (format === 'zip') {
+            body = zipExport(diaries, options);
+        } else if (format === 'epub') {
+            body = epubExport(diaries, options);
+        } else if (format === 'pdf') {
+            body = await createPdfBook(diaries, { ...options, font });
+        } else {
+            // 編集履歴と、まだ残っている対話の記録も含める
+            const user = await userStore.findById(req.user.id);
+            const detailed = await Promise.all(diaries.map(async diary => {
+                const session = diary.sessionId ? await sessionStore.get(diary.sessionId) : null;
+                return {
+                    ...diary,
+                    revisions: await diaryStore.listRevisions(req.user.id, diary.id),
+                    transcript: diary.transcript || (session && session.userId === req.user.id ? session.messages : null)
+                };
+            }));
+            body = JSON.stringify(jsonArchive({
+                user: req.user,
+                settings: userSettings(user),
+                encryption: user.encryption || null,
+                diaries: detailed,
+                facts: await factStore.list(req.user.id),
+                personas: await personaStore.list(req.user.id)
+            }), null, 2);
+        }
 
-応答:`;
+        const fileName = exportFileName(format, { from, to, tzOffset });
+        console.log(`日記を書き出し [${req.user.id}]: ${format} ${diaries.length}件`);
+        res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(body);
+    } catch (error) {
+        next(error);
     }
-    
-    if (questionType === 2) {
-        return `
-これまでの話から、体験の深い部分を自然に聞き出してください：
-現在の話: 「${currentMessage}」
-感情状態: ${emotionAnalysis.type}
+});
+
+const IMPORT_TITLE_MODES = ['keep', 'generate'];
+const IMPORT_DUPLICATE_MODES = ['skip', 'import'];
+const IMPORT_MAX_FILES = 500;
+// フォルダごと選んだときのパス（notes/2023-01-05.md など）を残す
+const importUpload = multer({
+    dest: uploadDir,
+    limits: { fileSize: AUDIO_MAX_BYTES, files: IMPORT_MAX_FILES },
+    preservePath: true
+});
 
-${baseRules}
-- 感情を直接聞かず、体験や状況から感情が伝わるような質問
-- 「どう感じましたか？」より「その時の状況は？」「印象的だったのは？」
-- ${emotionAnalysis.type}な状態に寄り添った聞き方
+// multer はファイル名を latin1 として読むので UTF-8 に戻す
+function uploadedName(file) {
+    return Buffer.from(file.originalname, 'latin1').toString('utf8');
+}
 
-応答:`;
+// 取り込むボイスメモを書き起こす（設定の言語で認識し、音声の保存を選んでいれば音声も残す）
+async function transcribeImportedAudio(userId, file) {
+    const tmpPath = `${uploadDir}/import-${crypto.randomUUID()}`;
+    await fs.promises.writeFile(tmpPath, file.data);
+    try {
+        const languageCode = speechLanguage(await userStore.findById(userId));
+        const result = await transcribeFile({ path: tmpPath, originalname: file.name }, { languageCode });
+        const audioId = result.transcript
+            ? await keepUtteranceAudio(userId, { sourcePath: tmpPath, format: result.format, durationSec: result.durationSec })
+            : null;
+        return { text: result.transcript, audioId };
+    } finally {
+        await fs.promises.unlink(tmpPath).catch(() => {});
     }
-    
-    // 話題の展開または締めくくり
-    const cycleCount = Math.floor((messageCount - 1) / 3) + 1;
-    if (cycleCount >= 3) {
-        return `
-十分な対話ができました。自然に日記作成を提案してください：
-これまでの会話: ${session.messages.slice(-6).map(msg => msg.content).join(' ')}
-
-${baseRules}
-- 聞かせてもらったことへの感謝を表現
-- 相手の体験を肯定的に受け止める言葉
-- 日記作成への自然で前向きな提案
-
-応答:`;
-    } else {
-        return `
-現在の話題から自然に話を広げてください：
-現在の内容: 「${currentMessage}」
-会話の雰囲気: ${emotionAnalysis.type}
-
-${baseRules}
-- 急に話題を変えるのではなく、今の話から関連する内容を聞く
-- 相手が無理なく答えられる範囲での質問
-- 自然な会話の流れを保つ
-
-応答:`;
-    }
-}
-
-// デモモード用の適応的応答生成
-function generateDemoResponses(messageCount, emotionAnalysis) {
-    const responsesByEmotion = {
-        positive: [
-            "それは素晴らしいですね！どんな瞬間が一番印象的でしたか？",
-            "いい体験でしたね。周りの反応はいかがでしたか？",
-            "楽しそうな雰囲気が伝わってきます。他にも何か心に残ったことはありますか？",
-            "今日は本当に充実した一日だったんですね。この素敵な思い出を日記にまとめてみませんか？"
-        ],
-        negative: [
-            "お疲れ様でした。大変だったんですね。",
-            "そういう時もありますよね。どんな風に乗り越えられましたか？",
-            "辛い状況だったと思います。他に何かサポートはありましたか？",
-            "いろいろなことがあった一日だったんですね。お話を聞かせていただき、ありがとうございました。日記にまとめてみませんか？"
-        ],
-        neutral: [
-            "そうだったんですね。その時はどんな感じでしたか？",
-            "なるほど。一番印象に残ったのはどの部分ですか？",
-            "日常の中にも色々なことがありますね。他にも何かありましたか？",
-            "お話を聞かせていただき、ありがとうございました。今日の一日を日記にまとめてみませんか？"
-        ]
+}
+
+// 取り込み結果の1件（プレビューにも使う）
+function importResult(entry, status, extra = {}) {
+    return {
+        file: entry.file,
+        source: entry.source,
+        title: entry.title || null,
+        date: entry.date || null,
+        dateSource: entry.dateSource || null,
+        preview: entry.text ? entry.text.substring(0, 80) : '',
+        chars: entry.text ? entry.text.length : 0,
+        status,
+        ...extra
     };
-    
-    return responsesByEmotion[emotionAnalysis.type] || responsesByEmotion.neutral;
 }
 
-// タイトル生成エンドポイント
-app.post('/api/generate-title', async (req, res) => {
+// 日記やボイスメモの取り込み（dryRun=true なら保存せずにプレビューを返す）
+// files: Day One の JSON、テキスト・Markdown、Evernote の .enex、音声、それらをまとめた ZIP
+app.post('/api/import', importUpload.array('files'), async (req, res, next) => {
+    const uploaded = req.files || [];
     try {
-        const { content } = req.body;
-        
-        if (!content || typeof content !== 'string') {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'コンテンツが提供されていません' 
-            });
+        const dryRun = req.body.dryRun === 'true';
+        const titles = req.body.titles || 'keep';
+        const duplicates = req.body.duplicates || 'skip';
+        if (uploaded.length === 0) {
+            return res.status(400).json({ success: false, error: '取り込むファイルがありません' });
+        }
+        if (await userEncryption(req.user.id)) {
+            return res.status(400).json({ success: false, error: '日記を暗号化しているあいだは、取り込みは使えません' });
+        }
+        if (!IMPORT_TITLE_MODES.includes(titles)) {
+            return res.status(400).json({ success: false, error: 'titles は keep または generate を指定してください' });
+        }
+        if (!IMPORT_DUPLICATE_MODES.includes(duplicates)) {
+            return res.status(400).json({ success: false, error: 'duplicates は skip または import を指定してください' });
+        }
+        const tzOffset = req.body.tz === undefined ? new Date().getTimezoneOffset() : Number(req.body.tz);
+        if (!Number.isInteger(tzOffset) || Math.abs(tzOffset) > 14 * 60) {
+            return res.status(400).json({ success: false, error: 'tz が不正です' });
+        }
+        let lastModified = null;
+        try {
+            lastModified = req.body.lastModified ? JSON.parse(req.body.lastModified) : {};
+        } catch (error) {
+            // 下で形式の誤りとして返す
+        }
+        if (!lastModified || typeof lastModified !== 'object' || Array.isArray(lastModified)) {
+            return res.status(400).json({ success: false, error: 'lastModified の形式が正しくありません' });
+        }
+        // 読み込む前に合計の大きさを確かめ、1つずつ読む（一度に全部メモリに載せない）
+        if (uploaded.reduce((sum, file) => sum + file.size, 0) > IMPORT_LIMITS.maxTotalBytes) {
+            return res.status(413).json({ success: false, error: importTooLargeMessage() });
         }
 
-        console.log('タイトル生成開始:', content.substring(0, 100) + '...');
-
-        if (isGCPConfigured && generativeModel) {
-            try {
-                const prompt = `以下の日記内容を読んで、シンプルで読みやすいタイトルを生成してください：
-
-日記内容：
-${content.substring(0, 500)}
-
-要件：
-- 12文字以内のシンプルなタイトル
-- 日記の内容や感情を表現
-- 記号や装飾文字は一切使用しない
-- ひらがな、カタカナ、漢字、数字のみ使用
-- 「〜な日」「〜の記録」「〜について」などの自然な形式
-- マークダウン記法（**、*、_など）は使用禁止
-
-例：
-- 楽しい一日
-- 新しい発見
-- 忙しい日々
-- 穏やかな時間
+        let files;
+        try {
+            const read = [];
+            for (const file of uploaded) {
+                const name = uploadedName(file);
+                read.push({ name, data: await fs.promises.readFile(file.path), lastModified: lastModified[name] });
+            }
+            files = expandImportFiles(read, { maxEntries: IMPORT_MAX_FILES, maxEntryBytes: AUDIO_MAX_BYTES });
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
 
-タイトルのみを出力してください：`;
-
-                console.log('AI でタイトル生成中...');
-                const result = await generativeModel.generateContent(prompt);
-                const response = await result.response;
-                let title = response.candidates[0].content.parts[0].text.trim();
-                
-                // 不要な文字を除去（より厳密に）
-                title = title.replace(/[\*_`#\[\](){}|\\~]/g, ''); // マークダウン記法を除去
-                title = title.replace(/^["「『]/, '').replace(/["」』]$/, ''); // 引用符除去
-                title = title.replace(/^タイトル[：:]?/, '').trim(); // 「タイトル:」等を除去
-                title = title.replace(/\.{2,}/g, ''); // 連続するドットを除去
-                title = title.replace(/[…]/g, ''); // 三点リーダーを除去
-                title = title.replace(/\s+/g, ''); // 余分な空白を除去
-                
-                // 長すぎる場合は短縮（装飾文字なしで）
-                if (title.length > 12) {
-                    title = title.substring(0, 12);
+        const results = [];
+        const records = [];
+        const index = new DuplicateIndex(await diaryStore.userDiaries(req.user.id));
+
+        for (const file of files) {
+            let entries;
+            if (file.kind === 'audio') {
+                const entry = { source: 'audio', file: file.name, ...audioDate(file, tzOffset) };
+                if (dryRun) {
+                    // 書き起こしは時間がかかるので、プレビューでは行わない
+                    results.push(importResult(entry, 'pending'));
+                    continue;
                 }
-
-                // 空の場合は日付ベースのフォールバック
-                if (!title || title.length < 2) {
-                    const now = new Date();
-                    const month = now.getMonth() + 1;
-                    const day = now.getDate();
-                    title = `${month}月${day}日の日記`;
+                if (!speechEngine) {
+                    results.push(importResult(entry, 'error', { error: 'デモモードでは音声を書き起こせません' }));
+                    continue;
+                }
+                try {
+                    entries = [{ ...entry, ...await transcribeImportedAudio(req.user.id, file) }];
+                } catch (error) {
+                    console.warn('取り込みの書き起こし警告:', file.name, error.message);
+                    results.push(importResult(entry, 'error', { error: '音声を書き起こせませんでした' }));
+                    continue;
                 }
+            } else {
+                entries = parseImportFile(file, { tzOffset });
+            }
 
-                console.log('生成されたタイトル:', title);
+            for (const entry of entries) {
+                if (entry.error) {
+                    results.push(importResult(entry, 'error', { error: entry.error }));
+                    continue;
+                }
+                if (!entry.text) {
+                    results.push(importResult(entry, 'error', { error: '本文が空です' }));
+                    continue;
+                }
+                const duplicate = index.find(entry);
+                const duplicateOf = duplicate ? { id: duplicate.id || null, title: duplicate.title, date: duplicate.date } : null;
+                if (duplicate && duplicates === 'skip') {
+                    results.push(importResult(entry, 'duplicate', { duplicateOf }));
+                    continue;
+                }
+                const importSource = {
+                    type: entry.source,
+                    file: entry.file,
+                    ...(entry.sourceId ? { id: entry.sourceId } : {})
+                };
+                index.add({ title: entry.title, date: entry.date, text: entry.text, importSource });
+                const result = importResult(entry, dryRun ? 'ready' : 'imported', { duplicateOf });
+                results.push(result);
+                records.push({ entry, importSource, result });
+            }
+        }
 
-                res.json({
-                    success: true,
-                    title: title,
-                    mode: 'gcp'
+        if (!dryRun && records.length > 0) {
+            // 取り込んだ日記の言語はわからないので、タイトルは設定の日記の言語で付ける
+            const { diaryLanguage } = await chatLanguages(req.user.id);
+            const diaries = [];
+            for (const { entry, importSource } of records) {
+                const date = entry.date || new Date().toISOString();
+                let title = entry.title;
+                if (!title && titles === 'generate') {
+                    try {
+                        ({ title } = await generateTitle(entry.text, new Date(date), diaryLanguage));
+                    } catch (error) {
+                        console.error('タイトル生成エラー:', error.message);
+                    }
+                }
+                diaries.push({
+                    title: title || dateTitle('diary', new Date(date), diaryLanguage),
+                    text: entry.text,
+                    date,
+                    mode: 'import',
+                    importSource,
+                    topics: collectTopics([{ role: 'user', content: entry.text }]),
+                    ...(entry.tags && entry.tags.length > 0 ? { tags: entry.tags } : {}),
+                    ...(entry.audioId ? { audio: [{ id: entry.audioId, text: entry.text }] } : {})
                 });
-
-            } catch (apiError) {
-                console.error('AI タイトル生成エラー:', apiError.message);
-                throw apiError;
             }
-        } else {
-            // デモモード - シンプルなタイトル生成
-            console.log('デモモードでタイトル生成');
-            const keywords = ['楽しい', '嬉しい', '悲しい', '忙しい', '平和', '特別', '普通', '新しい', '大変'];
-            const foundKeyword = keywords.find(keyword => content.includes(keyword));
-            
-            let title;
-            if (foundKeyword) {
-                title = `${foundKeyword}一日`;
-            } else {
-                const now = new Date();
-                const month = now.getMonth() + 1;
-                const day = now.getDate();
-                title = `${month}月${day}日の記録`;
+            const created = await diaryStore.createMany(req.user.id, diaries);
+            for (const [position, diary] of created.entries()) {
+                Object.assign(records[position].result, { title: diary.title, date: diary.date, diaryId: diary.id });
+                if (diary.audio) await audioStore.link(req.user.id, diary.audio.map(clip => clip.id), diary.id);
             }
-
-            res.json({
-                success: true,
-                title: title,
-                mode: 'demo'
-            });
+            console.log(`日記を取り込み [${req.user.id}]: ${created.length}件`);
         }
 
-    } catch (error) {
-        console.error('タイトル生成エラー:', error);
-        
-        // フォールバック：日付ベースのタイトル
-        const now = new Date();
-        const month = now.getMonth() + 1;
-        const day = now.getDate();
-        const fallbackTitle = `${month}月${day}日の日記`;
-
+        const count = status => results.filter(result => result.status === status).length;
         res.json({
             success: true,
-            title: fallbackTitle,
-            mode: 'fallback'
+            dryRun,
+            summary: {
+                files: files.length,
+                entries: results.length,
+                [dryRun ? 'ready' : 'imported']: count(dryRun ? 'ready' : 'imported'),
+                pending: count('pending'),
+                duplicates: count('duplicate'),
+                errors: count('error')
+            },
+            entries: results
         });
+    } catch (error) {
+        next(error);
+    } finally {
+        await Promise.all(uploaded.map(file => fs.promises.unlink(file.path).catch(() => {})));
     }
 });
 
-// チャット要約
-app.post('/api/chat/summarize', async (req, res) => {
-    let session;
-
+// 覚えている事柄の一覧
+app.get('/api/memory', async (req, res, next) => {
     try {
-        const { sessionId } = req.body;
-        
-        if (!chatSessions.has(sessionId)) {
-            return res.status(400).json({ error: 'セッションが見つかりません' });
-        }
-        
-        session = chatSessions.get(sessionId);
-        const userMessages = session.messages.filter(msg => msg.role === 'user');
-        
-        console.log(`チャット要約開始 [${sessionId}]: ${userMessages.length}回の対話`);
-
-        if (isGCPConfigured && generativeModel) {
-            try {
-                const prompt = `以下のユーザーとAIアシスタントの対話内容を基に、美しい日記としてまとめてください。
-
-対話内容:
-${session.messages.map(msg => `${msg.role === 'user' ? 'ユーザー' : 'AI'}: ${msg.content}`).join('\n')}
-
-要求事項：
-- 対話の内容を基に、自然な文章として構成してください
-- 実際に話されていない内容は追加しないでください
-- 日付や時間、感情の解釈などの勝手な補完は行わないでください
-- ユーザーが話した具体的な内容と事実のみを使用してください
-- 対話形式ではなく、まとまった文章として整理してください
-- AIの質問部分は省略し、ユーザーの回答内容を中心にまとめてください
-- 話された順序に従って内容を整理してください
-- 改行は最小限に抑え、できるだけ連続した文章として出力してください 
-- 段落分けは行わず、一つの流れのある文章として構成してください
+        res.json({ success: true, facts: await factStore.list(req.user.id) });
+    } catch (error) {
+        next(error);
+    }
+});
 
-日記：`;
+// 覚えている事柄をすべて忘れる
+app.delete('/api/memory', async (req, res, next) => {
+    try {
+        const deleted = await factStore.deleteAll(req.user.id);
+        res.json({ success: true, deleted });
+    } catch (error) {
+        next(error);
+    }
+});
 
-                console.log('対話要約日記生成中...');
-                const result = await generativeModel.generateContent(prompt);
-                const response = await result.response;
-                const summaryDiary = response.candidates[0].content.parts[0].text;
+// 覚えている事柄を1件忘れる
+app.delete('/api/memory/:id', async (req, res, next) => {
+    try {
+        const deleted = await factStore.delete(req.user.id, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: '見つかりません' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        next(error);
+    }
+});
 
-                session.status = 'completed';
-                session.summary = summaryDiary;
-                session.endTime = new Date();
+// ペルソナの一覧（組み込み＋自分で作ったもの）
+// 組み込みのペルソナは ?language= の言語（省略したら設定の言語）の名前・説明・挨拶で返す
+app.get('/api/personas', async (req, res, next) => {
+    try {
+        const languages = await chatLanguages(req.user.id, { language: req.query.language });
+        if (languages.error) {
+            return res.status(400).json({ success: false, error: languages.error });
+        }
+        const custom = await personaStore.list(req.user.id);
+        res.json({
+            success: true,
+            defaultId: DEFAULT_PERSONA_ID,
+            personas: [...BUILTIN_PERSONAS, ...custom].map(persona => personaSummary(localizePersona(persona, languages.language)))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
 
-                console.log('対話要約完了');
+// ペルソナの詳細（プロンプトや台本を含む）
+app.get('/api/personas/:id', async (req, res, next) => {
+    try {
+        const persona = await resolvePersona(req.user.id, req.params.id);
+        if (!persona) {
+            return res.status(404).json({ success: false, error: '見つかりません' });
+        }
+        res.json({ success: true, persona: { ...persona, builtin: Boolean(builtinPersona(persona.id)) } });
+    } catch (error) {
+        next(error);
+    }
+});
 
-                res.json({
-                    success: true,
-                    diary: summaryDiary,
-                    conversationCount: userMessages.length,
-                    duration: Math.round((session.endTime - session.startTime) / 1000 / 60),
-                    mode: 'gcp'
-                });
+// ペルソナを作る
+app.post('/api/personas', async (req, res, next) => {
+    try {
+        const invalid = validatePersona(req.body);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        const persona = await personaStore.create(req.user.id, normalizePersona(req.body));
+        res.status(201).json({ success: true, persona });
+    } catch (error) {
+        next(error);
+    }
+});
 
-            } catch (apiError) {
-                console.error('要約生成エラー:', apiError.message);
-                throw apiError;
-            }
-        } else {
-            // デモモード
-            const conversationText = userMessages.map(msg => msg.content).join(' ');
-            const summaryDiary = `今日は心温まる一日を過ごすことができました。${conversationText.substring(0, 50)}...について振り返りながら、改めて日々の大切さを感じました。
+// 作ったペルソナを書き換える
+app.put('/api/personas/:id', async (req, res, next) => {
+    try {
+        if (builtinPersona(req.params.id)) {
+            return res.status(403).json({ success: false, error: '組み込みのペルソナは変更できません' });
+        }
+        const invalid = validatePersona(req.body);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        const persona = await personaStore.update(req.user.id, req.params.id, normalizePersona(req.body));
+        if (!persona) {
+            return res.status(404).json({ success: false, error: '見つかりません' });
+        }
+        res.json({ success: true, persona });
+    } catch (error) {
+        next(error);
+    }
+});
 
-対話を通じて自分の気持ちを整理することで、普段気づかない小さな幸せや感動に気づくことができました。こうした何気ない瞬間にこそ、生活の豊かさがあるのかもしれません。
+// 作ったペルソナを削除
+app.delete('/api/personas/:id', async (req, res, next) => {
+    try {
+        if (builtinPersona(req.params.id)) {
+            return res.status(403).json({ success: false, error: '組み込みのペルソナは変更できません' });
+        }
+        const deleted = await personaStore.delete(req.user.id, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: '見つかりません' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        next(error);
+    }
+});
 
-明日もまた新しい発見や体験があることを楽しみにしながら、今日という日に感謝の気持ちを込めて、この日記を締めくくりたいと思います。`;
+// 保存した発話の音声を再生
+app.get('/api/audio/:id', async (req, res, next) => {
+    try {
+        const clip = await audioStore.get(req.user.id, req.params.id);
+        const stream = clip ? await audioStore.createReadStream(req.user.id, clip.id) : null;
+        if (!stream) {
+            return res.status(404).json({ success: false, error: '音声が見つかりません（保存期間を過ぎた可能性があります）' });
+        }
+        res.type(clip.mimeType);
+        res.set('Content-Length', String(clip.size));
+        stream.on('error', next).pipe(res);
+    } catch (error) {
+        next(error);
+    }
+});
 
-            session.status = 'completed';
-            session.summary = summaryDiary;
-            session.endTime = new Date();
+app.delete('/api/audio/:id', async (req, res, next) => {
+    try {
+        const deleted = await audioStore.delete(req.user.id, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: '音声が見つかりません' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        next(error);
+    }
+});
 
-            res.json({
-                success: true,
-                diary: summaryDiary,
-                conversationCount: userMessages.length,
-                duration: Math.round((session.endTime - session.startTime) / 1000 / 60),
-                mode: 'demo'
-            });
+// 添付した写真を取得（size=thumbnail なら縮小した写真）
+app.get('/api/photos/:id', async (req, res, next) => {
+    try {
+        const thumbnail = req.query.size === 'thumbnail';
+        const photo = await photoStore.get(req.user.id, req.params.id);
+        const stream = photo ? await photoStore.createReadStream(req.user.id, photo.id, { thumbnail }) : null;
+        if (!stream) {
+            return res.status(404).json({ success: false, error: '写真が見つかりません' });
         }
+        const small = thumbnail && photo.thumbnailMimeType;
+        res.type(small ? photo.thumbnailMimeType : photo.mimeType);
+        res.set('Content-Length', String(small ? photo.thumbnailSize : photo.size));
+        stream.on('error', next).pipe(res);
+    } catch (error) {
+        next(error);
+    }
+});
 
+app.delete('/api/photos/:id', async (req, res, next) => {
+    try {
+        const deleted = await photoStore.delete(req.user.id, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: '写真が見つかりません' });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error('要約処理エラー:', error);
-        
-        // デモモードフォールバック
-        const session = chatSessions.get(req.body.sessionId);
-        const userMessages = session ? session.messages.filter(msg => msg.role === 'user') : [];
-        
-        const fallbackDiary = `今日は特別な一日でした。様々な出来事があり、多くのことを感じ、考えることができました。
+        next(error);
+    }
+});
 
-日々の小さな出来事の中にも、大切な意味や価値を見つけることができます。今日もそんな瞬間がいくつもありました。
+// セッション一覧（途中の対話を選んで続けられるよう、最初の発言の冒頭も返す）
+app.get('/api/chat/sessions', async (req, res, next) => {
+    try {
+        const sessions = (await sessionStore.list())
+            .filter(session => session.userId === req.user.id)
+            .map(session => {
+                const userMessages = session.messages.filter(msg => msg.role === 'user');
+                const first = userMessages.find(msg => typeof msg.content === 'string');
+                return {
+                    id: session.id,
+                    status: session.status,
+                    personaId: session.personaId,
+                    language: sessionLanguages(session).language,
+                    diaryId: session.diaryId || null,
+                    messageCount: session.messages.length,
+                    userMessageCount: userMessages.length,
+                    preview: first ? first.content.slice(0, 40) : null,
+                    startTime: session.startTime,
+                    endTime: session.endTime,
+                    lastAccess: session.lastAccess,
+                    hasSummary: !!session.summary
+                };
+            });
 
-これからも一日一日を大切に過ごしていきたいと思います。今日という日に感謝しながら。`;
+        res.json({ sessions });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        if (session) {
-            session.status = 'completed';
-            session.summary = fallbackDiary;
-            session.endTime = new Date();
+// セッションの対話（途中の対話を続きから話すとき）
+app.get('/api/chat/sessions/:id', async (req, res, next) => {
+    try {
+        const session = await getUserSession(req, req.params.id);
+        if (!session) {
+            return res.status(404).json(sessionNotFound());
         }
-
+        const persona = await resolvePersona(req.user.id, session.personaId) || builtinPersona(DEFAULT_PERSONA_ID);
+        const { language, diaryLanguage } = sessionLanguages(session);
         res.json({
             success: true,
-            diary: fallbackDiary,
-            conversationCount: userMessages.length,
-            duration: session ? Math.round((session.endTime - session.startTime) / 1000 / 60) : 5,
-            mode: 'demo_fallback'
+            sessionId: session.id,
+            diaryId: session.diaryId || null,
+            status: session.status,
+            persona: personaSummary(localizePersona(persona, language)),
+            language,
+            diaryLanguage,
+            messages: transcriptOf(session.messages),
+            photos: session.photos || [],
+            canSummarize: session.messages.some(msg => msg.role === 'user')
         });
+    } catch (error) {
+        next(error);
     }
 });
 
-// セッション一覧
-app.get('/api/chat/sessions', (req, res) => {
-    const sessions = Array.from(chatSessions.values()).map(session => ({
-        id: session.id,
-        status: session.status,
-        messageCount: session.messages.length,
-        startTime: session.startTime,
-        endTime: session.endTime,
-        hasSummary: !!session.summary
-    }));
-    
-    res.json({ sessions });
-});
-
 // エラーハンドリング
 app.use((error, req, res, next) => {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ success: false, error: 'ファイルが大きすぎます' });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+        return res.status(400).json({ success: false, error: `一度に送れるファイルは${IMPORT_MAX_FILES}個までです` });
+    }
     console.error('サーバーエラー:', error);
     res.status(500).json({ 
         error: '内部サーバーエラーが発生しました',
@@ -771,12 +2510,48 @@ function gracefulShutdown(signal) {
 
 // サーバー起動
 async function startServer() {
-    await initializeGCP();
+    await initializeSpeech();
+    await initializeTts();
+    await initializeLLM();
+
+    await userStore.load();
+    await diaryStore.load();
+    await audioStore.load();
+    await photoStore.load();
+    await factStore.load();
+    await personaStore.load();
+    const restored = await sessionStore.load();
+    console.log(`セッション復元: ${restored}件`);
+
+    // 期限切れセッションの定期削除
+    setInterval(() => {
+        sessionStore.sweep().catch(err => console.warn('セッション削除警告:', err.message));
+        audioStore.sweep(async userId => userSettings(await userStore.findById(userId)).audioRetentionDays)
+            .catch(err => console.warn('音声削除警告:', err.message));
+        photoStore.sweep().catch(err => console.warn('写真削除警告:', err.message));
+    }, SESSION_SWEEP_INTERVAL_MS).unref();
     
     const server = app.listen(PORT, '0.0.0.0', () => {
         console.log(`音声日記帳APIサーバー起動`);
         console.log(`ポート: ${PORT}`);
-        console.log(`モード: ${isGCPConfigured ? 'GCP API' : 'デモ'}`);
+        console.log(`音声認識: ${speechEngine ? speechEngine.name : 'なし'}`);
+        console.log(`LLM: ${llmProvider ? llmProvider.name : 'デモ応答'}`);
+    });
+
+    // 話している間の音声をWebSocketで受け取り、途中経過を返す
+    attachSpeechStream(server, {
+        path: '/api/speech-stream',
+        authenticate: async (token) => {
+            const claims = verifyToken(token);
+            return claims ? userStore.findById(claims.sub) : null;
+        },
+        getEngine: () => speechEngine,
+        speechLanguage,
+        transcribeFile,
+        saveAudio: (user, clip) => keepUtteranceAudio(user.id, clip),
+        tmpDir: uploadDir,
+        maxBytes: AUDIO_MAX_BYTES,
+        interimIntervalMs: Number(process.env.STT_INTERIM_INTERVAL_MS || 3000)
     });
 
     server.on('error', (err) => {
@@ -0,0 +1,47 @@
+// オフラインでも画面を開けるように、アプリ本体をキャッシュする Service Worker
+// API（/api/）はキャッシュしない（オフライン中の操作は画面側の順番待ちから送り直す）
+
+// index.html の変更を確実に配るときは版を上げる（古いキャッシュは activate で消える）
+const CACHE_NAME = 'voice-diary-v1';
+const APP_SHELL = ['./', './index.html'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ネットワーク優先：取れたらキャッシュを新しくし、つながらないときだけキャッシュを返す
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) {
+        return;
+    }
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(async () => {
+                const cached = await caches.match(request);
+                if (cached) return cached;
+                // 画面の移動（別のパスやクエリ付きのURL）ならアプリ本体を返す
+                return request.mode === 'navigate' ? caches.match('./index.html') : Response.error();
+            })
+    );
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AudioProcessor, readWavInfo } = require('../lib/audio');
+
+// PCMのWAV（ヘッダーの値は overrides で書き換える）
+function wav({ channels = 1, sampleRate = 16000, bitsPerSample = 16, dataBytes = 3200, ...overrides } = {}) {
+    const blockAlign = overrides.blockAlign ?? channels * bitsPerSample / 8;
+    const byteRate = overrides.byteRate ?? sampleRate * blockAlign;
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(overrides.declaredBytes ?? dataBytes, 40);
+    return Buffer.concat([header, Buffer.alloc(dataBytes)]);
+}
+
+function withTmpDir(fn) {
+    return async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-test-'));
+        try {
+            await fn(dir);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+test('readWavInfo は正しいWAVの長さを返す', () => {
+    const info = readWavInfo(wav({ dataBytes: 32000 }));
+    assert.strictEqual(info.dataOffset, 44);
+    assert.strictEqual(info.dataBytes, 32000);
+    assert.strictEqual(info.durationSec, 1);
+});
+
+test('readWavInfo は blockAlign と byteRate が食い違うWAVを読まない', () => {
+    assert.strictEqual(readWavInfo(wav({ blockAlign: 1000 })), null);
+    assert.strictEqual(readWavInfo(wav({ byteRate: 1 })), null);
+    assert.strictEqual(readWavInfo(wav({ channels: 0 })), null);
+    assert.strictEqual(readWavInfo(wav({ bitsPerSample: 12 })), null);
+});
+
+test('readWavInfo は宣言より短いデータをファイルの長さまでにする', () => {
+    const info = readWavInfo(wav({ dataBytes: 100, declaredBytes: 0xFFFFFFF0 }));
+    assert.strictEqual(info.dataBytes, 100);
+});
+
+test('splitWav は指定した秒数ごとに分割する', withTmpDir(async dir => {
+    const file = path.join(dir, 'long.wav');
+    fs.writeFileSync(file, wav({ dataBytes: 32000 * 5 }));
+    const processor = new AudioProcessor({ tmpDir: dir });
+    const chunks = await processor.splitWav({ ...readWavInfo(fs.readFileSync(file)), path: file }, 2);
+    assert.deepStrictEqual(chunks.map(chunk => chunk.durationSec), [2, 2, 1]);
+}));
+
+test('splitWav は1つ分の大きさが0になるヘッダーを断る', withTmpDir(async dir => {
+    const file = path.join(dir, 'crafted.wav');
+    fs.writeFileSync(file, wav({ dataBytes: 200 }));
+    const processor = new AudioProcessor({ tmpDir: dir });
+    const info = { ...readWavInfo(fs.readFileSync(file)), path: file, byteRate: 1, blockAlign: 4 };
+    await assert.rejects(processor.splitWav(info, 1), /分割できません/);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['crafted.wav']);
+}));
+
+test('splitWav はファイルより大きいデータを断る', withTmpDir(async dir => {
+    const file = path.join(dir, 'short.wav');
+    fs.writeFileSync(file, wav({ dataBytes: 200 }));
+    const processor = new AudioProcessor({ tmpDir: dir });
+    const info = { ...readWavInfo(fs.readFileSync(file)), path: file, dataBytes: 10000 };
+    await assert.rejects(processor.splitWav(info, 1), /分割できません/);
+}));
+
+test('prepare は長さのわからないWebMをWAVにしてから分割する', withTmpDir(async dir => {
+    // ffprobe は N/A を返し、ffmpeg は5秒のWAVを書き出すだけの偽物
+    const converted = path.join(dir, 'converted.wav');
+    fs.writeFileSync(converted, wav({ dataBytes: 32000 * 5 }));
+    const ffprobePath = path.join(dir, 'ffprobe');
+    const ffmpegPath = path.join(dir, 'ffmpeg');
+    fs.writeFileSync(ffprobePath, '#!/bin/sh\necho N/A\n', { mode: 0o755 });
+    fs.writeFileSync(ffmpegPath, `#!/bin/sh\nfor last; do :; done\n[ "$1" = "-version" ] || cp "${converted}" "$last"\n`, { mode: 0o755 });
+
+    const file = path.join(dir, 'recording.webm');
+    fs.writeFileSync(file, Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.alloc(60)]));
+    const processor = new AudioProcessor({ ffmpegPath, ffprobePath, tmpDir: dir });
+    const engine = { accepts: info => info.format === 'webm' || info.format === 'wav', maxChunkSeconds: 2 };
+
+    const prepared = await processor.prepare(file, engine);
+    try {
+        assert.strictEqual(prepared.source.durationSec, null);
+        assert.deepStrictEqual(prepared.chunks.map(chunk => [chunk.format, chunk.durationSec]), [['wav', 2], ['wav', 2], ['wav', 1]]);
+    } finally {
+        await prepared.cleanup();
+    }
+}));
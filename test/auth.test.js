@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.AUTH_SECRET = 'test-secret';
+const { signToken, verifyToken, hashPassword, verifyPassword, validateCredentials, requireAuth } = require('../lib/auth');
+const { startServer } = require('./helpers/server');
+
+// 任意の中身と鍵でトークンを作る（期限切れや別の鍵のトークンを試す）
+function tokenWith(claims, secret = 'test-secret') {
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 60 * 60;
+
+test('signToken のトークンは verifyToken で検証できる', () => {
+    const claims = verifyToken(signToken({ id: 'u1', username: 'hanako' }));
+    assert.strictEqual(claims.sub, 'u1');
+    assert.strictEqual(claims.name, 'hanako');
+    assert.ok(claims.exp * 1000 > Date.now());
+});
+
+test('verifyToken は書き換えたトークンや別の鍵で署名したトークンを受け付けない', () => {
+    const [header, , signature] = signToken({ id: 'u1', username: 'hanako' }).split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'admin', exp: inOneHour() })).toString('base64url');
+    assert.strictEqual(verifyToken(`${header}.${forged}.${signature}`), null);
+    assert.strictEqual(verifyToken(tokenWith({ sub: 'u1', exp: inOneHour() }, 'other-secret')), null);
+    assert.strictEqual(verifyToken('a.b'), null);
+    assert.strictEqual(verifyToken('not-a-token'), null);
+    assert.strictEqual(verifyToken(undefined), null);
+});
+
+test('verifyToken は期限切れや期限のないトークンを受け付けない', () => {
+    assert.ok(verifyToken(tokenWith({ sub: 'u1', exp: inOneHour() })));
+    assert.strictEqual(verifyToken(tokenWith({ sub: 'u1', exp: Math.floor(Date.now() / 1000) - 1 })), null);
+    assert.strictEqual(verifyToken(tokenWith({ sub: 'u1' })), null);
+    assert.strictEqual(verifyToken(tokenWith({ exp: inOneHour() })), null);
+});
+
+test('パスワードは塩付きのハッシュで照合する', () => {
+    const { salt, hash } = hashPassword('password123');
+    const user = { passwordSalt: salt, passwordHash: hash };
+    assert.ok(verifyPassword('password123', user));
+    assert.ok(!verifyPassword('password124', user));
+    assert.notStrictEqual(hashPassword('password123').hash, hash);
+});
+
+test('validateCredentials は空・長すぎるユーザ名と短いパスワードを断る', () => {
+    assert.strictEqual(validateCredentials('hanako', 'password123'), null);
+    assert.match(validateCredentials('  ', 'password123'), /ユーザ名/);
+    assert.match(validateCredentials(['hanako'], 'password123'), /ユーザ名/);
+    assert.match(validateCredentials('a'.repeat(33), 'password123'), /32文字以内/);
+    assert.match(validateCredentials('hanako', 'short'), /8文字以上/);
+    assert.match(validateCredentials('hanako', 12345678), /8文字以上/);
+});
+
+test('requireAuth はユーザーが見つかるトークンだけを通す', async () => {
+    const users = new Map([['u1', { id: 'u1', username: 'hanako' }]]);
+    const middleware = requireAuth({ findById: async id => users.get(id) || null });
+    const call = async authorization => {
+        const req = { headers: authorization ? { authorization } : {} };
+        const res = {
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+        let passed = false;
+        await middleware(req, res, () => { passed = true; });
+        return { passed, user: req.user, status: res.statusCode };
+    };
+
+    const ok = await call(`Bearer ${signToken({ id: 'u1', username: 'hanako' })}`);
+    assert.deepStrictEqual(ok, { passed: true, user: { id: 'u1', username: 'hanako' }, status: undefined });
+    assert.strictEqual((await call(null)).status, 401);
+    assert.strictEqual((await call(`Basic ${signToken({ id: 'u1', username: 'hanako' })}`)).status, 401);
+    assert.strictEqual((await call(`Bearer ${signToken({ id: 'gone', username: 'taro' })}`)).status, 401);
+});
+
+test('API は登録・ログインしたトークンでだけ使える', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const token = await server.signup('hanako');
+    const me = await server.request('GET', '/api/auth/me', { token });
+    assert.strictEqual(me.status, 200);
+    assert.strictEqual(me.data.user.username, 'hanako');
+
+    assert.strictEqual((await server.request('GET', '/api/auth/me')).status, 401);
+    assert.strictEqual((await server.request('GET', '/api/auth/me', { token: `${token}x` })).status, 401);
+    const expired = tokenWith({ sub: me.data.user.id, exp: Math.floor(Date.now() / 1000) - 1 });
+    assert.strictEqual((await server.request('GET', '/api/auth/me', { token: expired })).status, 401);
+
+    const duplicate = await server.request('POST', '/api/auth/signup', { body: { username: 'hanako', password: 'password123' } });
+    assert.strictEqual(duplicate.status, 409);
+
+    const login = await server.request('POST', '/api/auth/login', { body: { username: 'hanako', password: 'password123' } });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual((await server.request('GET', '/api/auth/me', { token: login.data.token })).status, 200);
+
+    const wrong = await server.request('POST', '/api/auth/login', { body: { username: 'hanako', password: 'password124' } });
+    assert.strictEqual(wrong.status, 401);
+    const malformed = await server.request('POST', '/api/auth/login', { body: { username: ['hanako'], password: 'password123' } });
+    assert.strictEqual(malformed.status, 400);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAudioStore } = require('../lib/audioStore');
+const { createPhotoStore } = require('../lib/photoStore');
+
+async function read(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+}
+
+function withStoreDir(fn) {
+    return async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blob-test-'));
+        try {
+            await fn(dir);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+test('写真ストアは再読み込み後もサムネイルと元の写真を返す', withStoreDir(async dir => {
+    const env = { PHOTO_STORE: 'file', PHOTO_STORE_DIR: dir };
+    const store = createPhotoStore(env);
+    const withThumb = await store.save('u1', { buffer: Buffer.from('full'), mimeType: 'image/jpeg', thumbnail: { buffer: Buffer.from('thumb'), mimeType: 'image/jpeg' } });
+    const plain = await store.save('u1', { buffer: Buffer.from('plain'), mimeType: 'image/png' });
+
+    const reloaded = createPhotoStore(env);
+    assert.strictEqual(await reloaded.load(), 2);
+    assert.strictEqual(await read(await reloaded.createReadStream('u1', withThumb.id, { thumbnail: true })), 'thumb');
+    assert.strictEqual(await read(await reloaded.createReadStream('u1', withThumb.id)), 'full');
+    assert.strictEqual(await read(await reloaded.createReadStream('u1', plain.id, { thumbnail: true })), 'plain');
+    assert.strictEqual(await reloaded.createReadStream('u2', plain.id), null);
+
+    await reloaded.delete('u1', withThumb.id);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'u1')).sort(), [`${plain.id}.json`, `${plain.id}.photo`]);
+}));
+
+test('音声ストアは日記に紐づかない音声と保存期間を過ぎた音声を消す', async () => {
+    const store = createAudioStore({ AUDIO_STORE: 'memory', AUDIO_UNLINKED_TTL_HOURS: '1' });
+    const unlinked = await store.save('u1', { buffer: Buffer.from('a'), mimeType: 'audio/wav' });
+    const linked = await store.save('u1', { buffer: Buffer.from('b'), mimeType: 'audio/wav' });
+    const old = await store.save('u2', { buffer: Buffer.from('c'), mimeType: 'audio/wav' });
+    await store.link('u1', [linked.id], 'diary-1');
+    await store.link('u2', [old.id], 'diary-2');
+    const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    unlinked.createdAt = hoursAgo(2);
+    linked.createdAt = hoursAgo(2);
+    old.createdAt = hoursAgo(3 * 24);
+
+    const removed = await store.sweep(userId => (userId === 'u2' ? 2 : 0));
+    assert.strictEqual(removed, 2);
+    assert.strictEqual(await store.get('u1', unlinked.id), null);
+    assert.ok(await store.get('u1', linked.id));
+    assert.strictEqual(await store.get('u2', old.id), null);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+// SSE の応答を [{ event, data }] に分ける
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const event = block.match(/^event: (.*)$/m)[1];
+        const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+        return { event, data };
+    });
+}
+
+test('台本のプロバイダで対話の応答と日記のまとめが台本どおりになる', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-test-'));
+    const scriptFile = path.join(dir, 'script.json');
+    fs.writeFileSync(scriptFile, JSON.stringify({
+        interview: ['どこを歩きましたか？', '何が見えましたか？', 'どんな気分でしたか？'],
+        summary: ['川沿いを歩いて、鴨を見た。'],
+        title: ['川沿いの散歩']
+    }));
+    const server = await startServer({ LLM_PROVIDER: 'scripted', LLM_SCRIPT_FILE: scriptFile, DIARY_VERIFIER: 'off' });
+    t.after(async () => {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    const token = await server.signup('hanako');
+    const { data: started } = await server.request('POST', '/api/chat/start', { token, body: {} });
+    const { sessionId } = started;
+
+    const first = await server.request('POST', '/api/chat/message', { token, body: { sessionId, message: '散歩に行った' } });
+    assert.strictEqual(first.data.response, 'どこを歩きましたか？');
+    assert.strictEqual(first.data.mode, 'scripted_improved');
+    assert.strictEqual(first.data.canSummarize, false);
+
+    // ストリーミングでは台本の応答を少しずつ送る
+    const streamed = await server.request('POST', '/api/chat/message/stream', { token, body: { sessionId, message: '川沿いを歩いた' } });
+    const events = parseEvents(streamed.data);
+    const tokens = events.filter(({ event }) => event === 'token').map(({ data }) => data.text);
+    assert.ok(tokens.length > 1);
+    assert.strictEqual(tokens.join(''), '何が見えましたか？');
+    assert.strictEqual(events[events.length - 1].event, 'done');
+    assert.strictEqual(events[events.length - 1].data.response, '何が見えましたか？');
+
+    const third = await server.request('POST', '/api/chat/message', { token, body: { sessionId, message: '鴨がいた' } });
+    assert.strictEqual(third.data.response, 'どんな気分でしたか？');
+    assert.strictEqual(third.data.canSummarize, true);
+
+    const summary = await server.request('POST', '/api/chat/summarize', { token, body: { sessionId } });
+    assert.strictEqual(summary.status, 200);
+    assert.strictEqual(summary.data.diary, '川沿いを歩いて、鴨を見た。');
+    assert.strictEqual(summary.data.title, '川沿いの散歩');
+    assert.strictEqual(summary.data.mode, 'scripted');
+
+    const { data: saved } = await server.request('GET', `/api/diaries/${summary.data.diaryId}`, { token });
+    assert.strictEqual(saved.diary.text, '川沿いを歩いて、鴨を見た。');
+    assert.strictEqual(saved.diary.conversationCount, 3);
+});
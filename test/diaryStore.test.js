@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDiaryStore } = require('../lib/diaryStore');
+const { startServer } = require('./helpers/server');
+
+function withStoreDir(fn) {
+    return async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diary-test-'));
+        try {
+            await fn(dir);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+test('日記は書いた本人だけが読み書き・削除できる', async () => {
+    const store = createDiaryStore({ DIARY_STORE: 'memory' });
+    const diary = await store.create('u1', { title: '散歩', text: '川沿いを歩いた', date: '2026-10-01T09:00:00.000Z' });
+    assert.strictEqual(diary.userId, 'u1');
+    assert.strictEqual((await store.create('u1', { text: '題なし' })).title, 'タイトルなし');
+
+    assert.strictEqual(await store.get('u2', diary.id), null);
+    assert.strictEqual(await store.update('u2', diary.id, { text: '書き換え' }), null);
+    assert.strictEqual(await store.delete('u2', diary.id), false);
+
+    const updated = await store.update('u1', diary.id, { text: '川沿いを走った', userId: 'u2', id: 'other' });
+    assert.strictEqual(updated.text, '川沿いを走った');
+    assert.strictEqual(updated.userId, 'u1');
+    assert.strictEqual(updated.id, diary.id);
+
+    assert.strictEqual(await store.delete('u1', diary.id), true);
+    assert.strictEqual(await store.get('u1', diary.id), null);
+});
+
+test('一覧は日付の新しい順に cursor でページを送る', async () => {
+    const store = createDiaryStore({ DIARY_STORE: 'memory' });
+    for (const day of ['01', '03', '02', '05', '04']) {
+        await store.create('u1', { title: day, text: day, date: `2026-10-${day}T09:00:00.000Z` });
+    }
+    await store.create('u2', { title: '他人', text: '他人', date: '2026-10-09T09:00:00.000Z' });
+
+    const first = await store.list('u1', { limit: 2 });
+    assert.deepStrictEqual(first.items.map(diary => diary.title), ['05', '04']);
+    const second = await store.list('u1', { limit: 2, cursor: first.nextCursor });
+    assert.deepStrictEqual(second.items.map(diary => diary.title), ['03', '02']);
+    const last = await store.list('u1', { limit: 2, cursor: second.nextCursor });
+    assert.deepStrictEqual(last.items.map(diary => diary.title), ['01']);
+    assert.strictEqual(last.nextCursor, null);
+});
+
+test('ファイルの日記ストアは読み込み直しても日記が残る', withStoreDir(async dir => {
+    const env = { DIARY_STORE: 'file', DIARY_STORE_DIR: dir };
+    const store = createDiaryStore(env);
+    const diary = await store.create('u1', { title: '散歩', text: '川沿いを歩いた' });
+    await store.update('u1', diary.id, { text: '川沿いを走った' });
+
+    const reloaded = createDiaryStore(env);
+    assert.strictEqual(await reloaded.load(), 1);
+    assert.strictEqual((await reloaded.get('u1', diary.id)).text, '川沿いを走った');
+}));
+
+test('書き換える前の内容は版として残り、同じ内容なら版は増えない', async () => {
+    const store = createDiaryStore({ DIARY_STORE: 'memory' });
+    const diary = await store.create('u1', { title: '散歩', text: '一行目', date: '2026-10-01T09:00:00.000Z' });
+    assert.strictEqual(diary.revision, 1);
+    await store.update('u1', diary.id, { text: '二行目' });
+    const updated = await store.update('u1', diary.id, { title: '散歩の記録', text: '三行目' });
+    assert.strictEqual(updated.revision, 3);
+    assert.strictEqual((await store.update('u1', diary.id, { text: '三行目' })).revision, 3);
+
+    const history = await store.listRevisions('u1', diary.id);
+    assert.deepStrictEqual(history.map(item => [item.revision, item.title, item.text, Boolean(item.current)]), [
+        [3, '散歩の記録', '三行目', true],
+        [2, '散歩', '二行目', false],
+        [1, '散歩', '一行目', false]
+    ]);
+    assert.strictEqual((await store.getRevision('u1', diary.id, '1')).text, '一行目');
+    assert.strictEqual(await store.getRevision('u1', diary.id, 9), null);
+    assert.strictEqual(await store.listRevisions('u2', diary.id), null);
+});
+
+test('過去の版に戻すと、戻す前の内容も新しい版として残る', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await server.signup('hanako');
+
+    const { data: created } = await server.request('POST', '/api/diaries', { token, body: { title: '散歩', text: '一行目' } });
+    const id = created.diary.id;
+    await server.request('PUT', `/api/diaries/${id}`, { token, body: { text: '二行目', baseRevision: 1 } });
+
+    const stale = await server.request('PUT', `/api/diaries/${id}`, { token, body: { text: '古い版から', baseRevision: 1 } });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.data.diary.text, '二行目');
+
+    const restored = await server.request('POST', `/api/diaries/${id}/revisions/1/restore`, { token });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.data.diary.text, '一行目');
+    assert.strictEqual(restored.data.diary.revision, 3);
+
+    const { data } = await server.request('GET', `/api/diaries/${id}/revisions`, { token });
+    assert.deepStrictEqual(data.revisions.map(item => [item.revision, item.text]), [[3, '一行目'], [2, '二行目'], [1, '一行目']]);
+    assert.strictEqual((await server.request('POST', `/api/diaries/${id}/revisions/7/restore`, { token })).status, 404);
+
+    const other = await server.signup('taro');
+    assert.strictEqual((await server.request('POST', `/api/diaries/${id}/revisions/1/restore`, { token: other })).status, 404);
+});
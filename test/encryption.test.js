@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const BASE64 = 'AAAAAAAAAAAAAAAA';
+
+function keyring(overrides = {}) {
+    return { salt: BASE64, iterations: 100000, iv: BASE64, data: BASE64, ...overrides };
+}
+
+function encryption(overrides = {}) {
+    return { keyIds: ['k1'], currentKeyId: 'k1', passphrase: keyring(), recovery: keyring(), ...overrides };
+}
+
+function envelope(overrides = {}) {
+    return { v: 1, keyId: 'k1', iv: BASE64, data: 'ZW5jcnlwdGVk', ...overrides };
+}
+
+test('鍵束は形式を確かめ、別の端末が先に変えていたら上書きしない', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await server.signup('hanako');
+    const put = body => server.request('PUT', '/api/encryption', { token, body });
+
+    for (const invalid of [
+        {},
+        { encryption: encryption({ keyIds: [] }) },
+        { encryption: encryption({ keyIds: ['k 1'], currentKeyId: 'k 1' }) },
+        { encryption: encryption({ currentKeyId: 'k2' }) },
+        { encryption: encryption({ passphrase: keyring({ iterations: 1000 }) }) },
+        { encryption: encryption({ recovery: keyring({ data: '平文' }) }) }
+    ]) {
+        assert.strictEqual((await put(invalid)).status, 400, JSON.stringify(invalid));
+    }
+
+    const enabled = await put({ encryption: encryption() });
+    assert.strictEqual(enabled.status, 200);
+    assert.strictEqual(enabled.data.encryption.version, 1);
+
+    const stale = await put({ encryption: encryption({ keyIds: ['k1', 'k2'], currentKeyId: 'k2' }), baseVersion: 0 });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.data.encryption.version, 1);
+
+    const { data } = await server.request('GET', '/api/encryption', { token });
+    assert.deepStrictEqual(data.encryption.keyIds, ['k1']);
+});
+
+test('暗号化した日記帳は暗号文の日記だけを受け取る', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await server.signup('hanako');
+    await server.request('PUT', '/api/encryption', { token, body: { encryption: encryption() } });
+    const create = body => server.request('POST', '/api/diaries', { token, body });
+
+    const plaintext = await create({ title: '散歩', text: '川沿いを歩いた', encrypted: envelope() });
+    assert.strictEqual(plaintext.status, 400);
+    assert.match(plaintext.data.error, /暗号化して送って/);
+    assert.strictEqual((await create({})).status, 400);
+    assert.match((await create({ encrypted: envelope({ v: 2 }) })).data.error, /encrypted の形式/);
+    assert.match((await create({ encrypted: envelope({ iv: '平文' }) })).data.error, /encrypted の形式/);
+    assert.match((await create({ encrypted: envelope({ keyId: 'k2' }) })).data.error, /登録されていない鍵/);
+
+    const created = await create({ encrypted: envelope() });
+    assert.strictEqual(created.status, 201);
+    assert.deepStrictEqual(created.data.diary.encrypted, envelope());
+    assert.strictEqual(created.data.diary.text, undefined);
+
+    const id = created.data.diary.id;
+    const update = await server.request('PUT', `/api/diaries/${id}`, { token, body: { text: '平文で上書き' } });
+    assert.strictEqual(update.status, 400);
+    const { data } = await server.request('GET', `/api/diaries/${id}`, { token });
+    assert.deepStrictEqual(data.diary.encrypted, envelope());
+
+    // 日記が使っている鍵は鍵束から外せない
+    const removeKey = await server.request('PUT', '/api/encryption', {
+        token,
+        body: { encryption: encryption({ keyIds: ['k2'], currentKeyId: 'k2' }), baseVersion: 1 }
+    });
+    assert.strictEqual(removeKey.status, 409);
+    assert.deepStrictEqual(removeKey.data.keyIds, ['k1']);
+});
+
+test('暗号化していない日記帳は暗号文を受け取らない', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await server.signup('hanako');
+
+    const rejected = await server.request('POST', '/api/diaries', { token, body: { text: '散歩した', encrypted: envelope() } });
+    assert.strictEqual(rejected.status, 400);
+    assert.match(rejected.data.error, /暗号化を有効にしていません/);
+    assert.strictEqual((await server.request('POST', '/api/diaries', { token, body: { text: '散歩した' } })).status, 201);
+});
@@ -0,0 +1,99 @@
+const { spawn } = require('child_process');
+const { once } = require('events');
+const net = require('net');
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+const STARTUP_TIMEOUT_MS = 10 * 1000;
+
+// 保存先はすべてメモリにして、ローカルのデータや他のテストと混ざらないようにする
+const TEST_ENV = {
+    AUTH_SECRET: 'test-secret',
+    USER_STORE: 'memory',
+    SESSION_STORE: 'memory',
+    DIARY_STORE: 'memory',
+    AUDIO_STORE: 'memory',
+    PHOTO_STORE: 'memory',
+    FACT_STORE: 'memory',
+    PERSONA_STORE: 'memory',
+    GOOGLE_CLOUD_PROJECT: '',
+    LLM_PROVIDER: 'none',
+    STT_ENGINE: 'none',
+    DEMO_STREAM_DELAY_MS: '0'
+};
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// server.js を別プロセスで起動し、応答するようになってから API を呼べるクライアントを返す
+async function startServer(env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        env: { ...process.env, ...TEST_ENV, ...env, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    async function request(method, urlPath, { token, body, form } = {}) {
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            headers,
+            body: form || (body !== undefined ? JSON.stringify(body) : undefined)
+        });
+        const text = await response.text();
+        let data = text;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            // SSE などJSONでない応答は文字列のまま返す
+        }
+        return { status: response.status, data };
+    }
+
+    async function signup(username, password = 'password123') {
+        const { data } = await request('POST', '/api/auth/signup', { body: { username, password } });
+        if (!data.token) throw new Error(`登録できません: ${JSON.stringify(data)}`);
+        return data.token;
+    }
+
+    async function stop() {
+        if (child.exitCode !== null) return;
+        child.kill();
+        await once(child, 'exit');
+    }
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (true) {
+        if (child.exitCode !== null) {
+            throw new Error(`サーバーが起動できませんでした:\n${output}`);
+        }
+        try {
+            await fetch(`${baseUrl}/api/health`);
+            break;
+        } catch (err) {
+            if (Date.now() > deadline) {
+                await stop();
+                throw new Error(`サーバーの起動を待てませんでした:\n${output}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    return { baseUrl, request, signup, stop, output: () => output };
+}
+
+module.exports = { startServer };
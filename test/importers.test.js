@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createZip } = require('../lib/zip');
+const { expandImportFiles } = require('../lib/importers');
+
+function zipFile(name, entries) {
+    return { name, data: createZip(entries) };
+}
+
+test('expandImportFiles はZIPの中身を種類ごとに分ける', () => {
+    const files = expandImportFiles([
+        zipFile('notes.zip', [
+            { name: '2026-10-01.txt', data: '散歩した' },
+            { name: '__MACOSX/._2026-10-01.txt', data: 'x' },
+            { name: 'photo.jpg', data: 'x' }
+        ]),
+        { name: 'journal.json', data: Buffer.from('{}') }
+    ]);
+    assert.deepStrictEqual(files.map(file => [file.name, file.kind]), [
+        ['notes.zip/2026-10-01.txt', 'text'],
+        ['journal.json', 'dayone']
+    ]);
+});
+
+test('expandImportFiles はZIPの中のZIPを展開しない', () => {
+    const inner = createZip([{ name: 'deep.txt', data: 'x' }]);
+    const files = expandImportFiles([zipFile('outer.zip', [{ name: 'inner.zip', data: inner }])]);
+    assert.deepStrictEqual(files.map(file => [file.name, file.kind]), [['outer.zip/inner.zip', 'unknown']]);
+});
+
+test('expandImportFiles はすべてのZIPを合わせたファイル数を制限する', () => {
+    const entries = Array.from({ length: 3 }, (_, i) => ({ name: `${i}.txt`, data: 'x' }));
+    assert.throws(
+        () => expandImportFiles([zipFile('a.zip', entries), zipFile('b.zip', entries)], { maxEntries: 5 }),
+        /多すぎます/
+    );
+});
+
+test('expandImportFiles はすべてのZIPを合わせた大きさを制限する', () => {
+    const entries = [{ name: 'big.txt', data: Buffer.alloc(600 * 1024) }];
+    assert.strictEqual(expandImportFiles([zipFile('a.zip', entries)], { maxTotalBytes: 1024 * 1024 }).length, 1);
+    assert.throws(
+        () => expandImportFiles([zipFile('a.zip', entries), zipFile('b.zip', entries)], { maxTotalBytes: 1024 * 1024 }),
+        /大きすぎます/
+    );
+});
+
+test('expandImportFiles は1つのファイルの大きさを制限する', () => {
+    assert.throws(
+        () => expandImportFiles([zipFile('a.zip', [{ name: 'big.wav', data: Buffer.alloc(2 * 1024 * 1024) }])], { maxEntryBytes: 1024 * 1024 }),
+        /大きすぎます/
+    );
+});
+
+test('expandImportFiles はZIPでないファイルも合計の大きさに数える', () => {
+    const files = [
+        { name: 'a.txt', data: Buffer.alloc(60) },
+        { name: 'b.txt', data: Buffer.alloc(60) }
+    ];
+    assert.throws(() => expandImportFiles(files, { maxTotalBytes: 100 }), /大きすぎます/);
+    assert.throws(() => expandImportFiles([
+        { name: 'a.txt', data: Buffer.alloc(60) },
+        zipFile('notes.zip', [{ name: 'b.txt', data: Buffer.alloc(60) }])
+    ], { maxTotalBytes: 100 }), /大きすぎます/);
+});
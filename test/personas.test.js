@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BUILTIN_PERSONAS, validatePersona, normalizePersona, demoResponse } = require('../lib/personas');
+
+// 必須の項目だけのペルソナ
+function persona(overrides = {}) {
+    return {
+        name: '聞き上手',
+        greeting: '今日はどんな日でしたか？',
+        steps: ['出来事を1つ聞く', '気持ちを聞く'],
+        closing: '日記にまとめるか聞く',
+        ...overrides
+    };
+}
+
+test('validatePersona は必須の項目がそろったペルソナを通す', () => {
+    assert.strictEqual(validatePersona(persona()), null);
+    assert.strictEqual(validatePersona(persona({ mode: 'sequence', minTurns: 2, closeAfter: 2, maxChars: 80, rules: ['敬語で話す'] })), null);
+    assert.strictEqual(validatePersona(persona({ demoResponses: { default: ['そうなんですね'], positive: ['よかったですね'] } })), null);
+});
+
+test('validatePersona は足りない項目や形の違う項目を断る', () => {
+    assert.match(validatePersona(null), /ペルソナの内容/);
+    assert.match(validatePersona(persona({ name: ' ' })), /^name/);
+    assert.match(validatePersona(persona({ greeting: 'あ'.repeat(301) })), /^greeting/);
+    assert.match(validatePersona(persona({ mode: 'random' })), /^mode/);
+    assert.match(validatePersona(persona({ steps: [] })), /^steps/);
+    assert.match(validatePersona(persona({ steps: ['聞く', 1] })), /^steps/);
+    assert.match(validatePersona(persona({ closing: undefined })), /^closing/);
+    assert.match(validatePersona(persona({ maxChars: 5 })), /^maxChars/);
+    assert.match(validatePersona(persona({ minTurns: 0 })), /^minTurns/);
+    assert.match(validatePersona(persona({ rules: '敬語で話す' })), /^rules/);
+    assert.match(validatePersona(persona({ tone: 1 })), /^tone/);
+});
+
+test('validatePersona は null や配列の demoResponses を断る', () => {
+    assert.match(validatePersona(persona({ demoResponses: null })), /^demoResponses/);
+    assert.match(validatePersona(persona({ demoResponses: ['そうなんですね'] })), /^demoResponses/);
+    assert.match(validatePersona(persona({ demoResponses: { default: [] } })), /^demoResponses/);
+    assert.match(validatePersona(persona({ demoResponses: { default: 'そうなんですね' } })), /^demoResponses/);
+});
+
+test('validatePersona は minTurns より前に締めくくる closeAfter を断る', () => {
+    assert.match(validatePersona(persona({ closeAfter: 2 })), /^closeAfter/);
+    assert.match(validatePersona(persona({ minTurns: 5, closeAfter: 4 })), /^closeAfter/);
+    assert.strictEqual(validatePersona(persona({ minTurns: 5, closeAfter: 5 })), null);
+});
+
+test('normalizePersona は省略した項目を既定値で埋め、closeAfter を minTurns 以上にする', () => {
+    const normalized = normalizePersona(persona({ name: ' 聞き上手 ', emoji: '🐱🐶🐭🐹🐰' }));
+    assert.strictEqual(normalized.name, '聞き上手');
+    assert.strictEqual(normalized.emoji, '🐱🐶');
+    assert.strictEqual(normalized.mode, 'cycle');
+    assert.strictEqual(normalized.maxChars, 50);
+    assert.strictEqual(normalized.minTurns, 3);
+    assert.strictEqual(normalized.closeAfter, 9);
+    assert.strictEqual(normalized.followUps, true);
+    assert.deepStrictEqual(normalized.demoResponses, {});
+
+    assert.strictEqual(normalizePersona(persona({ mode: 'sequence' })).closeAfter, 3);
+    assert.strictEqual(normalizePersona(persona({ mode: 'sequence', minTurns: 6 })).closeAfter, 6);
+});
+
+test('組み込みのペルソナはすべて入力チェックを通る', () => {
+    BUILTIN_PERSONAS.forEach(builtin => {
+        assert.strictEqual(validatePersona(builtin), null, builtin.id);
+    });
+});
+
+test('demoResponse は感情ごとの台本を使い、最後の応答を繰り返す', () => {
+    const custom = normalizePersona(persona({ demoResponses: { default: ['一つ目', '二つ目'], positive: ['よかったですね'] } }));
+    assert.strictEqual(demoResponse(custom, 1, { type: 'neutral' }), '一つ目');
+    assert.strictEqual(demoResponse(custom, 5, { type: 'neutral' }), '二つ目');
+    assert.strictEqual(demoResponse(custom, 2, { type: 'positive' }), 'よかったですね');
+});
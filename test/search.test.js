@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalize, tokenize, searchDiaries, SimilarityIndex } = require('../lib/search');
+
+function diary(id, { title = 'タイトルなし', text = '', date = '2026-10-01T09:00:00.000Z', ...rest } = {}) {
+    return { id, title, text, date, ...rest };
+}
+
+test('normalize は全角・半角、大文字・小文字、カタカナ・ひらがなの違いをなくす', () => {
+    assert.strictEqual(normalize('ＡＢＣ ｶﾞｯｺｳ カタカナ').normalized, 'abc がっこう かたかな');
+    // 半角カナの濁点は前の文字とまとめ、元の位置を指すようにする
+    assert.deepStrictEqual(normalize('ｶﾞｷ'), { normalized: 'がき', positions: [0, 2, 3] });
+    assert.deepStrictEqual(tokenize('川沿いを歩いた walk 2026'), ['川沿', '沿い', 'いを', 'を歩', '歩い', 'いた', 'walk', '2026']);
+    assert.deepStrictEqual(tokenize('鴨'), ['鴨']);
+});
+
+test('searchDiaries は語をすべて含む日記だけを返し、題名に出てくる日記を上に並べる', () => {
+    const diaries = [
+        diary('a', { title: '日記', text: '散歩した', date: '2026-10-03T09:00:00.000Z' }),
+        diary('b', { title: '散歩', text: 'ほか', date: '2026-10-01T09:00:00.000Z' }),
+        diary('c', { title: '散歩', text: '川で鴨を見た', date: '2026-10-02T09:00:00.000Z' }),
+        diary('d', { title: '仕事', text: '会議が長引いた' })
+    ];
+    const { total, results } = searchDiaries(diaries, { q: '散歩' });
+    assert.strictEqual(total, 3);
+    assert.deepStrictEqual(results.map(({ diary }) => diary.id), ['b', 'c', 'a']);
+    assert.ok(results[0].score > results[2].score);
+
+    assert.deepStrictEqual(searchDiaries(diaries, { q: '散歩 鴨' }).results.map(({ diary }) => diary.id), ['c']);
+    assert.strictEqual(searchDiaries(diaries, { q: '散歩 会議' }).total, 0);
+    assert.deepStrictEqual(searchDiaries([diary('e', { text: 'カフェに行った' })], { q: 'かふぇ' }).results.map(({ diary }) => diary.id), ['e']);
+});
+
+test('searchDiaries は期間・気分・話題で絞り込む', () => {
+    const diaries = [
+        diary('a', { text: '朝に散歩した', date: '2026-09-30T09:00:00.000Z', mood: { labels: ['joy'] } }),
+        diary('b', { text: '会議が長引いた', date: '2026-10-02T09:00:00.000Z', mood: { labels: ['sadness'] } }),
+        diary('c', { text: '夜に散歩した', date: '2026-10-05T09:00:00.000Z', mood: { labels: ['joy'] } })
+    ];
+    const ids = options => searchDiaries(diaries, options).results.map(({ diary }) => diary.id);
+    assert.deepStrictEqual(ids({}), ['c', 'b', 'a']);
+    assert.deepStrictEqual(ids({ from: new Date('2026-10-01T00:00:00.000Z'), to: new Date('2026-10-03T00:00:00.000Z') }), ['b']);
+    assert.deepStrictEqual(ids({ mood: 'joy' }), ['c', 'a']);
+    assert.deepStrictEqual(ids({ topic: '仕事' }), ['b']);
+    assert.deepStrictEqual(ids({ topic: '運動', q: '夜' }), ['c']);
+});
+
+test('searchDiaries は一致した箇所を題名と本文の抜粋で示す', () => {
+    const text = `${'あ'.repeat(40)}川沿いを散歩した${'い'.repeat(200)}`;
+    const [result] = searchDiaries([diary('a', { title: '朝の散歩', text })], { q: '散歩' }).results;
+    assert.deepStrictEqual(result.highlights.title, [[2, 4]]);
+    const { snippet } = result.highlights;
+    assert.strictEqual(snippet.text.length, 120);
+    assert.strictEqual(snippet.text.slice(snippet.ranges[0][0], snippet.ranges[0][1]), '散歩');
+    assert.strictEqual(snippet.truncatedStart, true);
+    assert.strictEqual(snippet.truncatedEnd, true);
+
+    // 半角カナの本文でも元の文字列の位置を返す
+    const [kana] = searchDiaries([diary('b', { title: 'ｶﾞｲﾄﾞ' })], { q: 'がいど' }).results;
+    assert.deepStrictEqual(kana.highlights.title, [[0, 5]]);
+});
+
+test('searchDiaries は cursor で次のページを返す', () => {
+    const diaries = ['01', '02', '03'].map(day => diary(day, { date: `2026-10-${day}T09:00:00.000Z` }));
+    const first = searchDiaries(diaries, { limit: 2 });
+    assert.deepStrictEqual(first.results.map(({ diary }) => diary.id), ['03', '02']);
+    const second = searchDiaries(diaries, { limit: 2, cursor: first.nextCursor });
+    assert.deepStrictEqual(second.results.map(({ diary }) => diary.id), ['01']);
+    assert.strictEqual(second.nextCursor, null);
+});
+
+test('SimilarityIndex は埋め込みがなければ文字bigramで似た日記を探す', async () => {
+    const target = diary('a', { text: '川沿いを散歩して鴨を見た' });
+    const diaries = [
+        target,
+        diary('b', { text: '川沿いを散歩して鷺を見た' }),
+        diary('c', { text: '会議で資料を作った' })
+    ];
+    const lexical = await new SimilarityIndex().similar(target, diaries);
+    assert.strictEqual(lexical.method, 'lexical');
+    assert.deepStrictEqual(lexical.results.map(({ diary }) => diary.id), ['b', 'c']);
+    assert.ok(lexical.results[0].score > lexical.results[1].score);
+
+    // 埋め込みは本文が変わった日記だけ取り直す
+    const embedded = [];
+    const provider = {
+        async embed(texts) {
+            embedded.push(...texts);
+            return texts.map(text => (text.includes('会議') ? [0, 1] : [1, 0.1]));
+        }
+    };
+    const index = new SimilarityIndex({ provider });
+    const first = await index.similar(target, diaries);
+    assert.strictEqual(first.method, 'embedding');
+    assert.deepStrictEqual(first.results.map(({ diary }) => diary.id), ['b', 'c']);
+    await index.similar(target, diaries);
+    assert.strictEqual(embedded.length, 3);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+// 16kHz・16bit・モノラルの無音のWAV（fill で中身を変えてハッシュを分ける）
+function wav(fill = 0, dataBytes = 3200) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(16000, 24);
+    header.writeUInt32LE(32000, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataBytes, 40);
+    return Buffer.concat([header, Buffer.alloc(dataBytes, fill)]);
+}
+
+function audioForm(buffer, filename) {
+    const form = new FormData();
+    form.append('audio', new Blob([buffer], { type: 'audio/wav' }), filename);
+    return form;
+}
+
+test('対応表の音声はハッシュかファイル名で決まった書き起こしになる', async t => {
+    const byHash = wav(1);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcribe-test-'));
+    const fixtureFile = path.join(dir, 'fixtures.json');
+    fs.writeFileSync(fixtureFile, JSON.stringify({
+        [crypto.createHash('sha256').update(byHash).digest('hex')]: '今日は川沿いを散歩した',
+        'named.wav': { transcript: '鴨が三羽いた', confidence: 0.8 }
+    }));
+    const server = await startServer({ STT_ENGINE: 'fixture', STT_FIXTURE_FILE: fixtureFile });
+    t.after(async () => {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    const token = await server.signup('hanako');
+
+    const hashed = await server.request('POST', '/api/speech-to-text', { token, form: audioForm(byHash, 'recording.wav') });
+    assert.strictEqual(hashed.status, 200);
+    assert.strictEqual(hashed.data.transcript, '今日は川沿いを散歩した');
+    assert.strictEqual(hashed.data.confidence, 1);
+    assert.strictEqual(hashed.data.mode, 'fixture');
+
+    const named = await server.request('POST', '/api/speech-to-text', { token, form: audioForm(wav(2), 'named.wav') });
+    assert.strictEqual(named.status, 200);
+    assert.strictEqual(named.data.transcript, '鴨が三羽いた');
+    assert.strictEqual(named.data.confidence, 0.8);
+
+    // 対応表にない音声は聞き取れなかったものとして扱う
+    const unknown = await server.request('POST', '/api/speech-to-text', { token, form: audioForm(wav(3), 'other.wav') });
+    assert.strictEqual(unknown.status, 400);
+    assert.match(unknown.data.error, /音声を認識できませんでした/);
+
+    const tooShort = await server.request('POST', '/api/speech-to-text', { token, form: audioForm(wav(1, 100), 'named.wav') });
+    assert.strictEqual(tooShort.status, 400);
+});
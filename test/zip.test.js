@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createZip, readZip } = require('../lib/zip');
+
+// 中央ディレクトリの n 番目のエントリの位置
+function centralEntry(zip, n) {
+    let offset = zip.readUInt32LE(zip.length - 22 + 16);
+    for (let index = 0; index < n; index++) {
+        offset += 46 + zip.readUInt16LE(offset + 28) + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+    }
+    return offset;
+}
+
+test('readZip は createZip で作ったZIPを読める', () => {
+    const zip = createZip([
+        { name: 'a.txt', data: 'こんにちは' },
+        { name: 'mimetype', data: 'application/epub+zip', store: true }
+    ]);
+    const files = readZip(zip);
+    assert.deepStrictEqual(files.map(file => [file.name, file.data.toString()]), [
+        ['a.txt', 'こんにちは'],
+        ['mimetype', 'application/epub+zip']
+    ]);
+});
+
+test('readZip はファイルが多すぎるZIPを断る', () => {
+    const zip = createZip(Array.from({ length: 5 }, (_, i) => ({ name: `${i}.txt`, data: 'x' })));
+    assert.throws(() => readZip(zip, { maxEntries: 4 }), /多すぎます/);
+    assert.strictEqual(readZip(zip, { maxEntries: 5 }).length, 5);
+});
+
+test('readZip は展開すると大きすぎるファイルを展開する前に断る', () => {
+    // 1MBのゼロは数KBに圧縮される
+    const zip = createZip([{ name: 'bomb.bin', data: Buffer.alloc(1024 * 1024) }]);
+    assert.ok(zip.length < 10 * 1024);
+    assert.throws(() => readZip(zip, { maxEntryBytes: 512 * 1024 }), /大きすぎます/);
+});
+
+test('readZip は展開した合計が上限を超えるZIPを断る', () => {
+    const zip = createZip(Array.from({ length: 4 }, (_, i) => ({ name: `${i}.bin`, data: Buffer.alloc(300 * 1024) })));
+    assert.throws(() => readZip(zip, { maxTotalBytes: 1024 * 1024 }), /大きすぎます/);
+});
+
+test('readZip はヘッダーより大きく展開されるファイルを断る', () => {
+    const zip = createZip([{ name: 'liar.bin', data: Buffer.alloc(1024 * 1024) }]);
+    // 展開後の大きさを小さく偽る
+    zip.writeUInt32LE(10, centralEntry(zip, 0) + 24);
+    assert.throws(() => readZip(zip), /壊れています/);
+});
+
+test('readZip はファイルの外を指すエントリを断る', () => {
+    const zip = createZip([{ name: 'a.txt', data: 'abc' }]);
+    zip.writeUInt32LE(0xFFFFFF00, centralEntry(zip, 0) + 20);
+    assert.throws(() => readZip(zip), /壊れています/);
+});